@@ -1,13 +1,16 @@
 'use strict';
 
 (function() {
+  // The global object is 'window' within a browser, or 'global' when running headless in Node.js.
+  var root = typeof window === 'undefined'? global: window;
+
   // Already defined, then we can skip.
-  if (window.wcPlayNodes && window.wcPlayNodes.wcClass) {
+  if (root.wcPlayNodes && root.wcPlayNodes.wcClass) {
     return;
   }
 
-  if (!window.wcPlayNodes) {
-    window.wcPlayNodes = {};
+  if (!root.wcPlayNodes) {
+    root.wcPlayNodes = {};
   }
 
   // Bind polyfill
@@ -149,7 +152,7 @@
     /* eslint-enable no-caller */
     return Class;
   };
-  window.wcPlayNodes.wcClass = wcClass;
+  root.wcPlayNodes.wcClass = wcClass;
 
   /**
    * Class constructor.
@@ -0,0 +1,479 @@
+'use strict';
+
+(function() {
+  // The members of a saved node that are compared on their own, instead of as one of its fields.
+  var OWN_MEMBERS = ['className', 'id', 'properties', 'exitChains', 'outputChains', 'entryChains', 'inputChains', 'nodes'];
+
+  // The members of a saved node, in the order they are written by wcNode#export.
+  var FIRST_FIELDS = ['name', 'color', 'pos', 'breakpoint'];
+
+  // The members of a saved node written after its chains, by wcNodeCompositeScript#onExport.
+  var LAST_FIELDS = ['definition'];
+
+  function __hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+  }
+
+  function __equal(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  function __key(parts) {
+    return JSON.stringify(parts);
+  }
+
+  // Reads a script given as serialized data, or as its parsed object.
+  function __parse(script) {
+    if (typeof script !== 'string') {
+      return script;
+    }
+    return JSON.parse(script, function(key, value) {
+      if (value === 'Infinity') {
+        return Infinity;
+      }
+      return value;
+    });
+  }
+
+  function __stringify(data) {
+    return JSON.stringify(data, function(key, value) {
+      if (value === Infinity) {
+        return 'Infinity';
+      }
+      return value;
+    }, 2);
+  }
+
+  // Breaks a script into a flat list of entries that can each be compared on their own, indexed by a key that is unique to what it describes.
+  function __flatten(data) {
+    var entries = {};
+    entries[__key(['version'])] = {type: 'version', value: data.version};
+    entries[__key(['custom'])] = {type: 'custom', value: data.custom === undefined? null: data.custom};
+
+    (data.properties || []).forEach(function(prop) {
+      entries[__key(['global', prop.name])] = {type: 'global', name: prop.name, value: prop};
+    });
+
+    function __flattenChains(type, chains) {
+      (chains || []).forEach(function(chain) {
+        entries[__key([type, chain.outNodeId, chain.outName, chain.inNodeId, chain.inName])] = {type: type, nodeId: chain.outNodeId, name: chain.outName, value: chain};
+      });
+    }
+
+    function __flattenNodes(nodes, parentId) {
+      (nodes || []).forEach(function(node) {
+        var marker = {className: node.className, parent: parentId, composite: Array.isArray(node.nodes)};
+        entries[__key(['node', node.id])] = {type: 'node', nodeId: node.id, value: marker, data: node};
+
+        for (var member in node) {
+          if (__hasOwn(node, member) && OWN_MEMBERS.indexOf(member) === -1) {
+            entries[__key(['field', node.id, member])] = {type: 'field', nodeId: node.id, name: member, value: node[member]};
+          }
+        }
+        (node.properties || []).forEach(function(prop) {
+          entries[__key(['property', node.id, prop.name])] = {type: 'property', nodeId: node.id, name: prop.name, value: prop};
+        });
+        __flattenChains('exitChain', node.exitChains);
+        __flattenChains('outputChain', node.outputChains);
+        __flattenNodes(node.nodes, node.id);
+      });
+    }
+    __flattenNodes(data.nodes, null);
+
+    // Composite definitions are compared as a whole.
+    (data.composites || []).forEach(function(composite) {
+      entries[__key(['composite', composite.name])] = {type: 'composite', name: composite.name, value: composite.nodes};
+    });
+    return entries;
+  }
+
+  // Builds a script back up from its flat list of entries.
+  function __unflatten(entries) {
+    var data = {version: '', custom: null, properties: [], nodes: []};
+    var composites = [];
+    var nodes = {};
+    var order = [];
+    var key = '';
+
+    for (key in entries) {
+      var entry = entries[key];
+      if (entry.type === 'node') {
+        nodes[entry.nodeId] = {marker: entry.value, fields: {}, properties: [], exitChains: [], outputChains: [], children: []};
+        order.push(entry.nodeId);
+      }
+    }
+
+    for (key in entries) {
+      var item = entries[key];
+      var node = nodes[item.nodeId];
+      switch (item.type) {
+        case 'version':
+          data.version = item.value;
+          break;
+        case 'custom':
+          data.custom = item.value;
+          break;
+        case 'global':
+          data.properties.push(item.value);
+          break;
+        case 'field':
+          node.fields[item.name] = item.value;
+          break;
+        case 'property':
+          node.properties.push(item.value);
+          break;
+        case 'exitChain':
+        case 'outputChain':
+          node[item.type + 's'].push(item.value);
+          break;
+        case 'composite':
+          composites.push({name: item.name, nodes: item.value});
+          break;
+        default:
+          break;
+      }
+    }
+
+    order.forEach(function(id) {
+      var saved = nodes[id];
+      var result = {className: saved.marker.className, id: id};
+      var field = '';
+      FIRST_FIELDS.forEach(function(name) {
+        if (__hasOwn(saved.fields, name)) {
+          result[name] = saved.fields[name];
+        }
+      });
+      result.properties = saved.properties;
+      result.exitChains = saved.exitChains;
+      result.outputChains = saved.outputChains;
+      for (field in saved.fields) {
+        if (!__hasOwn(result, field) && LAST_FIELDS.indexOf(field) === -1) {
+          result[field] = saved.fields[field];
+        }
+      }
+      result.entryChains = [];
+      result.inputChains = [];
+      LAST_FIELDS.forEach(function(name) {
+        if (__hasOwn(saved.fields, name)) {
+          result[name] = saved.fields[name];
+        }
+      });
+      if (saved.marker.composite) {
+        result.nodes = saved.children;
+      }
+
+      var parent = saved.marker.parent === null? null: nodes[saved.marker.parent];
+      (parent? parent.children: data.nodes).push(result);
+    });
+
+    wcPlay.sortScriptNodes(data.nodes);
+    if (composites.length) {
+      data.composites = composites;
+    }
+    return data;
+  }
+
+  // Gives the value of an entry as it is shown in a change or conflict.
+  function __valueOf(entry) {
+    if (!entry) {
+      return undefined;
+    }
+    return entry.type === 'node'? entry.data: entry.value;
+  }
+
+  // The nodes an entry belongs to, and so can only exist while they do.
+  function __nodeIds(entry) {
+    switch (entry.type) {
+      case 'field':
+      case 'property':
+        return [entry.nodeId];
+      case 'exitChain':
+      case 'outputChain':
+        return [entry.value.outNodeId, entry.value.inNodeId];
+      case 'node':
+        return entry.value.parent === null? []: [entry.value.parent];
+      default:
+        return [];
+    }
+  }
+
+  // Finds a node that an entry belongs to, but that is missing from the entries, or undefined if there is none.
+  function __missingNode(entries, entry) {
+    var ids = __nodeIds(entry);
+    for (var i = 0; i < ids.length; ++i) {
+      if (!entries[__key(['node', ids[i]])]) {
+        return ids[i];
+      }
+    }
+    return undefined;
+  }
+
+  function __unionKeys(lists) {
+    var keys = [];
+    var seen = {};
+    lists.forEach(function(entries) {
+      for (var key in entries) {
+        if (!__hasOwn(seen, key)) {
+          seen[key] = true;
+          keys.push(key);
+        }
+      }
+    });
+    return keys;
+  }
+
+  // Everything saved about a node, used to tell whether two nodes added with the same id are the same node.
+  function __nodeSignature(entries, id) {
+    var signature = [];
+    for (var key in entries) {
+      var entry = entries[key];
+      if (entry.nodeId === id && entry.type !== 'exitChain' && entry.type !== 'outputChain') {
+        signature.push(key, entry.value);
+      }
+    }
+    return JSON.stringify(signature);
+  }
+
+  // Gives new ids to nodes of a script, along with every chain that uses them.
+  function __remapIds(nodes, idMap) {
+    function __remapChains(chains) {
+      (chains || []).forEach(function(chain) {
+        if (__hasOwn(idMap, chain.inNodeId)) {
+          chain.inNodeId = idMap[chain.inNodeId];
+        }
+        if (__hasOwn(idMap, chain.outNodeId)) {
+          chain.outNodeId = idMap[chain.outNodeId];
+        }
+      });
+    }
+
+    (nodes || []).forEach(function(node) {
+      if (__hasOwn(idMap, node.id)) {
+        node.id = idMap[node.id];
+      }
+      __remapChains(node.exitChains);
+      __remapChains(node.outputChains);
+      __remapChains(node.entryChains);
+      __remapChains(node.inputChains);
+      __remapIds(node.nodes, idMap);
+    });
+  }
+
+  /**
+   * A global function that sorts the nodes of a saved script by their id, including the nodes saved within each composite node, so the same script is always saved in the same order.
+   * @function wcPlay.sortScriptNodes
+   * @param {Object[]} nodes - The saved nodes, as found in the data written by [save]{@link wcPlay#save}. They are sorted in place.
+   * @returns {Object[]} - The same list of nodes.
+   */
+  wcPlay.sortScriptNodes = function(nodes) {
+    nodes.sort(function(left, right) {
+      if (left.id === right.id) {
+        return 0;
+      }
+      // Numbered ids, from older versions, come before the others.
+      if (typeof left.id !== typeof right.id) {
+        return typeof left.id === 'number'? -1: 1;
+      }
+      return left.id < right.id? -1: 1;
+    });
+    nodes.forEach(function(node) {
+      if (Array.isArray(node.nodes)) {
+        wcPlay.sortScriptNodes(node.nodes);
+      }
+    });
+    return nodes;
+  };
+
+  /**
+   * A global function that compares two versions of a script, and lists what changed between them in terms of nodes, chains, and properties instead of lines of text.<br>
+   * A node that was added or removed is listed once, along with each of its chains, but not each of its properties.
+   * @function wcPlay.diffScripts
+   * @param {string|Object} before - The older version of the script, as written by [save]{@link wcPlay#save}, or its parsed object.
+   * @param {string|Object} after - The newer version of the script.
+   * @returns {wcPlay~ScriptChange[]} - The changes, an empty list if the scripts are the same.
+   * @example
+   * wcPlay.diffScripts(oldData, newData).forEach(function(change) {
+   *   console.log(wcPlay.describeChange(change));
+   * });
+   */
+  wcPlay.diffScripts = function(before, after) {
+    var from = __flatten(__parse(before));
+    var to = __flatten(__parse(after));
+    var changes = [];
+
+    __unionKeys([to, from]).forEach(function(key) {
+      var oldEntry = from[key];
+      var newEntry = to[key];
+      if (oldEntry && newEntry && __equal(oldEntry.value, newEntry.value)) {
+        return;
+      }
+
+      // The properties and fields of an added or removed node are part of that node.
+      var entry = oldEntry || newEntry;
+      if ((entry.type === 'field' || entry.type === 'property') && !(from[__key(['node', entry.nodeId])] && to[__key(['node', entry.nodeId])])) {
+        return;
+      }
+
+      var change = 'changed';
+      if (!oldEntry) {
+        change = 'added';
+      } else if (!newEntry) {
+        change = 'removed';
+      }
+      changes.push({
+        type: entry.type,
+        change: change,
+        nodeId: entry.nodeId === undefined? null: entry.nodeId,
+        name: entry.name || '',
+        before: __valueOf(oldEntry),
+        after: __valueOf(newEntry)
+      });
+    });
+    return changes;
+  };
+
+  /**
+   * A global function that describes a change found by {@link wcPlay.diffScripts} in a single line of text.
+   * @function wcPlay.describeChange
+   * @param {wcPlay~ScriptChange} change - The change.
+   * @returns {string} - The description.
+   */
+  wcPlay.describeChange = function(change) {
+    var value = change.after === undefined? change.before: change.after;
+    var verb = change.change.charAt(0).toUpperCase() + change.change.substring(1);
+
+    function __node(id, data) {
+      var type = '';
+      if (data && wcPlayNodes[data.className]) {
+        type = wcPlayNodes[data.className].prototype.type;
+      }
+      return (type || (data && data.className) || 'Node') + ' #' + id + (data && data.name? ' "' + data.name + '"': '');
+    }
+
+    switch (change.type) {
+      case 'version':
+        return 'Changed the script version from ' + change.before + ' to ' + change.after + '.';
+      case 'custom':
+        return 'Changed the custom data of the script.';
+      case 'global':
+        return verb + ' global property "' + change.name + '".';
+      case 'node':
+        return verb + ' node ' + __node(change.nodeId, value) + '.';
+      case 'field':
+        return verb + ' ' + change.name + ' of node #' + change.nodeId + '.';
+      case 'property':
+        return verb + ' property "' + change.name + '" of node #' + change.nodeId + '.';
+      case 'exitChain':
+        return verb + ' flow chain from node #' + value.outNodeId + ' "' + value.outName + '" to node #' + value.inNodeId + ' "' + value.inName + '".';
+      case 'outputChain':
+        return verb + ' property chain from node #' + value.outNodeId + ' "' + value.outName + '" to node #' + value.inNodeId + ' "' + value.inName + '".';
+      case 'composite':
+        return verb + ' composite definition "' + change.name + '".';
+      default:
+        return verb + ' ' + change.type + '.';
+    }
+  };
+
+  /**
+   * A global function that merges the changes made to a script on two sides, such as two branches in version control, that both started from the same base version.<br>
+   * Each node, chain, and property is merged on its own, so changes to different parts of the script never conflict. Nodes added on both sides with the same id, but that are not the same node, are kept as separate nodes by giving a new id to the one from theirs.<br>
+   * Where both sides made different changes to the same thing, or one side changed something the other removed, ours is kept and a conflict is reported. The merged script is written the same way as a [pretty save]{@link wcPlay#save}.
+   * @function wcPlay.mergeScripts
+   * @param {string|Object} base - The version of the script both sides started from, as written by [save]{@link wcPlay#save}, or its parsed object.
+   * @param {string|Object} ours - Our version of the script.
+   * @param {string|Object} theirs - Their version of the script.
+   * @returns {wcPlay~MergeResult} - The merged script, and any conflicts found.
+   */
+  wcPlay.mergeScripts = function(base, ours, theirs) {
+    var baseEntries = __flatten(__parse(base));
+    var ourEntries = __flatten(__parse(ours));
+
+    // Parse theirs again, so new ids can be given to its nodes without changing the original.
+    var theirData = __parse(typeof theirs === 'string'? theirs: JSON.stringify(theirs));
+    var theirEntries = __flatten(theirData);
+
+    var idMap = {};
+    var remapped = false;
+    for (var key in theirEntries) {
+      var entry = theirEntries[key];
+      if (entry.type === 'node' && !baseEntries[key] && ourEntries[key] &&
+          __nodeSignature(ourEntries, entry.nodeId) !== __nodeSignature(theirEntries, entry.nodeId)) {
+        idMap[entry.nodeId] = wcPlay.generateId();
+        remapped = true;
+      }
+    }
+    if (remapped) {
+      __remapIds(theirData.nodes, idMap);
+      theirEntries = __flatten(theirData);
+    }
+
+    var merged = {};
+    var conflicts = [];
+    function __conflict(mergeKey, message) {
+      var item = baseEntries[mergeKey] || ourEntries[mergeKey] || theirEntries[mergeKey];
+      conflicts.push({
+        type: item.type,
+        nodeId: item.nodeId === undefined? null: item.nodeId,
+        name: item.name || '',
+        base: __valueOf(baseEntries[mergeKey]),
+        ours: __valueOf(ourEntries[mergeKey]),
+        theirs: __valueOf(theirEntries[mergeKey]),
+        message: message
+      });
+    }
+
+    function __changed(mergeKey) {
+      var baseValue = baseEntries[mergeKey] && baseEntries[mergeKey].value;
+      return !__equal(baseValue, ourEntries[mergeKey] && ourEntries[mergeKey].value) || !__equal(baseValue, theirEntries[mergeKey] && theirEntries[mergeKey].value);
+    }
+
+    var keys = __unionKeys([ourEntries, theirEntries, baseEntries]);
+    keys.forEach(function(mergeKey) {
+      var baseEntry = baseEntries[mergeKey];
+      var ourEntry = ourEntries[mergeKey];
+      var theirEntry = theirEntries[mergeKey];
+      var baseValue = baseEntry && baseEntry.value;
+      var ourValue = ourEntry && ourEntry.value;
+      var theirValue = theirEntry && theirEntry.value;
+
+      var result = ourEntry;
+      if (__equal(ourValue, baseValue)) {
+        result = theirEntry;
+      } else if (!__equal(theirValue, baseValue) && !__equal(ourValue, theirValue)) {
+        __conflict(mergeKey, ourEntry && theirEntry? 'Changed differently on both sides, ours was kept.': 'Removed on one side but changed on the other, ours was kept.');
+      }
+
+      if (result) {
+        merged[mergeKey] = result;
+      }
+    });
+
+    // Anything that belongs to a node that no longer exists is dropped, nodes within a removed composite node first.
+    // Only the first thing dropped with each node is reported, as everything else belonging to it goes with it.
+    var droppedNodes = {};
+    var dropping = true;
+    while (dropping) {
+      dropping = false;
+      for (var mergeKey in merged) {
+        var missing = __missingNode(merged, merged[mergeKey]);
+        if (missing === undefined) {
+          continue;
+        }
+
+        if (!__hasOwn(droppedNodes, missing) && __changed(mergeKey)) {
+          __conflict(mergeKey, 'Belongs to a node that was removed on the other side, it was dropped.');
+        }
+        if (merged[mergeKey].type === 'node') {
+          droppedNodes[merged[mergeKey].nodeId] = true;
+        }
+        delete merged[mergeKey];
+        dropping = true;
+      }
+    }
+
+    return {
+      data: __stringify(__unflatten(merged)),
+      conflicts: conflicts
+    };
+  };
+})();
@@ -96,13 +96,18 @@ function wcPlayEditor(container, options) {
       width: 7,             // Width of each link 'nub'
       spacing: 7,           // The pixel space between the text of adjacent links.
       padding: 5,           // The pixel space between the link and its text.
-      margin: 7             // The pixel space between the link text and the edge of the node border.
+      margin: 7,            // The pixel space between the link text and the edge of the node border.
+      warningColor: '#FF3333' // The color of property chains with incompatible data types.
     },
     property: {
       spacing: 5,           // The pixel space between adjacent properties.
       strLen: 20,           // The maximum character length a property value can display.
       longStrLen: 43,       // The maximum character length a property value can display when in expanded view.
       minLength: 30,        // The minimum length the property value can be.
+      treeIndent: 10,       // The pixel indentation of each nested level in the tree of an array or object property.
+      treeLimit: 20,        // The maximum number of entries displayed for each level in the tree of an array or object property.
+      treeCollapsed: '\u25B8 ', // The marker drawn before a collapsed array or object.
+      treeExpanded: '\u25BE ',  // The marker drawn before an expanded array or object.
       valueWrapL: ' [',     // The left string to wrap around a property value.
       valueWrapR: '] ',     // The right string to wrap around a property value.
       initialWrapL: ' ',    // The left string to wrap around a property initial value.
@@ -148,6 +153,7 @@ function wcPlayEditor(container, options) {
   this._highlightOutputLink = false;
   this._highlightPropertyValue = false;
   this._highlightPropertyInitialValue = false;
+  this._highlightPropertyTree = false;
   this._highlightViewport = false;
 
   this._selectedEntryLink = false;
@@ -205,6 +211,173 @@ function wcPlayEditor(container, options) {
 
   this.$container.append(this.$search);
 
+  this.$breakpoints = $(
+    '<div class="wcPlayEditorPanel wcPlayEditorBreakpoints wcPlayHidden">' +
+      '<div class="wcPlayEditorPanelHeader">' +
+        '<span>Breakpoints</span>' +
+        '<i class="fa fa-times wcPlayEditorPanelClose" title="Close"/>' +
+      '</div>' +
+      '<div class="wcPlayEditorPanelButtons">' +
+        '<button class="wcPlayEditorBreakpointsEnable">Enable All</button>' +
+        '<button class="wcPlayEditorBreakpointsDisable">Disable All</button>' +
+        '<button class="wcPlayEditorBreakpointsRemove">Remove All</button>' +
+      '</div>' +
+      '<div class="wcPlayEditorBreakpointsList"/>' +
+      '<div class="wcPlayEditorBreakpointsLog"/>' +
+    '</div>');
+  this._breakpointList = [];
+  this._breakpointListKey = null;
+
+  this.$container.append(this.$breakpoints);
+
+  this.$watches = $(
+    '<div class="wcPlayEditorPanel wcPlayEditorWatches wcPlayHidden">' +
+      '<div class="wcPlayEditorPanelHeader">' +
+        '<span>Watches</span>' +
+        '<i class="fa fa-times wcPlayEditorPanelClose" title="Close"/>' +
+      '</div>' +
+      '<div class="wcPlayEditorPanelButtons">' +
+        '<select class="wcPlayEditorWatchesTarget"/>' +
+        '<select class="wcPlayEditorWatchesProperty"/>' +
+        '<button class="wcPlayEditorWatchesAdd">Watch</button>' +
+        '<button class="wcPlayEditorWatchesClear">Clear History</button>' +
+        '<button class="wcPlayEditorWatchesRemove">Remove All</button>' +
+      '</div>' +
+      '<div class="wcPlayEditorWatchesList"/>' +
+    '</div>');
+  this._watchList = [];
+  this._watchListKey = null;
+  this._watchTargetKey = null;
+  this._watchHit = null;
+
+  this.$container.append(this.$watches);
+
+  this.$trace = $(
+    '<div class="wcPlayEditorPanel wcPlayEditorTrace wcPlayHidden" tabindex="1">' +
+      '<div class="wcPlayEditorPanelHeader">' +
+        '<span>Trace Replay</span>' +
+        '<i class="fa fa-times wcPlayEditorPanelClose" title="Close"/>' +
+      '</div>' +
+      '<div class="wcPlayEditorPanelButtons">' +
+        '<button class="wcPlayEditorTraceRecord"/>' +
+        '<button class="wcPlayEditorTraceReplay">Replay Recorded</button>' +
+        '<button class="wcPlayEditorTraceLoad">Load...</button>' +
+        '<button class="wcPlayEditorTraceExport">Export...</button>' +
+      '</div>' +
+      '<div class="wcPlayEditorPanelButtons">' +
+        '<i class="fa fa-fast-backward wcPlayEditorTraceFirst" title="First event"/>' +
+        '<i class="fa fa-step-backward wcPlayEditorTracePrev" title="Previous event (Left arrow)"/>' +
+        '<input type="range" class="wcPlayEditorTraceSlider" min="0" max="0" value="0"/>' +
+        '<i class="fa fa-step-forward wcPlayEditorTraceNext" title="Next event (Right arrow)"/>' +
+        '<i class="fa fa-fast-forward wcPlayEditorTraceLast" title="Last event"/>' +
+        '<span class="wcPlayEditorTraceStep"/>' +
+      '</div>' +
+      '<div class="wcPlayEditorTraceEvent"/>' +
+      '<div class="wcPlayEditorTraceValues"/>' +
+    '</div>');
+  this.$hiddenTraceLoader = $('<input type="file" id="wcPlayEditorHiddenTraceLoader"/>');
+  this._replay = null;
+
+  this.$container.append(this.$trace);
+
+  this.$flow = $(
+    '<div class="wcPlayEditorPanel wcPlayEditorFlow wcPlayHidden">' +
+      '<div class="wcPlayEditorPanelHeader">' +
+        '<span>Flow Inspector</span>' +
+        '<i class="fa fa-times wcPlayEditorPanelClose" title="Close"/>' +
+      '</div>' +
+      '<div class="wcPlayEditorFlowStatus"/>' +
+      '<div class="wcPlayEditorFlowContent">' +
+        '<div class="wcPlayEditorFlowTitle">Call Stack</div>' +
+        '<div class="wcPlayEditorFlowStack"/>' +
+        '<div class="wcPlayEditorFlowTitle">Flow Trackers</div>' +
+        '<div class="wcPlayEditorFlowTrackers"/>' +
+      '</div>' +
+    '</div>');
+  this._flowKey = null;
+
+  this.$container.append(this.$flow);
+
+  this.$loop = $(
+    '<div class="wcPlayEditorPanel wcPlayEditorLoop wcPlayHidden">' +
+      '<div class="wcPlayEditorPanelHeader">' +
+        '<span>Loop Detected</span>' +
+        '<i class="fa fa-times wcPlayEditorPanelClose" title="Dismiss"/>' +
+      '</div>' +
+      '<div class="wcPlayEditorLoopMessage"/>' +
+      '<div class="wcPlayEditorLoopPolicy"/>' +
+      '<div class="wcPlayEditorLoopNodes"/>' +
+      '<div class="wcPlayEditorLoopLinks"/>' +
+      '<div class="wcPlayEditorPanelButtons">' +
+        '<button class="wcPlayEditorLoopDismiss">Dismiss</button>' +
+      '</div>' +
+    '</div>');
+  this._loopReport = null;
+
+  this.$container.append(this.$loop);
+
+  this.$profiler = $(
+    '<div class="wcPlayEditorPanel wcPlayEditorProfiler wcPlayHidden">' +
+      '<div class="wcPlayEditorPanelHeader">' +
+        '<span>Profiler</span>' +
+        '<i class="fa fa-times wcPlayEditorPanelClose" title="Close"/>' +
+      '</div>' +
+      '<div class="wcPlayEditorPanelButtons">' +
+        '<button class="wcPlayEditorProfilerRecord"/>' +
+        '<button class="wcPlayEditorProfilerClear">Clear</button>' +
+        '<button class="wcPlayEditorProfilerExport">Export...</button>' +
+        '<label><input type="checkbox" class="wcPlayEditorProfilerHeatMap"/>Heat Map</label>' +
+      '</div>' +
+      '<div class="wcPlayEditorProfilerStatus"/>' +
+      '<div class="wcPlayEditorProfilerContent">' +
+        '<div class="wcPlayEditorFlowTitle">Nodes</div>' +
+        '<table class="wcPlayEditorProfilerNodes"/>' +
+        '<div class="wcPlayEditorFlowTitle">Classes</div>' +
+        '<table class="wcPlayEditorProfilerClasses"/>' +
+      '</div>' +
+    '</div>');
+  this._heatMap = null;
+  this._profilerRefreshed = 0;
+
+  this.$container.append(this.$profiler);
+
+  this.$lint = $(
+    '<div class="wcPlayEditorPanel wcPlayEditorLint wcPlayHidden">' +
+      '<div class="wcPlayEditorPanelHeader">' +
+        '<span>Lint</span>' +
+        '<i class="fa fa-times wcPlayEditorPanelClose" title="Close"/>' +
+      '</div>' +
+      '<div class="wcPlayEditorPanelButtons">' +
+        '<button class="wcPlayEditorLintRefresh">Lint Again</button>' +
+        '<span class="wcPlayEditorLintStatus"/>' +
+      '</div>' +
+      '<div class="wcPlayEditorLintList"/>' +
+    '</div>');
+  this._lintKey = null;
+  this._lintRefreshed = 0;
+
+  this.$container.append(this.$lint);
+
+  this.$diff = $(
+    '<div class="wcPlayEditorPanel wcPlayEditorDiff wcPlayHidden">' +
+      '<div class="wcPlayEditorPanelHeader">' +
+        '<span>Compare</span>' +
+        '<i class="fa fa-times wcPlayEditorPanelClose" title="Close"/>' +
+      '</div>' +
+      '<div class="wcPlayEditorPanelButtons">' +
+        '<button class="wcPlayEditorDiffLoad">Compare With...</button>' +
+        '<span class="wcPlayEditorDiffStatus"/>' +
+      '</div>' +
+      '<div class="wcPlayEditorDiffList"/>' +
+    '</div>');
+  this.$hiddenDiffLoader = $('<input type="file" id="wcPlayEditorHiddenDiffLoader"/>');
+  this._diff = null;
+  this._diffRefreshed = 0;
+
+  this.$container.append(this.$diff);
+
+  this._instancesRefreshed = 0;
+
   this.onResized();
 
   this.__setupMenu();
@@ -501,6 +674,131 @@ wcPlayEditor.prototype = {
     }
   },
 
+  /**
+   * Event that is called when the script has exceeded its flow tracker limit.
+   * @function wcPlayEditor#onFlowTrackerLimit
+   */
+  onFlowTrackerLimit: function() {
+    // The chain that hit the limit is shown by onLoopDetected.
+  },
+
+  /**
+   * Event that is called when the script has detected an infinite loop or runaway chain.<br>
+   * The loop is shown in the Loop Detected panel, and its nodes and chains are outlined until it is dismissed.
+   * @function wcPlayEditor#onLoopDetected
+   * @param {wcPlay~LoopReport} report - The loop that was detected.
+   */
+  onLoopDetected: function(report) {
+    var self = this;
+    this._loopReport = report;
+
+    var policies = {};
+    policies[wcPlay.LOOP_POLICY.REPORT] = 'The script has not been changed.';
+    policies[wcPlay.LOOP_POLICY.PAUSE] = 'The script has been paused.';
+    policies[wcPlay.LOOP_POLICY.STOP] = 'The loop has been stopped.';
+    policies[wcPlay.LOOP_POLICY.THROW] = 'An error has been thrown.';
+
+    this.$loop.children('.wcPlayEditorLoopMessage').text(report.message);
+    this.$loop.children('.wcPlayEditorLoopPolicy').text(policies[report.policy] || '');
+
+    var $nodes = this.$loop.children('.wcPlayEditorLoopNodes').empty();
+    report.nodes.forEach(function(node) {
+      $nodes.append($('<div class="wcPlayEditorLoopNode">').text(self.__nodeLabel(node)).data('node', node));
+    });
+
+    var $links = this.$loop.children('.wcPlayEditorLoopLinks').empty();
+    report.links.forEach(function(link) {
+      $links.append($('<div>').text(self.__nodeLabel(link.fromNode) + ' "' + link.fromName + '" \u2192 ' + self.__nodeLabel(link.toNode) + ' "' + link.toName + '"'));
+    });
+
+    this.$loop.removeClass('wcPlayHidden');
+  },
+
+  /**
+   * Event that is called when a node's breakpoint has printed its log message instead of pausing the script.
+   * @function wcPlayEditor#onLogPoint
+   * @param {wcNode} node - The node with the breakpoint.
+   * @param {string} message - The message that was printed.
+   */
+  onLogPoint: function(node, message) {
+    var MAX_LINES = 100;
+    var $log = this.$breakpoints.children('.wcPlayEditorBreakpointsLog');
+    $log.append($('<div>').text(node.type + ' "' + node.name + '": ' + message));
+    $log.children().slice(0, -MAX_LINES).remove();
+    $log.scrollTop($log[0].scrollHeight);
+  },
+
+  /**
+   * Compares the script with another version of it, such as an older revision from version control. The changes are listed in the Compare panel, and kept up to date as the script is edited.<br>
+   * Nodes that were added since that version are outlined in green, and those that were changed in orange.
+   * @function wcPlayEditor#compareWith
+   * @param {string|Object} saveData - The other version of the script, as written by [save]{@link wcPlay#save}, or its parsed object.
+   * @param {string} [name] - A name for the other version, such as its file name, shown in the panel.
+   * @returns {boolean} - Fails if the other version could not be read.
+   * @see wcPlay.diffScripts
+   */
+  compareWith: function(saveData, name) {
+    var data = saveData;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (err) {
+        return false;
+      }
+    }
+    if (!this._engine || this._engine.validate(data).length) {
+      return false;
+    }
+
+    this._diff = {base: data, name: name || 'the other version', key: null, nodes: {}};
+    this._diffRefreshed = 0;
+    this.$diff.removeClass('wcPlayHidden');
+    return true;
+  },
+
+  /**
+   * Begins replaying a trace over the script, one event at a time. The trace is shown in the Trace Replay panel, and each event flashes and focuses on the node it happened on.<br>
+   * The trace does not need to come from this editor, such as one recorded by a headless script, as long as it was recorded with the same script.
+   * @function wcPlayEditor#replayTrace
+   * @param {wcPlay~Trace|string} trace - The trace, or its serialized string as given by {@link wcPlay#exportTrace}.
+   * @returns {boolean} - Fails if the trace could not be read.
+   */
+  replayTrace: function(trace) {
+    if (typeof trace === 'string') {
+      try {
+        trace = JSON.parse(trace);
+      } catch (err) {
+        this.error('Failed to read the trace: ' + err.message);
+        return false;
+      }
+    }
+
+    if (!trace || typeof trace !== 'object' || !Array.isArray(trace.events)) {
+      this.error('Failed to read the trace: It has no list of events.');
+      return false;
+    }
+
+    this._replay = {
+      trace: trace,
+      index: -1
+    };
+    this.$trace.find('.wcPlayEditorTraceSlider').attr('max', Math.max(0, trace.events.length-1));
+    this.$trace.removeClass('wcPlayHidden');
+    this.__showTraceEvent(0);
+    return true;
+  },
+
+  /**
+   * Event that is called when a watched property has paused the script.
+   * @function wcPlayEditor#onWatchHit
+   * @param {wcPlay~Watch} watch - The watch that paused the script.
+   */
+  onWatchHit: function(watch) {
+    this._watchHit = watch;
+    this._watchListKey = null;
+    this.$watches.removeClass('wcPlayHidden');
+  },
+
   /**
    * Event that is called when the container view is resized.
    * @function wcPlayEditor#onResized
@@ -906,6 +1204,22 @@ wcPlayEditor.prototype = {
     this.onResized();
 
     this._menu.update();
+    if (!this.$breakpoints.hasClass('wcPlayHidden')) {
+      this.__updateBreakpoints();
+    }
+    if (!this.$watches.hasClass('wcPlayHidden')) {
+      this.__updateWatches();
+    }
+    if (!this.$flow.hasClass('wcPlayHidden')) {
+      this.__updateFlowInspector();
+    }
+    if (!this.$trace.hasClass('wcPlayHidden') && this._engine) {
+      this.$trace.find('.wcPlayEditorTraceRecord').text(this._engine.tracing()? 'Stop Recording': 'Record');
+    }
+    this.__updateProfiler(timestamp);
+    this.__updateLint(timestamp);
+    this.__updateDiff(timestamp);
+    this.__updateInstances(timestamp);
     if (this._parent) {
 
       // Render the palette.
@@ -1194,6 +1508,22 @@ wcPlayEditor.prototype = {
     }
   },
 
+  /**
+   * Retrieves a warning message if a property output can not be chained to a property input because of their data types.
+   * @function wcPlayEditor#__dataTypeWarning
+   * @private
+   * @param {string} outputType - The data type of the property output.
+   * @param {string} inputType - The data type of the property input.
+   * @returns {string} - The warning message, or an empty string if the types are compatible or type checking is disabled.
+   */
+  __dataTypeWarning: function(outputType, inputType) {
+    if (this._engine.typeChecking() === wcPlay.TYPE_CHECK.NONE ||
+        wcPlay.typeCompatibility(outputType, inputType) !== wcPlay.TYPE_COMPATIBILITY.INCOMPATIBLE) {
+      return '';
+    }
+    return 'Warning: Data type "' + outputType + '" is incompatible with "' + inputType + '".';
+  },
+
   /**
    * Initializes the file menu and toolbar.
    * @function wcPlayEditor#__setupMenu
@@ -1266,7 +1596,8 @@ wcPlayEditor.prototype = {
 
           editor.triggerEvent('onBeforeSave', []);
 
-          var savedData = editor._engine.save();
+          // Save in the pretty format, so the script can be compared and merged in version control.
+          var savedData = editor._engine.save(true);
           var blob;
           try {
             blob = new Blob([savedData], {type: 'text/plain'});
@@ -1305,6 +1636,19 @@ wcPlayEditor.prototype = {
       }
     });
 
+    // File -> Compare With...
+    this._menu.addOption('File', 'Compare With...', {
+      icon: 'fa fa-columns fa-lg',
+      description: 'Compare this script with another version of it, and outline the nodes that were added or changed.',
+      toolbarIndex: -1,
+      condition: function(editor) {
+        return Boolean(editor._engine);
+      },
+      onActivated: function(editor) {
+        editor.__openDiffFile();
+      }
+    });
+
     // Edit -> Undo
     this._menu.addOption('Edit', 'Undo', {
       hotkeys: 'Ctrl+Z',
@@ -1413,7 +1757,7 @@ wcPlayEditor.prototype = {
         editor._selectedNode = null;
         editor._selectedNodes = [];
 
-        var idMap = [];
+        var idMap = {};
         var nodes = [];
         var data = null;
         var newNode = null;
@@ -1499,6 +1843,34 @@ wcPlayEditor.prototype = {
       }
     });
 
+    // Edit -> Share Composite
+    this._menu.addOption('Edit', 'Share Composite', {
+      icon: 'fa fa-clone fa-lg',
+      toolbarIndex: -1,
+      description: 'Turn the selected "Composite" Node into a shared definition, placed from the palette as instances that follow its changes.',
+      condition: function(editor) {
+        return !editor._options.readOnly && editor._selectedNodes.length === 1 &&
+          editor._selectedNodes[0].instanceOf('wcNodeCompositeScript') && !editor._selectedNodes[0].definition();
+      },
+      onActivated: function(editor) {
+        editor.__shareComposite(editor._selectedNodes[0]);
+      }
+    });
+
+    // Edit -> Embed Composite
+    this._menu.addOption('Edit', 'Embed Composite', {
+      icon: 'fa fa-chain-broken fa-lg',
+      toolbarIndex: -1,
+      description: 'Detach the selected "Composite" Node from its shared definition, keeping its current contents as its own.',
+      condition: function(editor) {
+        return !editor._options.readOnly && editor._selectedNodes.length === 1 &&
+          editor._selectedNodes[0].instanceOf('wcNodeCompositeScript') && editor._selectedNodes[0].definition() !== '';
+      },
+      onActivated: function(editor) {
+        editor._selectedNodes[0].embed();
+      }
+    });
+
     // Debugging -> Toggle Debug Mode
     this._menu.addOption('Debugging', 'Toggle Debug Mode', {
       icon: function(editor) {
@@ -1616,6 +1988,108 @@ wcPlayEditor.prototype = {
       }
     });
 
+    // Debugging -> Breakpoints...
+    this._menu.addOption('Debugging', 'Breakpoints...', {
+      icon: 'fa fa-list fa-lg',
+      toolbarIndex: -1,
+      description: 'Show or hide the list of breakpoints in the script.',
+      toggle: function(editor) {
+        return !editor.$breakpoints.hasClass('wcPlayHidden');
+      },
+      condition: function(editor) {
+        return Boolean(editor._engine);
+      },
+      onActivated: function(editor) {
+        editor.$breakpoints.toggleClass('wcPlayHidden');
+        editor._breakpointListKey = null;
+      }
+    });
+
+    // Debugging -> Watches...
+    this._menu.addOption('Debugging', 'Watches...', {
+      icon: 'fa fa-eye fa-lg',
+      toolbarIndex: -1,
+      description: 'Show or hide the list of watched properties, with their values and the history of their changes.',
+      toggle: function(editor) {
+        return !editor.$watches.hasClass('wcPlayHidden');
+      },
+      condition: function(editor) {
+        return Boolean(editor._engine);
+      },
+      onActivated: function(editor) {
+        editor.$watches.toggleClass('wcPlayHidden');
+        editor._watchListKey = null;
+        editor._watchTargetKey = null;
+      }
+    });
+
+    // Debugging -> Flow Inspector...
+    this._menu.addOption('Debugging', 'Flow Inspector...', {
+      icon: 'fa fa-indent fa-lg',
+      toolbarIndex: -1,
+      description: 'Show or hide the chain of nodes that led to the paused activation, and every flow chain that is still running.',
+      toggle: function(editor) {
+        return !editor.$flow.hasClass('wcPlayHidden');
+      },
+      condition: function(editor) {
+        return Boolean(editor._engine);
+      },
+      onActivated: function(editor) {
+        editor.$flow.toggleClass('wcPlayHidden');
+        editor._flowKey = null;
+      }
+    });
+
+    // Debugging -> Lint...
+    this._menu.addOption('Debugging', 'Lint...', {
+      icon: 'fa fa-check-square-o fa-lg',
+      toolbarIndex: -1,
+      description: 'Show or hide the list of likely mistakes in the script, such as nodes that can never be activated.',
+      toggle: function(editor) {
+        return !editor.$lint.hasClass('wcPlayHidden');
+      },
+      condition: function(editor) {
+        return Boolean(editor._engine);
+      },
+      onActivated: function(editor) {
+        editor.$lint.toggleClass('wcPlayHidden');
+        editor._lintRefreshed = 0;
+      }
+    });
+
+    // Debugging -> Profiler...
+    this._menu.addOption('Debugging', 'Profiler...', {
+      icon: 'fa fa-tachometer fa-lg',
+      toolbarIndex: -1,
+      description: 'Show or hide the panel for measuring how much time each node takes, and tinting nodes by their cost.',
+      toggle: function(editor) {
+        return !editor.$profiler.hasClass('wcPlayHidden');
+      },
+      condition: function(editor) {
+        return Boolean(editor._engine);
+      },
+      onActivated: function(editor) {
+        editor.$profiler.toggleClass('wcPlayHidden');
+        editor._profilerRefreshed = 0;
+      }
+    });
+
+    // Debugging -> Trace Replay...
+    this._menu.addOption('Debugging', 'Trace Replay...', {
+      icon: 'fa fa-history fa-lg',
+      toolbarIndex: -1,
+      description: 'Show or hide the panel for recording a trace of the script, and replaying traces one event at a time.',
+      toggle: function(editor) {
+        return !editor.$trace.hasClass('wcPlayHidden');
+      },
+      condition: function(editor) {
+        return Boolean(editor._engine);
+      },
+      onActivated: function(editor) {
+        editor.$trace.toggleClass('wcPlayHidden');
+      }
+    });
+
     // View -> Create Composite
     this._menu.addOption('View', 'Fit in View', {
       hotkeys: 'F',
@@ -1717,94 +2191,1190 @@ wcPlayEditor.prototype = {
       }
     }
 
-    function __searchNext() {
-      if (searchResults.length) {
-        searchIndex += 1;
-        if (searchIndex >= searchResults.length) {
-          searchIndex = 0;
-        }
-        self._parent = searchResults[searchIndex]._parent;
-        self.focus([searchResults[searchIndex]]);
-        self._selectedNodes = searchResults;
+    function __searchNext() {
+      if (searchResults.length) {
+        searchIndex += 1;
+        if (searchIndex >= searchResults.length) {
+          searchIndex = 0;
+        }
+        self._parent = searchResults[searchIndex]._parent;
+        self.focus([searchResults[searchIndex]]);
+        self._selectedNodes = searchResults;
+      }
+    }
+
+    this.$search.children('.wcPlayEditorSearchPrev').click(__searchPrev);
+    this.$search.children('.wcPlayEditorSearchNext').click(__searchNext);
+
+    this.$search.keydown(function(event) {
+      if (event.keyCode === 27) {
+        if (!self.$search.hasClass('wcPlayHidden')) {
+          self.$search.addClass('wcPlayHidden');
+        }
+      } else if (event.keyCode === 13 || event.keyCode === 40 || event.keyCode === 9) {
+        // Return, Down arrow, or Tab to cycle next item.
+        __searchNext();
+        event.stopPropagation();
+        event.preventDefault();
+        return true;
+      } else if (event.keyCode === 38) {
+        // Up arrow to cycle previous item.
+        __searchPrev();
+        event.stopPropagation();
+        event.preventDefault();
+        return true;
+      }
+    });
+
+    this.$search.keyup(function() {
+      // Re-perform the search when the search value has changed.
+      var val = $field.val().toLowerCase();
+      if (searchValue !== val) {
+        searchIndex = 0;
+        searchParent = self._parent;
+        searchValue = val;
+        __searchNodes();
+      }
+    });
+
+    // View -> Search...
+    this._menu.addOption('View', 'Search...', {
+      hotkeys: 'Ctrl+F',
+      icon: 'fa fa-search fa-lg',
+      toolbarIndex: -1,
+      description: 'Toggle the visual style of the chains.',
+      onActivated: function(editor) {
+        editor.$search.removeClass('wcPlayHidden');
+        $field.focus();
+        $field.select();
+
+        if (searchResults.length) {
+          __searchNodes();
+        }
+      }
+    });
+
+    // Help -> Documentation...
+    this._menu.addOption('Help', 'Documentation...', {
+      icon: 'fa fa-file-pdf-o fa-lg',
+      description: 'Open the documentation for wcPlay in another window.',
+      onActivated: function(editor) {
+        window.open('http://play.api.webcabin.org/', '_blank');
+      }
+    });
+
+    this._menu.addSpacer('File', 'Save Script');
+    this._menu.addSpacer('File', 'Import...');
+    this._menu.addSpacer('Edit', 'Redo');
+    this._menu.addSpacer('Edit', 'Delete');
+    this._menu.addSpacer('View', 'Enter Composite');
+    this._menu.addSpacer('View', 'Chain Style');
+    this._menu.addSpacer('Debugging', 'Toggle Silence Mode');
+    this._menu.addToolbarSpacer('File', 'Save Script');
+    this._menu.addToolbarSpacer('File', 'Import...');
+    this._menu.addToolbarSpacer('Edit', 'Redo');
+    this._menu.addToolbarSpacer('Edit', 'Delete');
+    this._menu.addToolbarSpacer('Edit', 'Create Composite');
+    this._menu.addToolbarSpacer('View', 'Enter Composite');
+    this._menu.addToolbarSpacer('View', 'Chain Style');
+    this._menu.addToolbarSpacer('Debugging', 'Toggle Silence Mode');
+    this._menu.addToolbarSpacer('Debugging', 'Step Script');
+
+    this.__setupBreakpoints();
+    this.__setupWatches();
+    this.__setupTrace();
+    this.__setupFlowInspector();
+    this.__setupLoopReport();
+    this.__setupProfiler();
+    this.__setupLint();
+    this.__setupDiff();
+  },
+
+  /**
+   * Initializes the controls of the breakpoint panel.
+   * @function wcPlayEditor#__setupBreakpoints
+   * @private
+   */
+  __setupBreakpoints: function() {
+    var self = this;
+    var $list = this.$breakpoints.children('.wcPlayEditorBreakpointsList');
+
+    function __setAll(options, title) {
+      if (!self._engine) {
+        return;
+      }
+
+      var breakpoints = self._engine.listBreakpoints();
+      self._undoManager && self._undoManager.beginGroup(title);
+      for (var i = 0; i < breakpoints.length; ++i) {
+        self.__changeBreakpoint(breakpoints[i].node, options);
+      }
+      self._undoManager && self._undoManager.endGroup();
+    }
+
+    function __item(elem) {
+      return self._breakpointList[$(elem).closest('.wcPlayEditorBreakpoint').data('index')];
+    }
+
+    this.$breakpoints.find('.wcPlayEditorPanelClose').click(function() {
+      self.$breakpoints.addClass('wcPlayHidden');
+    });
+    this.$breakpoints.find('.wcPlayEditorBreakpointsEnable').click(function() {
+      __setAll({enabled: true}, 'Enabled all Breakpoints');
+    });
+    this.$breakpoints.find('.wcPlayEditorBreakpointsDisable').click(function() {
+      __setAll({enabled: false}, 'Disabled all Breakpoints');
+    });
+    this.$breakpoints.find('.wcPlayEditorBreakpointsRemove').click(function() {
+      __setAll({enabled: false, condition: '', hitCount: 0, logMessage: ''}, 'Removed all Breakpoints');
+    });
+
+    $list.on('change', '.wcPlayEditorBreakpointEnabled', function() {
+      self.__changeBreakpoint(__item(this).node, {enabled: $(this).is(':checked')});
+    });
+    $list.on('change', '.wcPlayEditorBreakpointCondition', function() {
+      self.__changeBreakpoint(__item(this).node, {condition: $(this).val()});
+    });
+    $list.on('change', '.wcPlayEditorBreakpointHitCount', function() {
+      self.__changeBreakpoint(__item(this).node, {hitCount: $(this).val()});
+    });
+    $list.on('change', '.wcPlayEditorBreakpointLogMessage', function() {
+      self.__changeBreakpoint(__item(this).node, {logMessage: $(this).val()});
+    });
+    $list.on('click', '.wcPlayEditorBreakpointNode', function() {
+      var node = __item(this).node;
+      self._parent = node._parent;
+      self._selectedNode = node;
+      self._selectedNodes = [node];
+      self.focus([node]);
+    });
+
+    // Keep key presses within the panel from triggering editor hotkeys.
+    var ESCAPE_KEY = 27;
+    this.$breakpoints.keydown(function(event) {
+      if (event.keyCode === ESCAPE_KEY) {
+        self.$breakpoints.addClass('wcPlayHidden');
+      }
+      event.stopPropagation();
+    });
+  },
+
+  /**
+   * Initializes the controls of the watch panel.
+   * @function wcPlayEditor#__setupWatches
+   * @private
+   */
+  __setupWatches: function() {
+    var self = this;
+    var $list = this.$watches.children('.wcPlayEditorWatchesList');
+    var $target = this.$watches.find('.wcPlayEditorWatchesTarget');
+    var $property = this.$watches.find('.wcPlayEditorWatchesProperty');
+
+    function __item(elem) {
+      return self._watchList[$(elem).closest('.wcPlayEditorWatch').data('index')];
+    }
+
+    this.$watches.find('.wcPlayEditorPanelClose').click(function() {
+      self.$watches.addClass('wcPlayHidden');
+    });
+    $target.change(function() {
+      self._watchTargetKey = null;
+    });
+    this.$watches.find('.wcPlayEditorWatchesAdd').click(function() {
+      var name = $property.val();
+      if (self._engine && name) {
+        var node = $target.val() === 'global'? null: $target.children('option:selected').data('node');
+        self._engine.addWatch(node, name);
+      }
+    });
+    this.$watches.find('.wcPlayEditorWatchesClear').click(function() {
+      self._engine && self._engine.clearWatchHistory();
+    });
+    this.$watches.find('.wcPlayEditorWatchesRemove').click(function() {
+      var watches = self._engine? self._engine.listWatches(): [];
+      for (var i = 0; i < watches.length; ++i) {
+        self._engine.removeWatch(watches[i].node, watches[i].name);
+      }
+    });
+
+    $list.on('change', '.wcPlayEditorWatchBreak', function() {
+      var watch = __item(this);
+      self._engine.addWatch(watch.node, watch.name, {breakOnChange: $(this).is(':checked')});
+    });
+    $list.on('change', '.wcPlayEditorWatchCondition', function() {
+      var watch = __item(this);
+      self._engine.addWatch(watch.node, watch.name, {condition: $(this).val()});
+    });
+    $list.on('click', '.wcPlayEditorWatchRemove', function() {
+      var watch = __item(this);
+      self._engine.removeWatch(watch.node, watch.name);
+    });
+    $list.on('click', '.wcPlayEditorWatchName', function() {
+      var node = __item(this).node;
+      if (node) {
+        self._parent = node._parent;
+        self._selectedNode = node;
+        self._selectedNodes = [node];
+        self.focus([node]);
+      }
+    });
+
+    // Keep key presses within the panel from triggering editor hotkeys.
+    var ESCAPE_KEY = 27;
+    this.$watches.keydown(function(event) {
+      if (event.keyCode === ESCAPE_KEY) {
+        self.$watches.addClass('wcPlayHidden');
+      }
+      event.stopPropagation();
+    });
+  },
+
+  /**
+   * Updates the watch panel, rebuilding its controls only when the watches or the selected node have changed.
+   * @function wcPlayEditor#__updateWatches
+   * @private
+   */
+  __updateWatches: function() {
+    var MAX_HISTORY = 10;
+    var i = 0;
+    var engine = this._engine;
+    var watches = engine? engine.listWatches(): [];
+    var $list = this.$watches.children('.wcPlayEditorWatchesList');
+
+    if (this._watchHit && engine && !engine.paused()) {
+      this._watchHit = null;
+      this._watchListKey = null;
+    }
+
+    // The properties that can be watched are those of the script and the selected node.
+    var selected = this._selectedNodes.length === 1? this._selectedNodes[0]: null;
+    var $target = this.$watches.find('.wcPlayEditorWatchesTarget');
+    var targetKey = JSON.stringify([selected && selected.id, $target.val()]);
+    if (targetKey !== this._watchTargetKey) {
+      var current = $target.val();
+      $target.empty();
+      $target.append($('<option value="global">').text('Global'));
+      if (selected) {
+        $target.append($('<option>').val(selected.id).data('node', selected).text(this.__nodeLabel(selected)));
+      }
+      $target.val(current === 'global' || !selected? 'global': String(selected.id));
+
+      var $property = this.$watches.find('.wcPlayEditorWatchesProperty');
+      var properties = [];
+      if ($target.val() !== 'global') {
+        properties = selected.properties;
+      } else if (engine) {
+        properties = engine.listProperties();
+      }
+      $property.empty();
+      for (i = 0; i < properties.length; ++i) {
+        $property.append($('<option>').val(properties[i].name).text(properties[i].name));
+      }
+      this._watchTargetKey = JSON.stringify([selected && selected.id, $target.val()]);
+    }
+
+    var key = JSON.stringify(watches.map(function(watch) {
+      return [watch.node && watch.node.id, watch.node && watch.node.name, watch.name, watch.breakOnChange, watch.condition];
+    }));
+    this._watchList = watches;
+    if (key !== this._watchListKey) {
+      this._watchListKey = key;
+
+      $list.empty();
+      if (!watches.length) {
+        $list.append('<div class="wcPlayEditorBreakpointsEmpty">Choose a property above to watch it.</div>');
+      }
+
+      for (i = 0; i < watches.length; ++i) {
+        var watch = watches[i];
+        var $item = $(
+          '<div class="wcPlayEditorWatch">' +
+            '<span class="wcPlayEditorWatchName"/>' +
+            '<i class="fa fa-times wcPlayEditorWatchRemove" title="Stop watching"/>' +
+            '<span class="wcPlayEditorWatchValue"/>' +
+            '<div>' +
+              '<label title="Pause the script every time the value changes."><input type="checkbox" class="wcPlayEditorWatchBreak"/>Break on change</label>' +
+              '<input type="text" class="wcPlayEditorWatchCondition" placeholder="Break condition" title="Pause the script when this expression is true after the value changes, it can use value, oldValue, and hits."/>' +
+            '</div>' +
+            '<div class="wcPlayEditorWatchHistory"/>' +
+          '</div>');
+
+        $item.data('index', i);
+        $item.toggleClass('wcPlayEditorWatchHit', watch === this._watchHit);
+        $item.children('.wcPlayEditorWatchName').text((watch.node? this.__nodeLabel(watch.node) + '.': 'Global.') + watch.name);
+        $item.find('.wcPlayEditorWatchBreak').prop('checked', watch.breakOnChange);
+        $item.find('.wcPlayEditorWatchCondition').val(watch.condition);
+        $list.append($item);
+      }
+    }
+
+    // Values and history change while the script runs.
+    var self = this;
+    $list.children('.wcPlayEditorWatch').each(function(index) {
+      var item = watches[index];
+      var value = item.node? item.node.property(item.name): engine.property(item.name);
+      $(this).children('.wcPlayEditorWatchValue').text(self.__valueText(value));
+
+      var history = item.history.slice(-MAX_HISTORY);
+      var historyKey = item.history.length + ':' + (history.length && history[history.length-1].time);
+      var $history = $(this).children('.wcPlayEditorWatchHistory');
+      if ($history.data('key') !== historyKey) {
+        $history.data('key', historyKey);
+        $history.empty();
+        for (var a = history.length-1; a >= 0; --a) {
+          $history.append($('<div>').text(self.__valueText(history[a].oldValue) + ' \u2192 ' + self.__valueText(history[a].newValue)));
+        }
+      }
+    });
+  },
+
+  /**
+   * Initializes the controls of the flow inspector panel.
+   * @function wcPlayEditor#__setupFlowInspector
+   * @private
+   */
+  __setupFlowInspector: function() {
+    var self = this;
+    this.$flow.find('.wcPlayEditorPanelClose').click(function() {
+      self.$flow.addClass('wcPlayHidden');
+    });
+    this.$flow.on('click', '.wcPlayEditorFlowNode', function() {
+      var node = $(this).closest('.wcPlayEditorFlowRow').data('node');
+      if (node) {
+        self._parent = node._parent;
+        self._selectedNode = node;
+        self._selectedNodes = [node];
+        self.focus([node]);
+      }
+    });
+  },
+
+  /**
+   * Initializes the controls of the loop report panel.
+   * @function wcPlayEditor#__setupLoopReport
+   * @private
+   */
+  __setupLoopReport: function() {
+    var self = this;
+    this.$loop.find('.wcPlayEditorPanelClose, .wcPlayEditorLoopDismiss').click(function() {
+      self._loopReport = null;
+      self.$loop.addClass('wcPlayHidden');
+    });
+    this.$loop.on('click', '.wcPlayEditorLoopNode', function() {
+      var node = $(this).data('node');
+      self._parent = node._parent;
+      self._selectedNode = node;
+      self._selectedNodes = [node];
+      self.focus([node]);
+    });
+  },
+
+  /**
+   * Tests whether a chain is part of the loop being shown in the loop report panel.
+   * @function wcPlayEditor#__isLoopLink
+   * @private
+   * @param {wcNode} fromNode - The node the chain starts from.
+   * @param {string} fromName - The name of the exit link or output property the chain starts from.
+   * @param {wcNode} toNode - The node the chain leads to.
+   * @param {string} toName - The name of the entry link or input property the chain leads to.
+   * @returns {boolean} - True if the chain is part of the loop.
+   */
+  __isLoopLink: function(fromNode, fromName, toNode, toName) {
+    if (!this._loopReport) {
+      return false;
+    }
+
+    for (var i = 0; i < this._loopReport.links.length; ++i) {
+      var link = this._loopReport.links[i];
+      if (link.fromNode === fromNode && link.fromName === fromName && link.toNode === toNode && link.toName === toName) {
+        return true;
+      }
+    }
+    return false;
+  },
+
+  /**
+   * Updates the flow inspector panel while the script is paused, rebuilding it only when the flow has changed.
+   * @function wcPlayEditor#__updateFlowInspector
+   * @private
+   */
+  __updateFlowInspector: function() {
+    var MAX_ROWS = 200;
+    var i = 0;
+    var engine = this._engine;
+    var paused = engine && engine.isRunning() && engine.paused();
+    var queued = paused? engine.queuedActivations(): [];
+    var roots = paused? engine.flowTrackers(): [];
+
+    var key = JSON.stringify([paused, engine && engine._flowTrackers, queued.map(function(item) {
+      return [item.node.id, item.name, item.tracker && item.tracker.id];
+    }), roots.map(function(tracker) {
+      return tracker.id;
+    })]);
+    if (key === this._flowKey) {
+      return;
+    }
+    this._flowKey = key;
+
+    var $status = this.$flow.children('.wcPlayEditorFlowStatus');
+    var $content = this.$flow.children('.wcPlayEditorFlowContent');
+    var $stack = $content.children('.wcPlayEditorFlowStack');
+    var $trackers = $content.children('.wcPlayEditorFlowTrackers');
+    $stack.empty();
+    $trackers.empty();
+    $content.toggleClass('wcPlayHidden', !paused);
+    if (!paused) {
+      $status.text('Pause the script, or hit a breakpoint, to inspect its flow chains.');
+      return;
+    }
+
+    // The stack shows the activations the script paused on, or every queued activation when stepping.
+    var broken = queued.filter(function(item) {
+      return item.node.isBroken();
+    });
+    if (!broken.length) {
+      broken = queued;
+    }
+    $status.text(broken.length? 'Paused before activating ' + broken.length + ' node(s).': 'Paused, no nodes are waiting to activate.');
+
+    for (i = 0; i < broken.length; ++i) {
+      var item = broken[i];
+      $stack.append(this.__flowRow(item.node, 0, 'Activating "' + item.name + '"' + (item.fromNode? ' from exit "' + item.fromName + '" of ' + this.__nodeLabel(item.fromNode): '')));
+
+      var depth = 1;
+      for (var tracker = item.tracker; tracker; tracker = tracker.parent) {
+        $stack.append(this.__flowRow(tracker.node, depth, this.__describeFlowTracker(tracker)));
+        depth++;
+      }
+      if (!item.tracker) {
+        $stack.append(this.__flowRow(null, 1, 'This chain is not tracked, nothing is waiting for it to finish.'));
+      }
+    }
+
+    // The tree of every flow tracker that is still waiting on its chains.
+    var rows = 0;
+    var self = this;
+    function __addTracker(child, level) {
+      if (rows >= MAX_ROWS) {
+        return;
+      }
+      rows++;
+      $trackers.append(self.__flowRow(child.node, level, self.__describeFlowTracker(child)));
+      for (var a = 0; a < child.children.length; ++a) {
+        __addTracker(child.children[a], level + 1);
+      }
+    }
+    for (i = 0; i < roots.length; ++i) {
+      __addTracker(roots[i], 0);
+    }
+    if (!roots.length) {
+      $trackers.append(this.__flowRow(null, 0, 'No flow chains are being tracked.'));
+    } else if (rows >= MAX_ROWS) {
+      $trackers.append(this.__flowRow(null, 0, 'Only the first ' + MAX_ROWS + ' of ' + engine._flowTrackers + ' trackers are shown.'));
+    }
+  },
+
+  /**
+   * Retrieves the text that describes the state of a flow tracker in the flow inspector.
+   * @function wcPlayEditor#__describeFlowTracker
+   * @private
+   * @param {wcPlay~FlowTracker} tracker - The tracker.
+   * @returns {string} - The description.
+   */
+  __describeFlowTracker: function(tracker) {
+    var description = 'Tracker ' + tracker.id + ', waiting on ' + tracker.children.length + ' chain(s)';
+    if (tracker.callback) {
+      description += ', a done callback is waiting';
+    }
+    if (tracker.functionFrame) {
+      description += ', call of function "' + tracker.functionFrame.definition.name + '"';
+    }
+    return description;
+  },
+
+  /**
+   * Creates a row of the flow inspector, which focuses on its node when clicked.
+   * @function wcPlayEditor#__flowRow
+   * @private
+   * @param {wcNode|Object|null} node - The node of the row, if any. Trackers begun by the script itself, such as by {@link wcPlay#triggerEvent}, have no node.
+   * @param {number} level - The indentation level of the row.
+   * @param {string} description - The text shown after the node.
+   * @returns {external:jQuery~Object} - The row.
+   */
+  __flowRow: function(node, level, description) {
+    var INDENT = 12;
+    var $row = $('<div class="wcPlayEditorFlowRow">');
+    $row.css('padding-left', (level * INDENT) + 'px');
+    if (node && typeof node.instanceOf === 'function' && node.instanceOf('wcNode')) {
+      $row.data('node', node);
+      $row.append($('<span class="wcPlayEditorFlowNode" title="Focus on this node"/>').text(this.__nodeLabel(node)));
+      $row.append(' ');
+    }
+    $row.append($('<span class="wcPlayEditorFlowDetails"/>').text(description));
+    return $row;
+  },
+
+  /**
+   * Saves serialized JSON data into a file for the user.
+   * @function wcPlayEditor#__saveJSON
+   * @private
+   * @param {string} data - The serialized data.
+   * @param {string} fileName - The name of the file.
+   */
+  __saveJSON: function(data, fileName) {
+    if (!saveAs) {
+      this.error('ERROR: Attempted to save "' + fileName + '" when external dependency "FileSaver" was not included.');
+      return;
+    }
+
+    var blob;
+    try {
+      blob = new Blob([data], {type: 'application/json'});
+    } catch (e) {
+      // Legacy support
+      var bb = new BlobBuilder();
+      bb.append(data);
+      blob = bb.getBlob('application/json');
+    }
+    saveAs(blob, fileName);
+  },
+
+  /**
+   * Initializes the controls of the profiler panel.
+   * @function wcPlayEditor#__setupProfiler
+   * @private
+   */
+  __setupProfiler: function() {
+    var self = this;
+    this.$profiler.find('.wcPlayEditorPanelClose').click(function() {
+      self.$profiler.addClass('wcPlayHidden');
+    });
+    this.$profiler.find('.wcPlayEditorProfilerRecord').click(function() {
+      self._engine && self._engine.profiling(!self._engine.profiling());
+      self._profilerRefreshed = 0;
+    });
+    this.$profiler.find('.wcPlayEditorProfilerClear').click(function() {
+      self._engine && self._engine.clearProfile();
+      self._profilerRefreshed = 0;
+    });
+    this.$profiler.find('.wcPlayEditorProfilerExport').click(function() {
+      if (self._engine && self._engine.profile()) {
+        self.__saveJSON(self._engine.exportProfile(), 'profile.json');
+      }
+    });
+    this.$profiler.find('.wcPlayEditorProfilerHeatMap').change(function() {
+      self._heatMap = this.checked? {}: null;
+      self._profilerRefreshed = 0;
+    });
+    this.$profiler.on('click', '.wcPlayEditorFlowNode', function() {
+      var node = self._engine && self._engine.nodeById($(this).closest('tr').data('id'));
+      if (node) {
+        self._parent = node._parent;
+        self._selectedNode = node;
+        self._selectedNodes = [node];
+        self.focus([node]);
+      }
+    });
+  },
+
+  /**
+   * Updates the profiler panel and the heat map from the script's profile, at most a few times a second.
+   * @function wcPlayEditor#__updateProfiler
+   * @private
+   * @param {number} timestamp - The current timestamp.
+   */
+  __updateProfiler: function(timestamp) {
+    var REFRESH_RATE = 500;
+    var visible = !this.$profiler.hasClass('wcPlayHidden');
+    if ((!visible && !this._heatMap) || timestamp - this._profilerRefreshed < REFRESH_RATE) {
+      return;
+    }
+    this._profilerRefreshed = timestamp;
+
+    var profile = this._engine? this._engine.profile(): null;
+    if (this._heatMap) {
+      // Tint each node by its share of the time taken by the most expensive node.
+      this._heatMap = {};
+      var nodes = profile? profile.nodes: [];
+      for (var i = 0; i < nodes.length && nodes[0].totalTime > 0; ++i) {
+        this._heatMap[nodes[i].id] = nodes[i].totalTime / nodes[0].totalTime;
+      }
+    }
+
+    if (visible) {
+      this.__showProfile(profile);
+    }
+  },
+
+  /**
+   * Fills the profiler panel with a profile.
+   * @function wcPlayEditor#__showProfile
+   * @private
+   * @param {wcPlay~Profile|null} profile - The profile, or null if nothing has been profiled.
+   */
+  __showProfile: function(profile) {
+    var MAX_ROWS = 50;
+    var DIGITS = 3;
+    var profiling = Boolean(this._engine && this._engine.profiling());
+    this.$profiler.find('.wcPlayEditorProfilerRecord').text(profiling? 'Stop Profiling': 'Start Profiling');
+
+    var $status = this.$profiler.children('.wcPlayEditorProfilerStatus');
+    var $nodes = this.$profiler.find('.wcPlayEditorProfilerNodes').empty();
+    var $classes = this.$profiler.find('.wcPlayEditorProfilerClasses').empty();
+    if (!profile) {
+      $status.text('Nothing has been profiled.');
+      return;
+    }
+
+    var maxChain = 0, maxProperties = 0;
+    profile.queues.forEach(function(queue) {
+      maxChain = Math.max(maxChain, queue.chain);
+      maxProperties = Math.max(maxProperties, queue.properties);
+    });
+    $status.text(profile.updates + ' updates took ' + profile.updateTime.toFixed(DIGITS) + ' ms. Longest queues: ' + maxChain + ' activations, ' + maxProperties + ' property changes.');
+
+    var header = '<tr><th/><th title="Activations">Act.</th><th title="Average ms per activation">Avg.</th><th title="Property changes">Prop.</th><th title="Average ms per property change">Avg.</th><th title="Total ms">Total</th></tr>';
+    function __row(label, item) {
+      return $('<tr>').append(
+        $('<td>').append(label),
+        $('<td>').text(item.activations),
+        $('<td>').text(item.averageActivationTime.toFixed(DIGITS)),
+        $('<td>').text(item.propertyChanges),
+        $('<td>').text(item.averagePropertyTime.toFixed(DIGITS)),
+        $('<td>').text(item.totalTime.toFixed(DIGITS))
+      );
+    }
+
+    $nodes.append(header);
+    profile.nodes.slice(0, MAX_ROWS).forEach(function(item) {
+      var $label = $('<span class="wcPlayEditorFlowNode" title="Focus on this node"/>').text(item.type + ' "' + item.name + '" #' + item.id);
+      $nodes.append(__row($label, item).data('id', item.id));
+    });
+    $classes.append(header);
+    profile.classes.forEach(function(item) {
+      $classes.append(__row($('<span>').text(item.type + ' (' + item.nodes + ')'), item));
+    });
+  },
+
+  /**
+   * Initializes the controls of the lint panel.
+   * @function wcPlayEditor#__setupLint
+   * @private
+   */
+  __setupLint: function() {
+    var self = this;
+    this.$lint.find('.wcPlayEditorPanelClose').click(function() {
+      self.$lint.addClass('wcPlayHidden');
+    });
+    this.$lint.find('.wcPlayEditorLintRefresh').click(function() {
+      self._lintRefreshed = 0;
+    });
+    this.$lint.on('click', '.wcPlayEditorFlowNode', function() {
+      var node = $(this).closest('.wcPlayEditorLintRow').data('node');
+      if (node) {
+        self._parent = node._parent;
+        self._selectedNode = node;
+        self._selectedNodes = [node];
+        self.focus([node]);
+      }
+    });
+  },
+
+  /**
+   * Lints the script again while the lint panel is visible, at most once a second, and rebuilds the panel only when the problems have changed.
+   * @function wcPlayEditor#__updateLint
+   * @private
+   * @param {number} timestamp - The current timestamp.
+   */
+  __updateLint: function(timestamp) {
+    var REFRESH_RATE = 1000;
+    if (this.$lint.hasClass('wcPlayHidden') || timestamp - this._lintRefreshed < REFRESH_RATE) {
+      return;
+    }
+    this._lintRefreshed = timestamp;
+
+    var issues = this._engine? this._engine.lint(): [];
+    var key = JSON.stringify(issues.map(function(issue) {
+      return [issue.severity, issue.node.id, issue.name, issue.message];
+    }));
+    if (key === this._lintKey) {
+      return;
+    }
+    this._lintKey = key;
+
+    var icons = {};
+    icons[wcPlay.LINT_SEVERITY.ERROR] = 'fa fa-times-circle wcPlayEditorLintError';
+    icons[wcPlay.LINT_SEVERITY.WARNING] = 'fa fa-exclamation-triangle wcPlayEditorLintWarning';
+    icons[wcPlay.LINT_SEVERITY.INFO] = 'fa fa-info-circle wcPlayEditorLintInfo';
+
+    var counts = {};
+    var self = this;
+    var $list = this.$lint.children('.wcPlayEditorLintList').empty();
+    issues.forEach(function(issue) {
+      counts[issue.severity] = (counts[issue.severity] || 0) + 1;
+
+      var $row = $('<div class="wcPlayEditorLintRow">').data('node', issue.node);
+      $row.append($('<i/>').addClass(icons[issue.severity] || icons[wcPlay.LINT_SEVERITY.INFO]).attr('title', issue.severity));
+      $row.append(' ');
+      $row.append($('<span class="wcPlayEditorFlowNode" title="Focus on this node"/>').text(self.__nodeLabel(issue.node)));
+      $row.append(' ');
+      $row.append($('<span class="wcPlayEditorFlowDetails"/>').text((issue.name? '"' + issue.name + '": ': '') + issue.message));
+      $list.append($row);
+    });
+
+    this.$lint.find('.wcPlayEditorLintStatus').text(issues.length?
+      (counts[wcPlay.LINT_SEVERITY.ERROR] || 0) + ' errors, ' + (counts[wcPlay.LINT_SEVERITY.WARNING] || 0) + ' warnings, ' + (counts[wcPlay.LINT_SEVERITY.INFO] || 0) + ' notes.':
+      'No problems found.');
+  },
+
+  /**
+   * Initializes the controls of the compare panel.
+   * @function wcPlayEditor#__setupDiff
+   * @private
+   */
+  __setupDiff: function() {
+    var self = this;
+    this.$diff.find('.wcPlayEditorPanelClose').click(function() {
+      self._diff = null;
+      self.$diff.addClass('wcPlayHidden');
+    });
+    this.$diff.find('.wcPlayEditorDiffLoad').click(function() {
+      self.__openDiffFile();
+    });
+    this.$diff.on('click', '.wcPlayEditorFlowNode', function() {
+      var node = $(this).closest('.wcPlayEditorDiffRow').data('node');
+      if (node) {
+        self._parent = node._parent;
+        self._selectedNode = node;
+        self._selectedNodes = [node];
+        self.focus([node]);
+      }
+    });
+
+    $('body').on('change', '#wcPlayEditorHiddenDiffLoader', function(event) {
+      if (event.target.files.length) {
+        var file = event.target.files[0];
+        var reader = new FileReader();
+        reader.onload = function(e) {
+          if (!self.compareWith(e.target.result, file.name)) {
+            self.error('Failed to open file "' + file.name + '", please check to ensure it is actually a wcPlay script file.');
+          }
+        };
+        reader.readAsText(file);
+        $(this).val('');
+        $(this).remove();
+      }
+    });
+  },
+
+  /**
+   * Opens the file dialog for choosing a version of the script to compare with.
+   * @function wcPlayEditor#__openDiffFile
+   * @private
+   */
+  __openDiffFile: function() {
+    if (document.createEvent) {
+      var evt = document.createEvent('MouseEvents');
+      evt.initEvent('click', true, false);
+      this.$container.prepend(this.$hiddenDiffLoader);
+      this.$hiddenDiffLoader[0].dispatchEvent(evt);
+    }
+  },
+
+  /**
+   * Compares the script again while the compare panel is visible, at most once a second, and rebuilds the panel only when the changes have changed.
+   * @function wcPlayEditor#__updateDiff
+   * @private
+   * @param {number} timestamp - The current timestamp.
+   */
+  __updateDiff: function(timestamp) {
+    var REFRESH_RATE = 1000;
+    var diff = this._diff;
+    if (!diff || !this._engine || this.$diff.hasClass('wcPlayHidden') || timestamp - this._diffRefreshed < REFRESH_RATE) {
+      return;
+    }
+    this._diffRefreshed = timestamp;
+
+    var changes = wcPlay.diffScripts(diff.base, this._engine.save(true));
+    var key = JSON.stringify(changes);
+    if (key === diff.key) {
+      return;
+    }
+    diff.key = key;
+
+    var icons = {
+      added: 'fa fa-plus-circle wcPlayEditorDiffAdded',
+      removed: 'fa fa-minus-circle wcPlayEditorDiffRemoved',
+      changed: 'fa fa-pencil wcPlayEditorDiffChanged'
+    };
+
+    var counts = {added: 0, removed: 0, changed: 0};
+    var self = this;
+    var $list = this.$diff.children('.wcPlayEditorDiffList').empty();
+    diff.nodes = {};
+    changes.forEach(function(change) {
+      counts[change.change]++;
+
+      // Removed nodes are no longer in the script, so they can only be listed.
+      var node = change.nodeId === null? null: self._engine.nodeById(change.nodeId);
+      if (node) {
+        diff.nodes[node.id] = diff.nodes[node.id] === 'added' || (change.type === 'node' && change.change === 'added')? 'added': 'changed';
+      }
+
+      var $row = $('<div class="wcPlayEditorDiffRow">').data('node', node);
+      $row.append($('<i/>').addClass(icons[change.change]).attr('title', change.change));
+      $row.append(' ');
+      $row.append($(node? '<span class="wcPlayEditorFlowNode" title="Focus on this node"/>': '<span/>').text(wcPlay.describeChange(change)));
+      $list.append($row);
+    });
+
+    this.$diff.find('.wcPlayEditorDiffStatus').text(changes.length?
+      counts.added + ' added, ' + counts.removed + ' removed, ' + counts.changed + ' changed since ' + diff.name + '.':
+      'No changes since ' + diff.name + '.');
+  },
+
+  /**
+   * While viewing the inside of a composite instance, stores any changes made to it into its definition at most once a second, so every other instance follows.
+   * @function wcPlayEditor#__updateInstances
+   * @private
+   * @param {number} timestamp - The current timestamp.
+   */
+  __updateInstances: function(timestamp) {
+    var REFRESH_RATE = 1000;
+    if (this._options.readOnly || !this._parent || timestamp - this._instancesRefreshed < REFRESH_RATE) {
+      return;
+    }
+    this._instancesRefreshed = timestamp;
+
+    // Changes to an embedded composite belong to the nearest instance around it.
+    var instance = this._parent;
+    while (instance && instance.instanceOf('wcNodeCompositeScript') && !instance.definition()) {
+      instance = instance._parent;
+    }
+
+    if (instance && instance.instanceOf('wcNodeCompositeScript') && instance.differsFromDefinition()) {
+      instance.updateDefinition();
+      this.__setupPalette();
+    }
+  },
+
+  /**
+   * Initializes the controls of the trace replay panel.
+   * @function wcPlayEditor#__setupTrace
+   * @private
+   */
+  __setupTrace: function() {
+    var self = this;
+    var $slider = this.$trace.find('.wcPlayEditorTraceSlider');
+
+    function __step(offset) {
+      if (self._replay) {
+        self.__showTraceEvent(self._replay.index + offset);
+      }
+    }
+
+    this.$trace.find('.wcPlayEditorPanelClose').click(function() {
+      self.$trace.addClass('wcPlayHidden');
+    });
+    this.$trace.find('.wcPlayEditorTraceRecord').click(function() {
+      self._engine && self._engine.tracing(!self._engine.tracing());
+    });
+    this.$trace.find('.wcPlayEditorTraceReplay').click(function() {
+      if (self._engine && self._engine.trace()) {
+        // Replay a copy, so the events recorded from now on do not change it.
+        self.replayTrace(self._engine.exportTrace());
+      }
+    });
+    this.$trace.find('.wcPlayEditorTraceLoad').click(function() {
+      if (document.createEvent) {
+        var evt = document.createEvent('MouseEvents');
+        evt.initEvent('click', true, false);
+        self.$container.prepend(self.$hiddenTraceLoader);
+        self.$hiddenTraceLoader[0].dispatchEvent(evt);
+      }
+    });
+    this.$trace.find('.wcPlayEditorTraceExport').click(function() {
+      if (!self._engine || !self._engine.trace()) {
+        return;
+      }
+      self.__saveJSON(self._engine.exportTrace(), 'trace.json');
+    });
+
+    this.$trace.find('.wcPlayEditorTraceFirst').click(function() {
+      self._replay && self.__showTraceEvent(0);
+    });
+    this.$trace.find('.wcPlayEditorTracePrev').click(function() {
+      __step(-1);
+    });
+    this.$trace.find('.wcPlayEditorTraceNext').click(function() {
+      __step(1);
+    });
+    this.$trace.find('.wcPlayEditorTraceLast').click(function() {
+      self._replay && self.__showTraceEvent(self._replay.trace.events.length-1);
+    });
+    $slider.on('input change', function() {
+      self._replay && self.__showTraceEvent(Number($slider.val()));
+    });
+
+    $('body').on('change', '#wcPlayEditorHiddenTraceLoader', function(event) {
+      if (event.target.files.length) {
+        var file = event.target.files[0];
+        var reader = new FileReader();
+        reader.onload = function(e) {
+          if (!self.replayTrace(e.target.result)) {
+            self.error('Failed to open file "' + file.name + '", please check to ensure it is actually a wcPlay trace file.');
+          }
+        };
+        reader.readAsText(file);
+        $(this).val('');
+        $(this).remove();
+      }
+    });
+
+    // Keep key presses within the panel from triggering editor hotkeys.
+    var ESCAPE_KEY = 27;
+    var LEFT_KEY = 37;
+    var RIGHT_KEY = 39;
+    this.$trace.keydown(function(event) {
+      if (event.keyCode === ESCAPE_KEY) {
+        self.$trace.addClass('wcPlayHidden');
+      } else if (event.keyCode === LEFT_KEY) {
+        __step(-1);
+        event.preventDefault();
+      } else if (event.keyCode === RIGHT_KEY) {
+        __step(1);
+        event.preventDefault();
+      }
+      event.stopPropagation();
+    });
+  },
+
+  /**
+   * Shows an event of the replayed trace, flashing and focusing on the node it happened on.
+   * @function wcPlayEditor#__showTraceEvent
+   * @private
+   * @param {number} index - The index of the event, it is clamped to the events of the trace.
+   */
+  __showTraceEvent: function(index) {
+    var i = 0;
+    var trace = this._replay.trace;
+    index = Math.max(0, Math.min(trace.events.length-1, index));
+    this._replay.index = index;
+
+    var $step = this.$trace.find('.wcPlayEditorTraceStep');
+    var $event = this.$trace.find('.wcPlayEditorTraceEvent');
+    var $values = this.$trace.find('.wcPlayEditorTraceValues');
+    this.$trace.find('.wcPlayEditorTraceSlider').val(index);
+    $values.empty();
+    if (!trace.events.length) {
+      $step.text('0 / 0');
+      $event.text('The trace has no events.');
+      return;
+    }
+
+    var item = trace.events[index];
+    $step.text((index+1) + ' / ' + trace.events.length);
+    $event.text(this.__describeTraceEvent(trace, item));
+
+    // The values of the properties of the node, or of the global properties, as they were at this event.
+    var isGlobal = item.type === 'global';
+    var values = {};
+    for (i = 0; i <= index; ++i) {
+      var past = trace.events[i];
+      if ((isGlobal && past.type === 'global') || (!isGlobal && past.type === 'property' && past.node === item.node)) {
+        values[past.name] = past.newValue;
+      }
+    }
+    for (var name in values) {
+      if (Object.prototype.hasOwnProperty.call(values, name)) {
+        $values.append($('<div>').text(name + ' = ' + this.__valueText(values[name])));
+      }
+    }
+
+    var node = this._engine && item.node !== undefined? this._engine.nodeById(item.node): null;
+    if (!node) {
+      return;
+    }
+
+    node._meta.flash = true;
+    var list = [];
+    if (item.type === 'entry') {
+      list = node.chain.entry;
+    } else if (item.type === 'exit') {
+      list = node.chain.exit;
+    } else if (item.type === 'property') {
+      list = node.properties;
+    }
+    for (i = 0; i < list.length; ++i) {
+      if (list[i].name === item.name) {
+        (list[i].outputMeta || list[i].meta).flash = true;
       }
     }
 
-    this.$search.children('.wcPlayEditorSearchPrev').click(__searchPrev);
-    this.$search.children('.wcPlayEditorSearchNext').click(__searchNext);
+    this._parent = node._parent;
+    this._selectedNode = node;
+    this._selectedNodes = [node];
+    this.focus([node]);
+  },
 
-    this.$search.keydown(function(event) {
-      if (event.keyCode === 27) {
-        if (!self.$search.hasClass('wcPlayHidden')) {
-          self.$search.addClass('wcPlayHidden');
+  /**
+   * Retrieves the text that describes an event of a trace.
+   * @function wcPlayEditor#__describeTraceEvent
+   * @private
+   * @param {wcPlay~Trace} trace - The trace.
+   * @param {wcPlay~TraceEvent} item - The event.
+   * @returns {string} - The description.
+   */
+  __describeTraceEvent: function(trace, item) {
+    var ONE_SECOND = 1000;
+    var DECIMALS = 3;
+    var description = '+' + ((item.time - (trace.start || 0)) / ONE_SECOND).toFixed(DECIMALS) + 's ';
+    switch (item.type) {
+      case 'entry':
+        description += 'Activated entry "' + item.name + '" of ' + this.__traceNodeLabel(trace, item.node);
+        if (item.fromNode !== null && item.fromNode !== undefined) {
+          description += ' from exit "' + item.fromName + '" of ' + this.__traceNodeLabel(trace, item.fromNode);
         }
-      } else if (event.keyCode === 13 || event.keyCode === 40 || event.keyCode === 9) {
-        // Return, Down arrow, or Tab to cycle next item.
-        __searchNext();
-        event.stopPropagation();
-        event.preventDefault();
-        return true;
-      } else if (event.keyCode === 38) {
-        // Up arrow to cycle previous item.
-        __searchPrev();
-        event.stopPropagation();
-        event.preventDefault();
-        return true;
-      }
-    });
+        break;
+      case 'exit':
+        description += 'Activated exit "' + item.name + '" of ' + this.__traceNodeLabel(trace, item.node);
+        break;
+      case 'property':
+        description += 'Changed property "' + item.name + '" of ' + this.__traceNodeLabel(trace, item.node) + ' from ' + this.__valueText(item.oldValue) + ' to ' + this.__valueText(item.newValue);
+        break;
+      case 'global':
+        description += 'Changed global property "' + item.name + '" from ' + this.__valueText(item.oldValue) + ' to ' + this.__valueText(item.newValue);
+        break;
+      default:
+        description += 'Unknown event "' + item.type + '"';
+        break;
+    }
+    if (item.trackers && item.trackers.length) {
+      description += ', in flow chain ' + item.trackers.join(' \u2190 ');
+    }
+    return description;
+  },
 
-    this.$search.keyup(function() {
-      // Re-perform the search when the search value has changed.
-      var val = $field.val().toLowerCase();
-      if (searchValue !== val) {
-        searchIndex = 0;
-        searchParent = self._parent;
-        searchValue = val;
-        __searchNodes();
-      }
-    });
+  /**
+   * Retrieves the label of a node in a trace, using the node in the script if it still exists.
+   * @function wcPlayEditor#__traceNodeLabel
+   * @private
+   * @param {wcPlay~Trace} trace - The trace.
+   * @param {string|number} id - The ID of the node.
+   * @returns {string} - The label.
+   */
+  __traceNodeLabel: function(trace, id) {
+    var node = this._engine && this._engine.nodeById(id);
+    if (node) {
+      return this.__nodeLabel(node);
+    }
 
-    // View -> Search...
-    this._menu.addOption('View', 'Search...', {
-      hotkeys: 'Ctrl+F',
-      icon: 'fa fa-search fa-lg',
-      toolbarIndex: -1,
-      description: 'Toggle the visual style of the chains.',
-      onActivated: function(editor) {
-        editor.$search.removeClass('wcPlayHidden');
-        $field.focus();
-        $field.select();
+    var traced = (trace.nodes && trace.nodes[id]) || {type: 'Node'};
+    return traced.type + (traced.name? ' "' + traced.name + '"': '') + ' #' + id + ' (not in this script)';
+  },
 
-        if (searchResults.length) {
-          __searchNodes();
-        }
-      }
-    });
+  /**
+   * Retrieves the label that identifies a node in the debugging panels.
+   * @function wcPlayEditor#__nodeLabel
+   * @private
+   * @param {wcNode} node - The node.
+   * @returns {string} - The label.
+   */
+  __nodeLabel: function(node) {
+    return node.type + (node.name? ' "' + node.name + '"': '') + ' #' + node.id;
+  },
 
-    // Help -> Documentation...
-    this._menu.addOption('Help', 'Documentation...', {
-      icon: 'fa fa-file-pdf-o fa-lg',
-      description: 'Open the documentation for wcPlay in another window.',
-      onActivated: function(editor) {
-        window.open('http://play.api.webcabin.org/', '_blank');
-      }
+  /**
+   * Retrieves the text that displays a value in the debugging panels.
+   * @function wcPlayEditor#__valueText
+   * @private
+   * @param {Object} value - The value.
+   * @returns {string} - The text.
+   */
+  __valueText: function(value) {
+    return value === undefined? 'undefined': JSON.stringify(value);
+  },
+
+  /**
+   * Changes the breakpoint options of a node, with undo management.
+   * @function wcPlayEditor#__changeBreakpoint
+   * @private
+   * @param {wcNode} node - The node.
+   * @param {wcNode~BreakpointOptions} options - The options to assign.
+   */
+  __changeBreakpoint: function(node, options) {
+    var before = node.breakpoint();
+    delete before.hits;
+    node.breakpoint(options);
+    var after = node.breakpoint();
+    delete after.hits;
+
+    this._undoManager && this._undoManager.addEvent('Changed Breakpoint on Node "' + node.category + '.' + node.type + '"', {
+      id: node.id,
+      before: before,
+      after: after,
+      engine: this._engine
+    },
+    // Undo
+    function() {
+      var myNode = this.engine.nodeById(this.id);
+      myNode.breakpoint(this.before);
+    },
+    // Redo
+    function() {
+      var myNode = this.engine.nodeById(this.id);
+      myNode.breakpoint(this.after);
     });
+  },
 
-    this._menu.addSpacer('File', 'Save Script');
-    this._menu.addSpacer('File', 'Import...');
-    this._menu.addSpacer('Edit', 'Redo');
-    this._menu.addSpacer('Edit', 'Delete');
-    this._menu.addSpacer('View', 'Enter Composite');
-    this._menu.addSpacer('View', 'Chain Style');
-    this._menu.addSpacer('Debugging', 'Toggle Silence Mode');
-    this._menu.addToolbarSpacer('File', 'Save Script');
-    this._menu.addToolbarSpacer('File', 'Import...');
-    this._menu.addToolbarSpacer('Edit', 'Redo');
-    this._menu.addToolbarSpacer('Edit', 'Delete');
-    this._menu.addToolbarSpacer('Edit', 'Create Composite');
-    this._menu.addToolbarSpacer('View', 'Enter Composite');
-    this._menu.addToolbarSpacer('View', 'Chain Style');
-    this._menu.addToolbarSpacer('Debugging', 'Toggle Silence Mode');
-    this._menu.addToolbarSpacer('Debugging', 'Step Script');
+  /**
+   * Updates the breakpoint panel, rebuilding its list only when the breakpoints have changed.
+   * @function wcPlayEditor#__updateBreakpoints
+   * @private
+   */
+  __updateBreakpoints: function() {
+    var breakpoints = this._engine? this._engine.listBreakpoints(): [];
+    var key = JSON.stringify(breakpoints.map(function(item) {
+      return [item.node.id, item.node.name, item.enabled, item.condition, item.hitCount, item.logMessage];
+    }));
+
+    var $list = this.$breakpoints.children('.wcPlayEditorBreakpointsList');
+    this._breakpointList = breakpoints;
+    if (key === this._breakpointListKey) {
+      // Only the hit counts change while the script runs.
+      $list.find('.wcPlayEditorBreakpointHits').each(function(index) {
+        $(this).text(breakpoints[index].hits + ' hits');
+      });
+      return;
+    }
+    this._breakpointListKey = key;
+
+    $list.empty();
+    if (!breakpoints.length) {
+      $list.append('<div class="wcPlayEditorBreakpointsEmpty">Click the breakpoint button on a node to add one.</div>');
+    }
+
+    for (var i = 0; i < breakpoints.length; ++i) {
+      var item = breakpoints[i];
+      var $item = $(
+        '<div class="wcPlayEditorBreakpoint">' +
+          '<input type="checkbox" class="wcPlayEditorBreakpointEnabled" title="Enabled"/>' +
+          '<span class="wcPlayEditorBreakpointNode" title="Focus on this node"/>' +
+          '<span class="wcPlayEditorBreakpointHits"/>' +
+          '<input type="text" class="wcPlayEditorBreakpointCondition" placeholder="Condition" title="Only break when this expression is true."/>' +
+          '<input type="number" min="0" class="wcPlayEditorBreakpointHitCount" placeholder="Hit" title="Only break on this hit, 0 to break on every hit."/>' +
+          '<input type="text" class="wcPlayEditorBreakpointLogMessage" placeholder="Log message" title="Print this message instead of breaking, use {expression} to include values."/>' +
+        '</div>');
+
+      $item.data('index', i);
+      $item.children('.wcPlayEditorBreakpointEnabled').prop('checked', item.enabled);
+      $item.children('.wcPlayEditorBreakpointNode').text(this.__nodeLabel(item.node));
+      $item.children('.wcPlayEditorBreakpointHits').text(item.hits + ' hits');
+      $item.children('.wcPlayEditorBreakpointCondition').val(item.condition);
+      $item.children('.wcPlayEditorBreakpointHitCount').val(item.hitCount || '');
+      $item.children('.wcPlayEditorBreakpointLogMessage').val(item.logMessage);
+      $list.append($item);
+    }
   },
 
   /**
@@ -1854,7 +3424,8 @@ wcPlayEditor.prototype = {
         className: node.className,
         displayName: node.name,
         category: node.category,
-        nodeType: node.type
+        nodeType: node.type,
+        definition: node.name
       };
 
       this.__addNodeToPalette(data, node);
@@ -2144,6 +3715,22 @@ wcPlayEditor.prototype = {
       this.__drawRoundedRect(node._meta.bounds.rect, 'darkcyan', 2, 10, context, node.pos);
     }
 
+    // Tint nodes by their cost on the profiler's heat map.
+    if (!isPalette && this._heatMap && this._heatMap[node.id]) {
+      var HEAT_ALPHA = 0.8;
+      this.__drawRoundedRect(node._meta.bounds.rect, 'rgba(255, 0, 0, ' + (this._heatMap[node.id] * HEAT_ALPHA) + ')', -1, 10, context, node.pos);
+    }
+
+    // Outline nodes that are part of a detected loop.
+    if (!isPalette && this._loopReport && this._loopReport.nodes.indexOf(node) > -1) {
+      this.__drawRoundedRect(node._meta.bounds.rect, 'red', 3, 10, context, node.pos);
+    }
+
+    // Outline nodes that were added or changed since the version being compared with.
+    if (!isPalette && this._diff && this._diff.nodes[node.id]) {
+      this.__drawRoundedRect(node._meta.bounds.rect, this._diff.nodes[node.id] === 'added'? 'limegreen': 'orange', 3, 10, context, node.pos);
+    }
+
     // Now use our measurements to draw our node.
     this.__drawCenter(node, context, isPalette);
     this.__drawEntryLinks(node, context, node._meta.bounds.entryOuter.width);
@@ -2313,13 +3900,21 @@ wcPlayEditor.prototype = {
     var valueWidth = 0;
     var initialWidth = 0;
     var joinedWidth = 0;
+    var treeWidth = 0;
     var props = node.properties;
     for (var i = 0; i < props.length; ++i) {
       bounds.height += this._font.property.size + this._drawStyle.property.spacing;
 
       // Property name.
       this.__setCanvasFont(this._font.property, context);
-      propWidth = Math.max(context.measureText(props[i].name + ': ').width, propWidth);
+      propWidth = Math.max(context.measureText(this.__propertyLabel(node, props[i])).width, propWidth);
+
+      // Expanded array and object entries.
+      var rows = this.__propertyTreeRows(node, props[i]);
+      for (var a = 0; a < rows.length; ++a) {
+        bounds.height += this._font.property.size + this._drawStyle.property.spacing;
+        treeWidth = Math.max(context.measureText(rows[a].text).width + (rows[a].depth + 1) * this._drawStyle.property.treeIndent, treeWidth);
+      }
 
       var showValue = this._engine.isRunning() && !props[i].options.linked;
 
@@ -2339,7 +3934,7 @@ wcPlayEditor.prototype = {
     }
 
     joinedWidth = Math.max(joinedWidth, valueWidth + initialWidth);
-    bounds.width = Math.max(propWidth + joinedWidth, bounds.width) + this._drawStyle.node.margin * 2;
+    bounds.width = Math.max(propWidth + joinedWidth, treeWidth, bounds.width) + this._drawStyle.node.margin * 2;
     bounds.left -= bounds.width/2;
     bounds.propWidth = propWidth;
     bounds.valueWidth = valueWidth;
@@ -2365,6 +3960,8 @@ wcPlayEditor.prototype = {
     node._meta.bounds.propertyBounds = [];
     node._meta.bounds.valueBounds = [];
     node._meta.bounds.initialBounds = [];
+    node._meta.bounds.treeBounds = [];
+    node._meta.bounds.viewportBounds = null;
 
     context.save();
 
@@ -2510,6 +4107,38 @@ wcPlayEditor.prototype = {
       });
 
       upper += this._drawStyle.property.spacing;
+
+      // Expanded array and object entries, the property name toggles the top level.
+      if (props[i].type === wcPlay.PROPERTY.ARRAY || props[i].type === wcPlay.PROPERTY.OBJECT) {
+        node._meta.bounds.treeBounds.push({
+          rect: {
+            top: propertyBound.rect.top,
+            left: propertyBound.rect.left,
+            width: rect.propWidth,
+            height: propertyBound.rect.height
+          },
+          name: props[i].name,
+          path: [props[i].name]
+        });
+      }
+
+      var rows = this.__propertyTreeRows(node, props[i]);
+      for (var a = 0; a < rows.length; ++a) {
+        upper += this._font.property.size;
+        if (rows[a].collection) {
+          node._meta.bounds.treeBounds.push({
+            rect: {
+              top: rect.top + upper - this._font.property.size,
+              left: rect.left + this._drawStyle.node.margin + (rows[a].depth + 1) * this._drawStyle.property.treeIndent,
+              width: rect.width - this._drawStyle.node.margin * 2 - (rows[a].depth + 1) * this._drawStyle.property.treeIndent,
+              height: this._font.property.size + this._drawStyle.property.spacing
+            },
+            name: props[i].name,
+            path: rows[a].path
+          });
+        }
+        upper += this._drawStyle.property.spacing;
+      }
     }
 
     context.restore();
@@ -2817,10 +4446,15 @@ wcPlayEditor.prototype = {
         }
       }
 
+      // Highlight the hovered array or object tree entry.
+      if (this._highlightNode === node && this._highlightPropertyTree && this._highlightPropertyTree.name === props[i].name) {
+        this.__drawRoundedRect(this._highlightPropertyTree.rect, this._drawStyle.property.highlightColor, this._drawStyle.property.highlightBorder, this._font.property.size/2, context, node.pos);
+      }
+
       context.fillStyle = 'black';
       context.textAlign = 'left';
       this.__setCanvasFont(this._font.property, context);
-      context.fillText(props[i].name + ': ', node.pos.x + node._meta.bounds.center.left + this._drawStyle.node.margin, node.pos.y + node._meta.bounds.center.top + upper);
+      context.fillText(this.__propertyLabel(node, props[i]), node.pos.x + node._meta.bounds.center.left + this._drawStyle.node.margin, node.pos.y + node._meta.bounds.center.top + upper);
 
       context.fillStyle = 'black';
       context.textAlign = 'right';
@@ -2880,6 +4514,17 @@ wcPlayEditor.prototype = {
       }
 
       upper += this._drawStyle.property.spacing;
+
+      // Expanded array and object entries.
+      var rows = this.__propertyTreeRows(node, props[i]);
+      for (a = 0; a < rows.length; ++a) {
+        upper += this._font.property.size;
+        context.fillStyle = '#444444';
+        context.textAlign = 'left';
+        this.__setCanvasFont(this._font.property, context);
+        context.fillText(rows[a].text, node.pos.x + node._meta.bounds.center.left + this._drawStyle.node.margin + (rows[a].depth + 1) * this._drawStyle.property.treeIndent, node.pos.y + node._meta.bounds.center.top + upper);
+        upper += this._drawStyle.property.spacing;
+      }
     }
 
     // Lower Bar
@@ -3086,7 +4731,8 @@ wcPlayEditor.prototype = {
         flash = (exitLink.meta.flashDelta > 0 && entryLink.meta.flashDelta > 0);
         highlight =
           (this._highlightNode === targetNode && this._highlightEntryLink && this._highlightEntryLink.name === entryLink.name) ||
-          (this._highlightNode === node && this._highlightExitLink && this._highlightExitLink.name === exitLink.name);
+          (this._highlightNode === node && this._highlightExitLink && this._highlightExitLink.name === exitLink.name) ||
+          this.__isLoopLink(node, exitLink.name, targetNode, entryLink.name);
 
         // Now we have both our links, lets chain them together!
         this.__drawChain(node.pos, targetNode.pos, exitPoint, entryPoint, node._meta.bounds.rect, targetNode._meta.bounds.rect, context, flash, highlight);
@@ -3157,10 +4803,22 @@ wcPlayEditor.prototype = {
         flash = (outputProp.outputMeta.flashDelta > 0 || inputProp.inputMeta.flashDelta > 0);
         highlight =
           (this._highlightNode === targetNode && this._highlightInputLink && this._highlightInputLink.name === inputProp.name) ||
-          (this._highlightNode === node && this._highlightOutputLink && this._highlightOutputLink.name === outputProp.name);
+          (this._highlightNode === node && this._highlightOutputLink && this._highlightOutputLink.name === outputProp.name) ||
+          this.__isLoopLink(node, outputProp.name, targetNode, inputProp.name);
+
+        // Color the chain by its data type, favoring the input's type if the output can be anything.
+        var color = wcPlay.dataTypeColor(outputProp.dataType === wcPlay.DATA_TYPE.ANY? inputProp.dataType: outputProp.dataType);
+        var compatibility = wcPlay.typeCompatibility(outputProp.dataType, inputProp.dataType);
+        var dashed = false;
+        if (compatibility === wcPlay.TYPE_COMPATIBILITY.LOSSY) {
+          dashed = true;
+        } else if (compatibility === wcPlay.TYPE_COMPATIBILITY.INCOMPATIBLE && this._engine.typeChecking() !== wcPlay.TYPE_CHECK.NONE) {
+          color = this._drawStyle.links.warningColor;
+          dashed = true;
+        }
 
         // Now we have both our links, lets chain them together!
-        this.__drawChain(node.pos, targetNode.pos, outputPoint, inputPoint, node._meta.bounds.rect, targetNode._meta.bounds.rect, context, flash, highlight, true);
+        this.__drawChain(node.pos, targetNode.pos, outputPoint, inputPoint, node._meta.bounds.rect, targetNode._meta.bounds.rect, context, flash, highlight, true, color, dashed);
       }
     }
 
@@ -3320,10 +4978,15 @@ wcPlayEditor.prototype = {
    * @param {boolean} [flash] - If true, will flash the link.
    * @param {boolean} [highlight] - If true, the link will be highlighted.
    * @param {boolean} [isProperty] - If true, will render property chain orientation.
+   * @param {string} [color] - The color of a property chain, usually the color of its [data type]{@link wcPlay.dataTypeColor}.
+   * @param {boolean} [dashed] - If true, the chain will be drawn with a dashed line, to indicate a warning.
    */
-  __drawChain: function(startOffset, endOffset, startPos, endPos, startRect, endRect, context, flash, highlight, isProperty) {
+  __drawChain: function(startOffset, endOffset, startPos, endPos, startRect, endRect, context, flash, highlight, isProperty, color, dashed) {
     context.save();
     context.lineWidth = 2;
+    if (dashed && context.setLineDash) {
+      context.setLineDash([6, 4]);
+    }
     context.lineCap = 'round';
     context.lineJoin = 'round';
     context.beginPath();
@@ -3378,7 +5041,7 @@ wcPlayEditor.prototype = {
         width: endRect.height,
         height: endRect.width
       };
-      context.strokeStyle = (highlight? 'cyan': (flash? '#CCCC00': '#33CC33'));
+      context.strokeStyle = (highlight? 'cyan': (flash? '#CCCC00': (color || '#33CC33')));
     } else {
       start = {
         x: startOffset.x + startPos.x,
@@ -3540,6 +5203,11 @@ wcPlayEditor.prototype = {
         case wcPlay.PROPERTY.TOGGLE:
           // Display toggle buttons as 'yes', 'no'
           return (value? 'yes': 'no');
+        case wcPlay.PROPERTY.ARRAY:
+        case wcPlay.PROPERTY.OBJECT:
+          // Display arrays and objects in their serialized form, their entries are shown when the property is expanded.
+          value = JSON.stringify(value);
+          break;
         case wcPlay.PROPERTY.SELECT:
           var noneValue = '';
           if (property.options.hasOwnProperty('noneValue')) {
@@ -3584,6 +5252,94 @@ wcPlayEditor.prototype = {
     return this.__clampString(String(value), (expanded? this._drawStyle.property.longStrLen: this._drawStyle.property.strLen));
   },
 
+  /**
+   * Retrieves the label drawn for the name of a property, arrays and objects are marked by whether their tree is expanded.
+   * @function wcPlayEditor#__propertyLabel
+   * @private
+   * @param {wcNode} node - The node that owns this property.
+   * @param {Object} property - The property data.
+   * @returns {string} - The label to draw.
+   */
+  __propertyLabel: function(node, property) {
+    if (property.type === wcPlay.PROPERTY.ARRAY || property.type === wcPlay.PROPERTY.OBJECT) {
+      return (this.__treeExpanded(node, [property.name])? this._drawStyle.property.treeExpanded: this._drawStyle.property.treeCollapsed) + property.name + ': ';
+    }
+    return property.name + ': ';
+  },
+
+  /**
+   * Gets, or toggles, whether an entry in the tree of an array or object property is expanded.
+   * @function wcPlayEditor#__treeExpanded
+   * @private
+   * @param {wcNode} node - The node that owns the property.
+   * @param {Array} path - The property name followed by the keys leading to the entry.
+   * @param {boolean} [toggle] - If true, the expanded state of the entry will be flipped.
+   * @returns {boolean} - Whether the entry is expanded.
+   */
+  __treeExpanded: function(node, path, toggle) {
+    if (!node._meta.expandedTree) {
+      node._meta.expandedTree = {};
+    }
+
+    var key = JSON.stringify(path);
+    if (toggle) {
+      node._meta.expandedTree[key] = !node._meta.expandedTree[key];
+      node._meta.dirty = true;
+    }
+    return node._meta.expandedTree[key] === true;
+  },
+
+  /**
+   * Retrieves the rows to draw beneath an expanded array or object property, one for each entry of every expanded level of its tree.<br>
+   * The current value is shown while the script is running, otherwise the initial value.
+   * @function wcPlayEditor#__propertyTreeRows
+   * @private
+   * @param {wcNode} node - The node that owns this property.
+   * @param {Object} property - The property data.
+   * @returns {wcPlayEditor~TreeRow[]} - The rows to draw, empty if the property is not an expanded array or object.
+   */
+  __propertyTreeRows: function(node, property) {
+    var rows = [];
+    if ((property.type !== wcPlay.PROPERTY.ARRAY && property.type !== wcPlay.PROPERTY.OBJECT) || !this.__treeExpanded(node, [property.name])) {
+      return rows;
+    }
+
+    var self = this;
+    var style = this._drawStyle.property;
+    function __addRows(value, path, depth) {
+      var keys = Array.isArray(value)? Object.keys(value).map(Number): Object.keys(value);
+      var count = Math.min(keys.length, style.treeLimit);
+      for (var i = 0; i < count; ++i) {
+        var entry = value[keys[i]];
+        var entryPath = path.concat([keys[i]]);
+        var isCollection = typeof entry === 'object' && entry !== null;
+        var isExpanded = isCollection && self.__treeExpanded(node, entryPath);
+
+        var text = keys[i] + ': ';
+        if (isCollection) {
+          text = (isExpanded? style.treeExpanded: style.treeCollapsed) + text + (Array.isArray(entry)? '[' + entry.length + ']': '{' + Object.keys(entry).length + '}');
+        } else {
+          text += self.__clampString(typeof entry === 'string'? '"' + entry + '"': String(entry), style.longStrLen);
+        }
+
+        rows.push({path: entryPath, depth: depth, text: text, collection: isCollection});
+        if (isExpanded) {
+          __addRows(entry, entryPath, depth + 1);
+        }
+      }
+
+      if (keys.length > count) {
+        rows.push({path: null, depth: depth, text: '... ' + (keys.length - count) + ' more', collection: false});
+      }
+    }
+
+    var value = (this._engine.isRunning() && !property.options.linked)? node.property(property.name): node.initialProperty(property.name);
+    if (typeof value === 'object' && value !== null) {
+      __addRows(value, [property.name], 0);
+    }
+    return rows;
+  },
+
   /**
    * Draws the detail popup box for the node.
    * @function wcPlayEditor#__drawDetailsPopup
@@ -3752,6 +5508,12 @@ wcPlayEditor.prototype = {
       var exportData = data.node.export();  // Export nodes default data set.
       exportData.id = newNode.id;
 
+      // Imported composites are placed as instances of their definition.
+      if (data.definition) {
+        exportData.definition = data.definition;
+        delete exportData.nodes;
+      }
+
       // Position the new node.
       exportData.pos.x = (pos.x - self._viewportCamera.x) / self._viewportCamera.z;
       exportData.pos.y = (pos.y - self._viewportCamera.y) / self._viewportCamera.z;
@@ -3782,7 +5544,7 @@ wcPlayEditor.prototype = {
         }
       }
 
-      newNode.import(exportData, []);
+      newNode.import(exportData, {});
 
       // Connect nodes if possible.
       switch (linkType) {
@@ -4105,6 +5867,7 @@ wcPlayEditor.prototype = {
     var $control = null;
     var cancelled = false;
     var enterConfirms = true;
+    var fixedHeight = true;
     var propFn = (initial? 'initialProperty': 'property');
 
     var self = this;
@@ -4271,6 +6034,88 @@ wcPlayEditor.prototype = {
         break;
 
 
+      case wcPlay.PROPERTY.ARRAY:
+      case wcPlay.PROPERTY.OBJECT:
+        // Arrays and objects are edited as a list of entries, each value is written as JSON or plain text.
+        var isArray = (property.type === wcPlay.PROPERTY.ARRAY);
+        value = node[propFn](property.name);
+        enterConfirms = false;
+        fixedHeight = false;
+
+        $control = $('<div class="wcPlayCollectionEditor">');
+        var $entries = $(isArray? '<ol class="wcPlayCollectionEntries" start="0">': '<ul class="wcPlayCollectionEntries">');
+        var $add = $('<i class="fa fa-plus wcPlayEditorButton" title="Add a new entry."/>');
+        $control.append($entries);
+        $control.append($add);
+
+        var addEntry = function(key, entryValue) {
+          var $entry = $('<li>');
+          if (!isArray) {
+            $entry.append($('<input type="text" class="wcPlayCollectionKey" placeholder="key"/>').val(key));
+          }
+          $entry.append($('<input type="text" class="wcPlayCollectionValue" placeholder="value"/>').val(entryValue === undefined? '': JSON.stringify(entryValue)));
+          $entry.append($('<i class="fa fa-arrow-up wcPlayEditorButton wcPlayCollectionUp" title="Move this entry up."/>'));
+          $entry.append($('<i class="fa fa-arrow-down wcPlayEditorButton wcPlayCollectionDown" title="Move this entry down."/>'));
+          $entry.append($('<i class="fa fa-times wcPlayEditorButton wcPlayCollectionRemove" title="Remove this entry."/>'));
+          $entries.append($entry);
+          return $entry;
+        };
+
+        items = Object.keys(value || {});
+        for (i = 0; i < items.length; ++i) {
+          addEntry(items[i], value[items[i]]);
+        }
+
+        $add.click(function() {
+          addEntry('', undefined).find('input').first().focus();
+        });
+        $entries.on('click', '.wcPlayCollectionUp', function() {
+          var $entry = $(this).closest('li');
+          $entry.insertBefore($entry.prev());
+        });
+        $entries.on('click', '.wcPlayCollectionDown', function() {
+          var $entry = $(this).closest('li');
+          $entry.insertAfter($entry.next());
+        });
+        $entries.on('click', '.wcPlayCollectionRemove', function() {
+          $(this).closest('li').remove();
+        });
+
+        // The changes are applied when the editor closes, unless it was cancelled.
+        $blocker.click(function() {
+          if (!cancelled) {
+            var newValue = isArray? []: {};
+            $entries.children().each(function() {
+              var text = $(this).find('.wcPlayCollectionValue').val();
+              var entryValue = text;
+              try {
+                entryValue = JSON.parse(text);
+              } catch (err) {
+                // Not valid JSON, keep the value as plain text.
+              }
+
+              if (isArray) {
+                newValue.push(entryValue);
+              } else if ($(this).find('.wcPlayCollectionKey').val()) {
+                newValue[$(this).find('.wcPlayCollectionKey').val()] = entryValue;
+              }
+            });
+
+            value = node[propFn](property.name);
+            undoChange(property.name, value, newValue);
+            node[propFn](property.name, newValue, true, true, self._undoManager);
+            endChange();
+          }
+        });
+        $control.keyup(function(event) {
+          if (event.keyCode === 13 || event.keyCode === 27) {
+            cancelled = (event.keyCode === 27);
+            $blocker.click();
+          }
+        });
+        break;
+
+
       case wcPlay.PROPERTY.CUSTOM:
         if (typeof property.options.onCreate === 'function') {
           value = node[propFn](property.name);
@@ -4329,8 +6174,28 @@ wcPlayEditor.prototype = {
 
       $control.css('top', offset.top + (node.pos.y + bounds.rect.top) * this._viewportCamera.z + this._viewportCamera.y)
         .css('left', offset.left + (node.pos.x + bounds.rect.left) * this._viewportCamera.z + this._viewportCamera.x)
-        .css('width', Math.max(bounds.rect.width * this._viewportCamera.z, 200))
-        .css('height', Math.max(bounds.rect.height * this._viewportCamera.z, 15));
+        .css('width', Math.max(bounds.rect.width * this._viewportCamera.z, 200));
+      if (fixedHeight) {
+        $control.css('height', Math.max(bounds.rect.height * this._viewportCamera.z, 15));
+      }
+    }
+  },
+
+  /**
+   * Turns a composite node into a shared definition named after it, and adds it to the palette.
+   * @function wcPlayEditor#__shareComposite
+   * @private
+   * @param {wcNodeCompositeScript} node - The composite node.
+   */
+  __shareComposite: function(node) {
+    var base = node.name || node.type;
+    var name = base;
+    for (var i = 2; this._engine.compositeDefinition(name); ++i) {
+      name = base + ' ' + i;
+    }
+
+    if (this._engine.defineComposite(name, node)) {
+      this.__setupPalette();
     }
   },
 
@@ -4561,7 +6426,7 @@ wcPlayEditor.prototype = {
     // Redo
     function() {
       var parent = this.parent;
-      if (typeof parent === 'number') {
+      if (typeof parent !== 'object') {
         parent = this.engine.nodeById(parent);
       }
       var myNode = new window.wcPlayNodes[this.className](parent, this.data.pos);
@@ -4934,7 +6799,7 @@ wcPlayEditor.prototype = {
     // }
 
     var self = this, i = 0, a = 0, moveX = 0, moveY = 0, node = null, rect = null, link = null;
-    var canConnect = true, myOptions = null, targetOptions = null;
+    var canConnect = true, myOptions = null, targetOptions = null, typeWarning = '';
     function __nodesInRect(nodes) {
       for (var i = 0; i < nodes.length; ++i) {
         if (self.__rectOnRect(nodes[i]._meta.bounds.inner, self._highlightRect, nodes[i].pos)) {
@@ -5026,6 +6891,7 @@ wcPlayEditor.prototype = {
     this._highlightOutputLink = false;
     this._highlightPropertyValue = false;
     this._highlightPropertyInitialValue = false;
+    this._highlightPropertyTree = false;
 
     this.__handleAutoScroll(this._selectedEntryLink || this._selectedExitLink || this._selectedInputLink || this._selectedOutputLink);
 
@@ -5134,6 +7000,7 @@ wcPlayEditor.prototype = {
           if (this.__inRect(mouse, node._meta.bounds.inputBounds[i][rect], node.pos, this._viewportCamera)) {
             canConnect = true;
             this._highlightNode = node;
+            typeWarning = '';
             if (this._selectedOutputLink) {
               // Test for connectivity
               myOptions = this._selectedNode.propertyOptions(this._selectedOutputLink.name);
@@ -5142,12 +7009,17 @@ wcPlayEditor.prototype = {
                  (targetOptions.inputCondition && !targetOptions.inputCondition.call(node, this._selectedNode, this._selectedOutputLink.name))) {
                 canConnect = false;
               }
+
+              typeWarning = this.__dataTypeWarning(this._selectedNode.propertyDataType(this._selectedOutputLink.name), node.propertyDataType(node._meta.bounds.inputBounds[i].name));
+              // Strict type checking refuses the connection outright.
+              canConnect = canConnect && !(typeWarning && this._engine.typeChecking() === wcPlay.TYPE_CHECK.STRICT);
             }
             if (canConnect) {
               this._highlightInputLink = node._meta.bounds.inputBounds[i];
-              this.$viewport.attr('title', 'Click and drag to chain this property to another.');
+              this.$viewport.attr('title', (typeWarning? typeWarning + '\n': '') + 'Data type: ' + node.propertyDataType(node._meta.bounds.inputBounds[i].name) + '\nClick and drag to chain this property to another.');
               this.$viewport.addClass('wcGrab');
             } else {
+              this.$viewport.attr('title', typeWarning);
               this.$viewport.addClass('wcNoDrop');
             }
             break;
@@ -5162,6 +7034,7 @@ wcPlayEditor.prototype = {
           if (this.__inRect(mouse, node._meta.bounds.outputBounds[i][rect], node.pos, this._viewportCamera)) {
             canConnect = true;
             this._highlightNode = node;
+            typeWarning = '';
             if (this._selectedInputLink) {
               // Test for connectivity
               myOptions = this._selectedNode.propertyOptions(this._selectedInputLink.name);
@@ -5170,12 +7043,17 @@ wcPlayEditor.prototype = {
                  (targetOptions.outputCondition && !targetOptions.outputCondition.call(node, this._selectedNode, this._selectedInputLink.name))) {
                 canConnect = false;
               }
+
+              typeWarning = this.__dataTypeWarning(node.propertyDataType(node._meta.bounds.outputBounds[i].name), this._selectedNode.propertyDataType(this._selectedInputLink.name));
+              // Strict type checking refuses the connection outright.
+              canConnect = canConnect && !(typeWarning && this._engine.typeChecking() === wcPlay.TYPE_CHECK.STRICT);
             }
             if (canConnect) {
               this._highlightOutputLink = node._meta.bounds.outputBounds[i];
-              this.$viewport.attr('title', 'Click and drag to chain this property to another. Double click to send its value through the chain.');
+              this.$viewport.attr('title', (typeWarning? typeWarning + '\n': '') + 'Data type: ' + node.propertyDataType(node._meta.bounds.outputBounds[i].name) + '\nClick and drag to chain this property to another. Double click to send its value through the chain.');
               this.$viewport.addClass('wcGrab');
             } else {
+              this.$viewport.attr('title', typeWarning);
               this.$viewport.addClass('wcNoDrop');
             }
             break;
@@ -5266,6 +7144,17 @@ wcPlayEditor.prototype = {
           }
         }
 
+        // Array and object property trees.
+        for (i = 0; i < node._meta.bounds.treeBounds.length; ++i) {
+          if (this.__inRect(this._mouse, node._meta.bounds.treeBounds[i].rect, node.pos, this._viewportCamera)) {
+            this._highlightNode = node;
+            this._highlightPropertyTree = node._meta.bounds.treeBounds[i];
+            this.$viewport.attr('title', 'Click to ' + (this.__treeExpanded(node, node._meta.bounds.treeBounds[i].path)? 'collapse': 'expand') + ' this entry.');
+            this.$viewport.addClass('wcClickable');
+            break;
+          }
+        }
+
         // Custom viewport area.
         if (node._meta.bounds.viewportBounds) {
           var pos = {
@@ -5456,7 +7345,7 @@ wcPlayEditor.prototype = {
   __onViewportMouseUp: function(event, elem) {
     elem;
     this.$viewport.removeClass('wcGrabbing');
-    var i = 0;
+    var i = 0, result = null;
 
     // if (this._draggingNodeData && event.type === 'mouseup') {
     //   // Create an instance of the node and add it to the script.
@@ -5626,7 +7515,8 @@ wcPlayEditor.prototype = {
       }
     }
     if (this._selectedNode && this._selectedInputLink && this._highlightNode && this._highlightOutputLink) {
-      if (this._selectedNode.connectInput(this._selectedInputLink.name, this._highlightNode, this._highlightOutputLink.name) === wcNode.CONNECT_RESULT.ALREADY_CONNECTED) {
+      result = this._selectedNode.connectInput(this._selectedInputLink.name, this._highlightNode, this._highlightOutputLink.name);
+      if (result === wcNode.CONNECT_RESULT.ALREADY_CONNECTED) {
         this._selectedNode.disconnectInput(this._selectedInputLink.name, this._highlightNode, this._highlightOutputLink.name);
         this._undoManager && this._undoManager.addEvent('Disconnected Property Input Link "' + this._selectedNode.category + '.' + this._selectedNode.type + '.' + this._selectedInputLink.name + '" to Property Output Link "' + this._highlightNode.category + '.' + this._highlightNode.type + '.' + this._highlightOutputLink.name + '"', {
           id: this._selectedNode.id,
@@ -5647,7 +7537,7 @@ wcPlayEditor.prototype = {
           var targetNode = this.engine.nodeById(this.targetId);
           myNode.disconnectInput(this.name, targetNode, this.targetName);
         });
-      } else {
+      } else if (result === wcNode.CONNECT_RESULT.SUCCESS) {
         this._undoManager && this._undoManager.addEvent('Connected Property Input Link "' + this._selectedNode.category + '.' + this._selectedNode.type + '.' + this._selectedInputLink.name + '" to Property Output Link "' + this._highlightNode.category + '.' + this._highlightNode.type + '.' + this._highlightOutputLink.name + '"', {
           id: this._selectedNode.id,
           name: this._selectedInputLink.name,
@@ -5670,7 +7560,8 @@ wcPlayEditor.prototype = {
       }
     }
     if (this._selectedNode && this._selectedOutputLink && this._highlightNode && this._highlightInputLink) {
-      if (this._selectedNode.connectOutput(this._selectedOutputLink.name, this._highlightNode, this._highlightInputLink.name) === wcNode.CONNECT_RESULT.ALREADY_CONNECTED) {
+      result = this._selectedNode.connectOutput(this._selectedOutputLink.name, this._highlightNode, this._highlightInputLink.name);
+      if (result === wcNode.CONNECT_RESULT.ALREADY_CONNECTED) {
         this._selectedNode.disconnectOutput(this._selectedOutputLink.name, this._highlightNode, this._highlightInputLink.name);
         this._undoManager && this._undoManager.addEvent('Disconnected Property Output Link "' + this._selectedNode.category + '.' + this._selectedNode.type + '.' + this._selectedOutputLink.name + '" to Property Input Link "' + this._highlightNode.category + '.' + this._highlightNode.type + '.' + this._highlightInputLink.name + '"', {
           id: this._selectedNode.id,
@@ -5691,7 +7582,7 @@ wcPlayEditor.prototype = {
           var targetNode = this.engine.nodeById(this.targetId);
           myNode.disconnectOutput(this.name, targetNode, this.targetName);
         });
-      } else {
+      } else if (result === wcNode.CONNECT_RESULT.SUCCESS) {
         this._undoManager && this._undoManager.addEvent('Connected Property Output Link "' + this._selectedNode.category + '.' + this._selectedNode.type + '.' + this._selectedOutputLink.name + '" to Property Input Link "' + this._highlightNode.category + '.' + this._highlightNode.type + '.' + this._highlightInputLink.name + '"', {
           id: this._selectedNode.id,
           name: this._selectedOutputLink.name,
@@ -5888,6 +7779,14 @@ wcPlayEditor.prototype = {
           this.__drawDetailsPopup(node);
         }
 
+        // Array and object property trees.
+        for (i = 0; i < node._meta.bounds.treeBounds.length; ++i) {
+          if (this.__inRect(this._mouse, node._meta.bounds.treeBounds[i].rect, node.pos, this._viewportCamera)) {
+            this.__treeExpanded(node, node._meta.bounds.treeBounds[i].path, true);
+            break;
+          }
+        }
+
         // Property values.
         var propBounds;
         for (i = 0; i < node._meta.bounds.valueBounds.length; ++i) {
@@ -0,0 +1,474 @@
+'use strict';
+
+/**
+ * The library of functions that can be called from within an [expression]{@link wcPlay.compileExpression}, indexed by name.
+ * Add to it with {@link wcPlay.registerExpressionFunction}.
+ * @type {Object.<string, Function>}
+ */
+wcPlay.EXPRESSION_FUNCTIONS = {};
+
+/**
+ * The named constants that can be used within an [expression]{@link wcPlay.compileExpression}, indexed by name.
+ * @type {Object.<string, Object>}
+ */
+wcPlay.EXPRESSION_CONSTANTS = {
+  true: true,
+  false: false,
+  null: null,
+  PI: Math.PI,
+  E: Math.E,
+  Infinity: Infinity,
+  NaN: NaN
+};
+
+/**
+ * A global function that adds a function to the [expression function library]{@link wcPlay.EXPRESSION_FUNCTIONS}, or replaces an existing one.
+ * @function wcPlay.registerExpressionFunction
+ * @param {string} name - The name used to call the function from an expression, it must be a valid identifier.
+ * @param {Function} func - The function to call, it receives the evaluated arguments and returns the result. Any error it throws will fail the evaluation.
+ * @returns {boolean} - Fails if the name is not a valid identifier or the function is not a function.
+ */
+wcPlay.registerExpressionFunction = function(name, func) {
+  if (typeof func !== 'function' || !(/^[A-Za-z_][A-Za-z0-9_]*$/).test(name) || Object.prototype.hasOwnProperty.call(wcPlay.EXPRESSION_CONSTANTS, name)) {
+    return false;
+  }
+
+  wcPlay.EXPRESSION_FUNCTIONS[name] = func;
+  return true;
+};
+
+(function() {
+  // Operators, longest first so that '<=' is never read as '<'.
+  var OPERATORS = ['&&', '||', '==', '!=', '<=', '>=', '+', '-', '*', '/', '%', '^', '<', '>', '!', '?', ':', '(', ')', '[', ']', ',', '.'];
+
+  // Binary operators, from the lowest precedence to the highest.
+  var BINARY_LEVELS = [
+    ['||'],
+    ['&&'],
+    ['==', '!='],
+    ['<', '<=', '>', '>='],
+    ['+', '-'],
+    ['*', '/', '%']
+  ];
+
+  var ESCAPES = {n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0'};
+
+  function __hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+  }
+
+  function __fail(message, position) {
+    var err = new Error(message);
+    err.position = position;
+    throw err;
+  }
+
+  // Reads a quoted string literal that begins at the given position.
+  function __readString(source, start) {
+    var quote = source.charAt(start);
+    var value = '';
+    var pos = start + 1;
+    while (pos < source.length) {
+      var c = source.charAt(pos);
+      if (c === quote) {
+        return {type: 'value', value: value, pos: start, end: pos + 1};
+      }
+      if (c === '\\') {
+        pos++;
+        c = source.charAt(pos);
+        value += __hasOwn(ESCAPES, c)? ESCAPES[c]: c;
+      } else {
+        value += c;
+      }
+      pos++;
+    }
+    return __fail('Unterminated string.', start);
+  }
+
+  // Splits the source into a list of tokens.
+  function __tokenize(source) {
+    var tokens = [];
+    var pos = 0;
+    var match;
+    while (pos < source.length) {
+      var rest = source.substring(pos);
+      var c = source.charAt(pos);
+      var token = null;
+
+      if ((/\s/).test(c)) {
+        pos++;
+        continue;
+      }
+
+      if ((match = (/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/).exec(rest))) {
+        token = {type: 'value', value: parseFloat(match[0]), pos: pos, end: pos + match[0].length};
+      } else if ((match = (/^[A-Za-z_][A-Za-z0-9_]*/).exec(rest))) {
+        token = {type: 'name', value: match[0], pos: pos, end: pos + match[0].length};
+      } else if (c === '\'' || c === '"') {
+        token = __readString(source, pos);
+      } else {
+        for (var i = 0; i < OPERATORS.length; ++i) {
+          if (rest.indexOf(OPERATORS[i]) === 0) {
+            token = {type: 'op', value: OPERATORS[i], pos: pos, end: pos + OPERATORS[i].length};
+            break;
+          }
+        }
+      }
+
+      if (!token) {
+        __fail('Unexpected character "' + c + '".', pos);
+      }
+      tokens.push(token);
+      pos = token.end;
+    }
+
+    tokens.push({type: 'end', value: '', pos: source.length, end: source.length});
+    return tokens;
+  }
+
+  // A recursive descent parser that builds a tree of operations from a list of tokens.
+  function __Parser(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+    this.variables = [];
+  }
+
+  __Parser.prototype = {
+    peek: function() {
+      return this.tokens[this.index];
+    },
+
+    next: function() {
+      return this.tokens[this.index++];
+    },
+
+    isOp: function(ops) {
+      var token = this.peek();
+      return token.type === 'op' && ops.indexOf(token.value) > -1;
+    },
+
+    expect: function(op) {
+      var token = this.next();
+      if (token.type !== 'op' || token.value !== op) {
+        __fail('Expected "' + op + '" but found ' + (token.type === 'end'? 'the end of the expression': '"' + token.value + '"') + '.', token.pos);
+      }
+      return token;
+    },
+
+    parse: function() {
+      var tree = this.ternary();
+      var token = this.peek();
+      if (token.type !== 'end') {
+        __fail('Unexpected "' + token.value + '".', token.pos);
+      }
+      return tree;
+    },
+
+    ternary: function() {
+      var condition = this.binary(0);
+      if (!this.isOp(['?'])) {
+        return condition;
+      }
+
+      var pos = this.next().pos;
+      var whenTrue = this.ternary();
+      this.expect(':');
+      var whenFalse = this.ternary();
+      return {type: 'ternary', args: [condition, whenTrue, whenFalse], pos: pos};
+    },
+
+    binary: function(level) {
+      if (level >= BINARY_LEVELS.length) {
+        return this.unary();
+      }
+
+      var left = this.binary(level + 1);
+      while (this.isOp(BINARY_LEVELS[level])) {
+        var token = this.next();
+        left = {type: 'binary', op: token.value, args: [left, this.binary(level + 1)], pos: token.pos};
+      }
+      return left;
+    },
+
+    unary: function() {
+      if (this.isOp(['-', '+', '!'])) {
+        var token = this.next();
+        return {type: 'unary', op: token.value, args: [this.unary()], pos: token.pos};
+      }
+      return this.power();
+    },
+
+    power: function() {
+      var base = this.member();
+      if (this.isOp(['^'])) {
+        var token = this.next();
+        // Right associative, and binds tighter than a unary operator on its base, so -2^2 is -4.
+        return {type: 'binary', op: '^', args: [base, this.unary()], pos: token.pos};
+      }
+      return base;
+    },
+
+    member: function() {
+      var target = this.primary();
+      var token;
+      while (this.isOp(['.', '['])) {
+        token = this.next();
+        var key;
+        if (token.value === '.') {
+          var name = this.next();
+          if (name.type !== 'name') {
+            __fail('Expected a member name after ".".', name.pos);
+          }
+          key = {type: 'value', value: name.value, pos: name.pos};
+        } else {
+          key = this.ternary();
+          this.expect(']');
+        }
+        target = {type: 'member', args: [target, key], pos: token.pos};
+      }
+      return target;
+    },
+
+    primary: function() {
+      var token = this.next();
+      switch (token.type) {
+        case 'value':
+          return {type: 'value', value: token.value, pos: token.pos};
+        case 'name':
+          return this.name(token);
+        case 'op':
+          if (token.value === '(') {
+            var inner = this.ternary();
+            this.expect(')');
+            return inner;
+          }
+          return __fail('Unexpected "' + token.value + '".', token.pos);
+        default:
+          return __fail('Unexpected end of the expression.', token.pos);
+      }
+    },
+
+    name: function(token) {
+      if (this.isOp(['('])) {
+        this.next();
+        if (!__hasOwn(wcPlay.EXPRESSION_FUNCTIONS, token.value)) {
+          __fail('Unknown function "' + token.value + '".', token.pos);
+        }
+
+        var args = [];
+        if (!this.isOp([')'])) {
+          args.push(this.ternary());
+          while (this.isOp([','])) {
+            this.next();
+            args.push(this.ternary());
+          }
+        }
+        this.expect(')');
+        return {type: 'call', name: token.value, args: args, pos: token.pos};
+      }
+
+      if (__hasOwn(wcPlay.EXPRESSION_CONSTANTS, token.value)) {
+        return {type: 'value', value: wcPlay.EXPRESSION_CONSTANTS[token.value], pos: token.pos};
+      }
+
+      if (this.variables.indexOf(token.value) === -1) {
+        this.variables.push(token.value);
+      }
+      return {type: 'variable', name: token.value, pos: token.pos};
+    }
+  };
+
+  function __binary(op, a, b) {
+    switch (op) {
+      case '==':
+        return wcPlay.compareValues(a, b) === 0;
+      case '!=':
+        return wcPlay.compareValues(a, b) !== 0;
+      case '<':
+        return wcPlay.compareValues(a, b) < 0;
+      case '<=':
+        return wcPlay.compareValues(a, b) <= 0;
+      case '>':
+        return wcPlay.compareValues(a, b) > 0;
+      case '>=':
+        return wcPlay.compareValues(a, b) >= 0;
+      case '+':
+        if (typeof a === 'string' || typeof b === 'string') {
+          return String(a) + String(b);
+        }
+        return Number(a) + Number(b);
+      case '-':
+        return Number(a) - Number(b);
+      case '*':
+        return Number(a) * Number(b);
+      case '/':
+        return Number(a) / Number(b);
+      case '%':
+        return Number(a) % Number(b);
+      case '^':
+        return Math.pow(Number(a), Number(b));
+      default:
+        return undefined;
+    }
+  }
+
+  // Only the object's own members are reachable, never anything inherited through its prototype.
+  function __member(target, key) {
+    if ((typeof target === 'object' && target !== null) || typeof target === 'string') {
+      return __hasOwn(Object(target), key)? target[key]: undefined;
+    }
+    return undefined;
+  }
+
+  // Evaluates a tree of operations, variables are only ever read from the given values.
+  function __evaluate(tree, values) {
+    var a;
+    switch (tree.type) {
+      case 'value':
+        return tree.value;
+      case 'variable':
+        return __hasOwn(values, tree.name)? values[tree.name]: undefined;
+      case 'ternary':
+        return __evaluate(tree.args[0], values)? __evaluate(tree.args[1], values): __evaluate(tree.args[2], values);
+      case 'unary':
+        a = __evaluate(tree.args[0], values);
+        if (tree.op === '!') {
+          return !a;
+        }
+        return tree.op === '-'? -Number(a): Number(a);
+      case 'binary':
+        a = __evaluate(tree.args[0], values);
+        // Logical operators only evaluate their right side when it is needed.
+        if (tree.op === '&&') {
+          return a && __evaluate(tree.args[1], values);
+        }
+        if (tree.op === '||') {
+          return a || __evaluate(tree.args[1], values);
+        }
+        return __binary(tree.op, a, __evaluate(tree.args[1], values));
+      case 'member':
+        a = __evaluate(tree.args[0], values);
+        return __member(a, __evaluate(tree.args[1], values));
+      case 'call':
+        var args = [];
+        for (var i = 0; i < tree.args.length; ++i) {
+          args.push(__evaluate(tree.args[i], values));
+        }
+        return wcPlay.EXPRESSION_FUNCTIONS[tree.name].apply(null, args);
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * A global function that compiles an expression string so it can be evaluated any number of times with different variable values.<br>
+   * Expressions are parsed and evaluated by wcPlay itself, they are never given to the browser's eval,
+   * and can only reach the variables they are given and the [registered functions]{@link wcPlay.EXPRESSION_FUNCTIONS}.<br>
+   * Supported are numbers, 'single' or "double" quoted strings, the [named constants]{@link wcPlay.EXPRESSION_CONSTANTS}, arithmetic (+ - * / % and ^ for powers),
+   * comparisons (== != < <= > >=, compared with {@link wcPlay.compareValues}), boolean logic (&& || !), the ternary condition ? a : b, member access with a.b or a[b], and function calls.
+   * @function wcPlay.compileExpression
+   * @param {string} source - The expression, for example '(a * b + c) / max(d, 1)'.
+   * @returns {wcPlay~Expression} - The compiled expression. If it could not be parsed, its error describes why.
+   */
+  wcPlay.compileExpression = function(source) {
+    source = String(source === undefined || source === null? '': source);
+
+    var tree = null;
+    var variables = [];
+    var error = null;
+    try {
+      if (!source.trim()) {
+        __fail('The expression is empty.', 0);
+      }
+      var parser = new __Parser(__tokenize(source));
+      tree = parser.parse();
+      variables = parser.variables;
+    } catch (err) {
+      error = {message: err.message, position: typeof err.position === 'number'? err.position: 0};
+    }
+
+    return {
+      source: source,
+      variables: variables,
+      error: error,
+      evaluate: function(values) {
+        if (error) {
+          throw new Error(error.message);
+        }
+        return __evaluate(tree, values || {});
+      }
+    };
+  };
+
+  function __number(value) {
+    return Number(wcPlay.convertValue(value, wcPlay.DATA_TYPE.NUMBER));
+  }
+
+  function __string(value) {
+    return String(wcPlay.convertValue(value, wcPlay.DATA_TYPE.STRING));
+  }
+
+  // Math functions.
+  ['abs', 'ceil', 'floor', 'round', 'trunc', 'sign', 'sqrt', 'cbrt', 'exp', 'log', 'log2', 'log10', 'sin', 'cos', 'tan', 'asin', 'acos', 'atan'].forEach(function(name) {
+    wcPlay.registerExpressionFunction(name, function(value) {
+      return Math[name](__number(value));
+    });
+  });
+  ['atan2', 'pow', 'min', 'max', 'hypot'].forEach(function(name) {
+    wcPlay.registerExpressionFunction(name, function() {
+      return Math[name].apply(Math, Array.prototype.map.call(arguments, __number));
+    });
+  });
+  wcPlay.registerExpressionFunction('random', function() {
+    return Math.random();
+  });
+  wcPlay.registerExpressionFunction('clamp', function(value, min, max) {
+    return Math.min(Math.max(__number(value), __number(min)), __number(max));
+  });
+
+  // String functions.
+  wcPlay.registerExpressionFunction('len', function(value) {
+    return Array.isArray(value)? value.length: __string(value).length;
+  });
+  wcPlay.registerExpressionFunction('upper', function(value) {
+    return __string(value).toUpperCase();
+  });
+  wcPlay.registerExpressionFunction('lower', function(value) {
+    return __string(value).toLowerCase();
+  });
+  wcPlay.registerExpressionFunction('trim', function(value) {
+    return __string(value).trim();
+  });
+  wcPlay.registerExpressionFunction('substr', function(value, start, length) {
+    value = __string(value);
+    start = __number(start) || 0;
+    return value.substr(start, length === undefined? value.length: __number(length));
+  });
+  wcPlay.registerExpressionFunction('indexOf', function(value, search) {
+    return __string(value).indexOf(__string(search));
+  });
+  wcPlay.registerExpressionFunction('contains', function(value, search) {
+    return __string(value).indexOf(__string(search)) > -1;
+  });
+  wcPlay.registerExpressionFunction('startsWith', function(value, search) {
+    return __string(value).indexOf(__string(search)) === 0;
+  });
+  wcPlay.registerExpressionFunction('endsWith', function(value, search) {
+    value = __string(value);
+    search = __string(search);
+    return value.length >= search.length && value.substring(value.length - search.length) === search;
+  });
+  wcPlay.registerExpressionFunction('replace', function(value, search, replacement) {
+    return __string(value).split(__string(search)).join(__string(replacement));
+  });
+  wcPlay.registerExpressionFunction('concat', function() {
+    return Array.prototype.map.call(arguments, __string).join('');
+  });
+
+  // Conversions.
+  wcPlay.registerExpressionFunction('number', __number);
+  wcPlay.registerExpressionFunction('string', __string);
+  wcPlay.registerExpressionFunction('boolean', function(value) {
+    return Boolean(wcPlay.convertValue(value, wcPlay.DATA_TYPE.BOOLEAN));
+  });
+})();
@@ -130,7 +130,7 @@ wcPlayNodes.wcNodeComposite.extend('wcNodeCompositeEntry', 'Entry', 'Linkers', {
    * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
    * @function wcNodeCompositeEntry#onImporting
    * @param {Object} data - The data being imported.
-   * @param {Number[]} [idMap] - If supplied, identifies a mapping of old ID's to new ID's, any not found in this list will be unchanged.
+   * @param {Object} [idMap] - If supplied, maps the ids of nodes in the imported data to the new ids they were given, see {@link wcNode#importedId}.
    */
   onImporting: function(data, idMap) {
     this._super(data, idMap);
@@ -156,7 +156,7 @@ wcPlayNodes.wcNodeComposite.extend('wcNodeCompositeEntry', 'Entry', 'Linkers', {
    * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
    * @function wcNodeCompositeEntry#onImported
    * @param {Object} data - The data being imported.
-   * @param {Number[]} [idMap] - If supplied, identifies a mapping of old ID's to new ID's, any not found in this list will be unchanged.
+   * @param {Object} [idMap] - If supplied, maps the ids of nodes in the imported data to the new ids they were given, see {@link wcNode#importedId}.
    */
   onImported: function(data, idMap) {
     this._super(data, idMap);
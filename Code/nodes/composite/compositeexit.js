@@ -135,7 +135,7 @@ wcPlayNodes.wcNodeComposite.extend('wcNodeCompositeExit', 'Exit', 'Linkers', {
    * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
    * @function wcNodeCompositeExit#onImporting
    * @param {Object} data - The data being imported.
-   * @param {Number[]} [idMap] - If supplied, identifies a mapping of old ID's to new ID's, any not found in this list will be unchanged.
+   * @param {Object} [idMap] - If supplied, maps the ids of nodes in the imported data to the new ids they were given, see {@link wcNode#importedId}.
    */
   onImporting: function(data, idMap) {
     this._super(data, idMap);
@@ -161,7 +161,7 @@ wcPlayNodes.wcNodeComposite.extend('wcNodeCompositeExit', 'Exit', 'Linkers', {
    * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
    * @function wcNodeCompositeExit#onImported
    * @param {Object} data - The data being imported.
-   * @param {Number[]} [idMap] - If supplied, identifies a mapping of old ID's to new ID's, any not found in this list will be unchanged.
+   * @param {Object} [idMap] - If supplied, maps the ids of nodes in the imported data to the new ids they were given, see {@link wcNode#importedId}.
    */
   onImported: function(data, idMap) {
     this._super(data, idMap);
@@ -19,12 +19,12 @@ wcPlayNodes.wcNodeComposite.extend('wcNodeCompositeProperty', 'Property', 'Linke
     this.name = linkName || 'value';
 
     if (!this._invalid && this._parent) {
-      this._parent.createProperty(this.name, wcPlay.PROPERTY.STRING, '', {input: true, output: true});
+      this._parent.createProperty(this.name, wcPlay.PROPERTY.STRING, '', {input: true, output: true, dataType: wcPlay.DATA_TYPE.ANY});
     }
 
     this.createProperty('input', wcPlay.PROPERTY.TOGGLE, true, {description: 'Assign whether the parent Composite Node can set this property\'s value.'});
     this.createProperty('output', wcPlay.PROPERTY.TOGGLE, true, {description: 'Assign whether the parent Composite Node can read this property\'s value.'});
-    this.createProperty('value', wcPlay.PROPERTY.STRING, '', {input: true, output: true});
+    this.createProperty('value', wcPlay.PROPERTY.STRING, '', {input: true, output: true, dataType: wcPlay.DATA_TYPE.ANY});
 
     if (!this._invalid && this._parent) {
       this._parent.sortPropertyLinks();
@@ -121,7 +121,7 @@ wcPlayNodes.wcNodeComposite.extend('wcNodeCompositeProperty', 'Property', 'Linke
     if (name === 'input' || name === 'output') {
       var engine = this.engine();
       if (engine) {
-        setTimeout(function() {
+        engine.__setTimeout(function() {
           engine.notifyEditors('onEndUndoGroup');
         }, 0);
       }
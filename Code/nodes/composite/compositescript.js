@@ -10,12 +10,15 @@ wcPlayNodes.wcNodeComposite.extend('wcNodeCompositeScript', 'Composite', 'Import
     this._super(parent, pos);
 
     this.description('A node that contains its own set of nodes. Double click to view and edit its contents.');
-    this.details('Composite nodes can also be generated from an external script file using the "File->Import" option. Doing so will allow you to load the entire script into a single Composite Node that appears in the Palette on the left side.');
+    this.details('Composite nodes can also be generated from an external script file using the "File->Import" option. Doing so will allow you to load the entire script into a single Composite Node that appears in the Palette on the left side. Each one placed from the Palette is an instance of that definition, editing the contents of any instance updates them all, and only the property values it changes are its own. Use "Edit->Share Composite" to share an existing Composite Node this way, or "Edit->Embed Composite" to give an instance its own copy again.');
 
     this._entryNodes = [];
     this._processNodes = [];
     this._storageNodes = [];
     this._compositeNodes = [];
+    this._localVariables = [];
+    this._definition = '';
+    this._definitionState = '';
 
     if (Array.isArray(nodes)) {
       for (var i = 0; i < nodes.length; ++i) {
@@ -50,6 +53,62 @@ wcPlayNodes.wcNodeComposite.extend('wcNodeCompositeScript', 'Composite', 'Import
     return this._super(paused) || result;
   },
 
+  /**
+   * Retrieves the name of the composite definition this node is an instance of.<br>
+   * An instance does not keep its own copy of the nodes inside, they are built from the definition instead, and are rebuilt whenever the definition changes. Only the property values it overrides are saved with it.
+   * @function wcNodeCompositeScript#definition
+   * @returns {string} - The name of the composite definition, or an empty string if this node is an embedded copy that keeps its own nodes.
+   * @see wcPlay#compositeDefinition
+   */
+  definition: function() {
+    return this._definition;
+  },
+
+  /**
+   * Stores the current contents of this instance as its composite definition, and rebuilds every other instance of it.<br>
+   * The definition keeps its default values for the properties it already exposes, the values this instance gives them remain its own overrides.
+   * @function wcNodeCompositeScript#updateDefinition
+   * @returns {boolean} - Fails if this node is not an instance, or does not belong to a script.
+   */
+  updateDefinition: function() {
+    var engine = this.engine();
+    if (!this._definition || !engine) {
+      return false;
+    }
+
+    engine.__defineComposite(this._definition, this.__definitionNodes(), this);
+    this._definitionState = JSON.stringify(this.__definitionNodes());
+    return true;
+  },
+
+  /**
+   * Retrieves whether the contents of this instance were changed since it was built from, or stored into, its composite definition.
+   * @function wcNodeCompositeScript#differsFromDefinition
+   * @returns {boolean} - True if the contents changed, always false if this node is not an instance.
+   * @see wcNodeCompositeScript#updateDefinition
+   */
+  differsFromDefinition: function() {
+    if (!this._definition) {
+      return false;
+    }
+    return JSON.stringify(this.__definitionNodes()) !== this._definitionState;
+  },
+
+  /**
+   * Detaches this instance from its composite definition, it keeps its current contents as its own embedded copy.
+   * @function wcNodeCompositeScript#embed
+   * @returns {boolean} - Fails if this node is not an instance.
+   */
+  embed: function() {
+    if (!this._definition) {
+      return false;
+    }
+
+    this._definition = '';
+    this._definitionState = '';
+    return true;
+  },
+
   /**
    * Compiles all nodes inside this composite into meta-data.
    * @function wcNodeCompositeScript#compile
@@ -71,9 +130,10 @@ wcPlayNodes.wcNodeComposite.extend('wcNodeCompositeScript', 'Composite', 'Import
   },
 
   /**
-   * Loads the contents of this node based on its compiled data.
+   * Loads the contents of this node based on its compiled data.<br>
+   * Each node keeps its compiled id, unless another node of the script already uses it, in which case it is given a new one.
    * @function wcNodeCompositeScript#decompile
-   * @param {Object} [idMap] - If supplied, overrides node id's with those that are mapped here.
+   * @param {Object} [idMap] - If supplied, the map of ids given to the import of this node, which are still resolved by the nodes inside it.
    */
   decompile: function(idMap) {
     this.onDestroying();
@@ -81,6 +141,9 @@ wcPlayNodes.wcNodeComposite.extend('wcNodeCompositeScript', 'Composite', 'Import
     var engine = this.engine();
     var newNodes = [], i = 0, data = null;
 
+    // Ids are mapped separately for the nodes inside each composite, so they can not be confused with the nodes outside of it, while still resolving any ids that were mapped outside.
+    var scopeMap = Object.create(idMap || null);
+
     if (this.compiledNodes && engine) {
       var nodeLibrary = engine.nodeLibrary();
       for (i = 0; i < this.compiledNodes.length; ++i) {
@@ -88,11 +151,7 @@ wcPlayNodes.wcNodeComposite.extend('wcNodeCompositeScript', 'Composite', 'Import
         if (wcPlayNodes[data.className]) {
           if (nodeLibrary.has(data.className)) {
             var newNode = new wcPlayNodes[data.className](this, data.pos, data.name);
-            if (idMap) {
-              idMap[data.id] = newNode.id;
-            } else {
-              newNode.id = data.id;
-            }
+            newNode.__claimId(data.id, scopeMap);
             newNodes.push(newNode);
           } else {
             console.log('ERROR: Attempted to load node "' + data.className + '", but this script does not include it within its library of valid node types!');
@@ -106,7 +165,7 @@ wcPlayNodes.wcNodeComposite.extend('wcNodeCompositeScript', 'Composite', 'Import
       for (i = 0; i < this.compiledNodes.length; ++i) {
         if (newNodes[i]) {
           data = this.compiledNodes[i];
-          newNodes[i].import(data, idMap);
+          newNodes[i].import(data, scopeMap);
         }
       }
     }
@@ -115,7 +174,7 @@ wcPlayNodes.wcNodeComposite.extend('wcNodeCompositeScript', 'Composite', 'Import
   /**
    * Retrieves a node from a given ID, if it exists in this script.
    * @function wcNodeCompositeScript#nodeById
-   * @param {number} id - The ID of the node.
+   * @param {string|number} id - The ID of the node.
    * @returns {wcNode|null} - Either the found node, or null.
    */
   nodeById: function(id) {
@@ -471,15 +530,32 @@ wcPlayNodes.wcNodeComposite.extend('wcNodeCompositeScript', 'Composite', 'Import
    * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
    * @function wcNodeCompositeScript#onImporting
    * @param {Object} data - The data being imported.
-   * @param {Number[]} [idMap] - If supplied, identifies a mapping of old ID's to new ID's, any not found in this list will be unchanged.
+   * @param {Object} [idMap] - If supplied, maps the ids of nodes in the imported data to the new ids they were given, see {@link wcNode#importedId}.
    */
   onImporting: function(data, idMap) {
-    this.compiledNodes = data.nodes;
+    this._definition = data.definition || '';
+    this._definitionState = '';
+    this.compiledNodes = this._definition? this.__definitionSource(): data.nodes;
     this.decompile(idMap);
 
     this._super(data, idMap);
   },
 
+  /**
+   * Event that is called after the node has imported.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeCompositeScript#onImported
+   * @param {Object} data - The data being imported.
+   * @param {Object} [idMap] - If supplied, maps the ids of nodes in the imported data to the new ids they were given, see {@link wcNode#importedId}.
+   */
+  onImported: function(data, idMap) {
+    this._super(data, idMap);
+
+    if (this._definition) {
+      this._definitionState = JSON.stringify(this.__definitionNodes());
+    }
+  },
+
   /**
    * Event that is called when the node is being exported, after the export data has been configured.
    * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
@@ -490,6 +566,21 @@ wcPlayNodes.wcNodeComposite.extend('wcNodeCompositeScript', 'Composite', 'Import
   onExport: function(data, minimal) {
     this._super(data, minimal);
 
+    if (this._definition) {
+      // Instances only refer to their definition, and keep the property values that differ from it.
+      data.definition = this._definition;
+      var engine = this.engine();
+      var definition = engine && engine.compositeDefinition(this._definition);
+      if (definition) {
+        data.properties = data.properties.filter(function(prop) {
+          return !definition.propertyType(prop.name) ||
+            JSON.stringify(prop.initialValue) !== JSON.stringify(definition.initialProperty(prop.name)) ||
+            (prop.value !== undefined && JSON.stringify(prop.value) !== JSON.stringify(definition.property(prop.name)));
+        });
+      }
+      return;
+    }
+
     // Export the current set of nodes into our data.
     this.compile(minimal);
     data.nodes = this.compiledNodes;
@@ -516,6 +607,9 @@ wcPlayNodes.wcNodeComposite.extend('wcNodeCompositeScript', 'Composite', 'Import
     for (i = 0; i < this._storageNodes.length; ++i) {
       this._storageNodes[i].reset();
     }
+    for (i = 0; i < this._localVariables.length; ++i) {
+      this.localVariable(this._localVariables[i].name, wcPlay.copyValue(this._localVariables[i].initialValue));
+    }
   },
 
   /**
@@ -586,6 +680,65 @@ wcPlayNodes.wcNodeComposite.extend('wcNodeCompositeScript', 'Composite', 'Import
     }
   },
 
+  /**
+   * Gets, or Sets the current value of a local variable that belongs to this composite instance, copies of the same composite each have their own.<br>
+   * Assigning a value to a local variable that does not exist yet will create it, using the value as its initial value as well.
+   * @function wcNodeCompositeScript#localVariable
+   * @param {string} name - The name of the local variable.
+   * @param {Object} [value] - If supplied, will assign a new value to the local variable.
+   * @returns {Object|undefined} - The current value of the local variable, or undefined if not found.
+   */
+  localVariable: function(name, value) {
+    return wcPlay.__localVariable(this, name, value);
+  },
+
+  /**
+   * Gets, or Sets the initial value of a local variable that belongs to this composite instance, copies of the same composite each have their own.<br>
+   * Assigning a value to a local variable that does not exist yet will create it.
+   * @function wcNodeCompositeScript#initialLocalVariable
+   * @param {string} name - The name of the local variable.
+   * @param {Object} [value] - If supplied, will assign a new initial value to the local variable.
+   * @returns {Object|undefined} - The initial value of the local variable, or undefined if not found.
+   */
+  initialLocalVariable: function(name, value) {
+    return wcPlay.__initialLocalVariable(this, name, value);
+  },
+
+  /**
+   * Removes a local variable that belongs to this composite instance, copies of the same composite each have their own.
+   * @function wcNodeCompositeScript#removeLocalVariable
+   * @param {string} name - The name of the local variable to remove.
+   * @returns {boolean} - Fails if the local variable does not exist.
+   */
+  removeLocalVariable: function(name) {
+    return wcPlay.__removeLocalVariable(this, name);
+  },
+
+  /**
+   * Retrieves a list of all local variables that belongs to this composite instance, copies of the same composite each have their own.
+   * @function wcNodeCompositeScript#listLocalVariables
+   * @returns {wcPlay~LocalVariableData[]} - A list of all local variables.
+   */
+  listLocalVariables: function() {
+    return wcPlay.__listLocalVariables(this);
+  },
+
+  /**
+   * Sends a custom notification event to the nodes that share these local variables, which does not include the nodes inside any composite nodes.
+   * @function wcNodeCompositeScript#__notifyLocalNodes
+   * @private
+   * @param {string} func - The node function to call.
+   * @param {Object[]} args - A list of arguments to forward into the function call.
+   */
+  __notifyLocalNodes: function(func, args) {
+    var nodes = this._storageNodes.concat(this._processNodes);
+    for (var i = 0; i < nodes.length; ++i) {
+      if (typeof nodes[i][func] === 'function') {
+        nodes[i][func].apply(nodes[i], args);
+      }
+    }
+  },
+
   /**
    * Adds a node into the known node stacks.
    * @function wcNodeCompositeScript#__addNode
@@ -646,5 +799,103 @@ wcPlayNodes.wcNodeComposite.extend('wcNodeCompositeScript', 'Composite', 'Import
     }
 
     return false;
+  },
+
+  /**
+   * Retrieves the saved nodes that an instance is built from, those of its composite definition.
+   * @function wcNodeCompositeScript#__definitionSource
+   * @private
+   * @returns {Object[]} - The saved nodes, or an empty list if the definition does not exist or would contain itself.
+   */
+  __definitionSource: function() {
+    var engine = this.engine();
+    var definition = engine && engine.compositeDefinition(this._definition);
+    if (!definition) {
+      this.error('The composite definition "' + this._definition + '" does not exist.');
+      return [];
+    }
+
+    // A definition can not contain an instance of itself, directly or within other composites.
+    var scope = this._parent;
+    while (scope && scope.instanceOf('wcNodeCompositeScript')) {
+      if (scope === definition || scope._definition === this._definition) {
+        this.error('The composite definition "' + this._definition + '" can not contain an instance of itself.');
+        return [];
+      }
+      scope = scope._parent;
+    }
+
+    definition.compile(true);
+    return definition.compiledNodes;
+  },
+
+  /**
+   * Compiles the nodes inside an instance the way they are stored into its composite definition, where the properties that the definition already exposes keep their default values.
+   * @function wcNodeCompositeScript#__definitionNodes
+   * @private
+   * @returns {Object[]} - The saved nodes.
+   */
+  __definitionNodes: function() {
+    this.compile(true);
+
+    var engine = this.engine();
+    var definition = engine && engine.compositeDefinition(this._definition);
+    if (definition) {
+      this.compiledNodes.forEach(function(data) {
+        if (data.className !== 'wcNodeCompositeProperty' || !definition.propertyType(data.name)) {
+          return;
+        }
+        data.properties.forEach(function(prop) {
+          if (prop.name === 'value') {
+            prop.initialValue = definition.initialProperty(data.name);
+          }
+        });
+      });
+    }
+    return this.compiledNodes;
+  },
+
+  /**
+   * Destroys all nodes inside this composite, along with the links and properties they created on it.
+   * @function wcNodeCompositeScript#__clearContents
+   * @private
+   */
+  __clearContents: function() {
+    var i = 0;
+    for (i = this.chain.entry.length-1; i >= 0; --i) {
+      this.removeEntry(this.chain.entry[i].name);
+    }
+    for (i = this.chain.exit.length-1; i >= 0; --i) {
+      this.removeExit(this.chain.exit[i].name);
+    }
+    for (i = this.properties.length-1; i >= 0; --i) {
+      if (this.properties[i].name !== wcNode.PROPERTY_ENABLED) {
+        this.removeProperty(this.properties[i].name);
+      }
+    }
+
+    while (this._compositeNodes.length) {
+      this._compositeNodes[0].destroy();
+    }
+    while (this._entryNodes.length) {
+      this._entryNodes[0].destroy();
+    }
+    while (this._processNodes.length) {
+      this._processNodes[0].destroy();
+    }
+    while (this._storageNodes.length) {
+      this._storageNodes[0].destroy();
+    }
+  },
+
+  /**
+   * Rebuilds an instance from its composite definition, and restores everything else about it from data it exported before the definition changed.
+   * @function wcNodeCompositeScript#__rebuild
+   * @private
+   * @param {Object} data - The data this node exported before its definition changed.
+   */
+  __rebuild: function(data) {
+    this.__clearContents();
+    this.import(data);
   }
 });
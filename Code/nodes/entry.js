@@ -42,6 +42,16 @@ wcPlayNodes.wcNode.extend('wcNodeEntry', 'Entry Node', '', {
   onActivated: function(name) {
     this._super(name);
     this.activateExit('out');
+  },
+
+  /**
+   * Event that is called when this node is triggered by the host application with [wcPlay.triggerEvent]{@link wcPlay#triggerEvent}, by default this activates the node.
+   * Overload this in inherited nodes, be sure to call 'this._super(..)' once you are ready for the node to be activated.
+   * @function wcNodeEntry#onTriggered
+   * @param {Object} [data] - The data given with the event, if any.
+   */
+  onTriggered: function(data) {
+    this.onActivated();
   }
 });
 
@@ -18,6 +18,27 @@ wcPlayNodes.wcNodeEntry.extend('wcNodeEntryCallRemote', 'Call Remote Event', 'Fl
     this.createProperty('local', wcPlay.PROPERTY.TOGGLE, true, {description: 'If true, only matching Remote Event Nodes that are within, or nested within, the same Composite Node or scope will be activated.'});
   },
 
+  /**
+   * Retrieves the Remote Event Nodes that this node activates, those of the same name within its scope.
+   * @function wcNodeEntryCallRemote#remoteEvents
+   * @returns {wcNodeEntryRemote[]} - A list of Remote Event Nodes.
+   */
+  remoteEvents: function() {
+    var scope = this.engine();
+    if (this.property('local')) {
+      scope = this._parent;
+    }
+
+    if (!scope) {
+      return [];
+    }
+
+    var self = this;
+    return scope.nodesByClassName('wcNodeEntryRemote').filter(function(remoteNode) {
+      return remoteNode.name === self.name;
+    });
+  },
+
   /**
    * Event that is called when an entry link has been activated.
    * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
@@ -28,16 +49,23 @@ wcPlayNodes.wcNodeEntry.extend('wcNodeEntryCallRemote', 'Call Remote Event', 'Fl
     this._super(name);
 
     var engine = this.engine();
-    var scope = engine;
-    if (this.property('local')) {
-      scope = this._parent;
+    var remoteNodes = this.remoteEvents();
+    for (var i = 0; i < remoteNodes.length; ++i) {
+      engine.queueNodeEntry(remoteNodes[i], 'in', this, 'out', false, engine.beginFlowTracker(this, this._activeTracker));
     }
+  },
 
-    var remoteNodes = scope.nodesByClassName('wcNodeEntryRemote');
-    for (var i = 0; i < remoteNodes.length; ++i) {
-      if (remoteNodes[i].name === this.name) {
-        engine.queueNodeEntry(remoteNodes[i], 'in', this, 'out', false, engine.beginFlowTracker(this, this._activeTracker));
-      }
+  /**
+   * Event that is called when the script is being [linted]{@link wcPlay#lint}, to find mistakes with this node.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top and add any problems you find to the list it returns.
+   * @function wcNodeEntryCallRemote#onLint
+   * @returns {wcPlay~LintIssue[]} - A list of problems found with this node.
+   */
+  onLint: function() {
+    var issues = this._super();
+    if (!this.remoteEvents().length) {
+      issues.push({severity: wcPlay.LINT_SEVERITY.WARNING, rule: 'unmatchedCallRemote', message: 'There is no Remote Event named "' + this.name + '" for this node to activate' + (this.property('local')? ' within its scope.': '.'), node: this, name: ''});
     }
+    return issues;
   }
 });
@@ -0,0 +1,74 @@
+wcPlayNodes.wcNodeEntry.extend('wcNodeEntryCustomEvent', 'Custom Event', 'Flow Control', {
+  /**
+   * An entry node that fires when the host application [triggers an event]{@link wcPlay#triggerEvent} of the same name, assigning the data of the event to its outputs.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeEntryCustomEvent
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('An entry node that fires when the host application triggers an event of the same name.');
+    this.details('This node uses it\'s Title Name value as the name of the event, the host application triggers it with myScript.triggerEvent(\'Custom Event\', {name: \'event name\', data: {...}}). Each "name:type" pair in the "outputs" property becomes an output property of this node, for example "player:string, score:number" creates a string property named player and a number property named score. When triggered, each output is assigned the value of the same name from the data of the event, converted to its type, and outputs missing from the data are given their default value.');
+
+    this._outputs = [];
+    this._reservedNames = [wcNode.PROPERTY_ENABLED, 'outputs'];
+
+    this.createProperty('outputs', wcPlay.PROPERTY.STRING, '', {description: 'A comma separated list of "name:type" pairs, an output property is created for each. Types are any, number, integer, string, boolean, object, array, or any registered data type.'});
+  },
+
+  /**
+   * Event that is called when this node is triggered by the host application with [wcPlay.triggerEvent]{@link wcPlay#triggerEvent}.
+   * Overload this in inherited nodes, be sure to call 'this._super(..)' once you are ready for the node to be activated.
+   * @function wcNodeEntryCustomEvent#onTriggered
+   * @param {Object} [data] - The data given with the event, if any.
+   */
+  onTriggered: function(data) {
+    data = data || {};
+
+    for (var i = 0; i < this._outputs.length; ++i) {
+      var output = this._outputs[i];
+      var value = Object.prototype.hasOwnProperty.call(data, output.name)? data[output.name]: wcPlay.defaultValueOf(output.type);
+      this.property(output.name, value, true);
+    }
+
+    this._super(data);
+  },
+
+  /**
+   * Event that is called when a property has changed.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeEntryCustomEvent#onPropertyChanged
+   * @param {string} name - The name of the property.
+   * @param {Object} oldValue - The old value of the property.
+   * @param {Object} newValue - The new value of the property.
+   */
+  onPropertyChanged: function(name, oldValue, newValue) {
+    this._super(name, oldValue, newValue);
+
+    if (name === 'outputs') {
+      this.__updateOutputs(newValue);
+    }
+  },
+
+  /**
+   * Updates the output properties to match the list of outputs.
+   * @function wcNodeEntryCustomEvent#__updateOutputs
+   * @private
+   * @param {string} list - The comma separated list of "name:type" pairs.
+   */
+  __updateOutputs: function(list) {
+    var outputs = wcPlay.parseTypedNames(list, this._reservedNames);
+    for (var i = 0; i < outputs.length; ++i) {
+      if (outputs[i].type !== outputs[i].declaredType) {
+        this.error('Output "' + outputs[i].name + '" has an unknown data type "' + outputs[i].declaredType + '", "' + outputs[i].type + '" is used instead.');
+      }
+    }
+
+    this.updateTypedProperties(this._outputs, outputs, function(output) {
+      return {description: 'The "' + output.name + '" value given with the event.', output: true};
+    });
+    this._outputs = outputs;
+  }
+});
@@ -0,0 +1,214 @@
+wcPlayNodes.wcNodeEntry.extend('wcNodeEntryFunctionDefinition', 'Function Definition', 'Functions', {
+  /**
+   * An entry node that starts a function, which [Call Function Nodes]{@link wcNodeProcessCallFunction} of the same name can call with arguments and get results back from.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeEntryFunctionDefinition
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('The start of a function that Call Function Nodes of the same name can call.');
+    this.details('This node uses it\'s Title Name value as the name of the function. Each "name:type" pair in the "parameters" property becomes an output property of this node, which is assigned the arguments of each call, and each pair in the "results" property becomes an input property of the Return Nodes of the function, and an output property of the Call Function Nodes. A call is finished once every chain started by this node has finished. A function may call itself, after each inner call has finished its parameters are assigned the arguments of the outer call again.');
+
+    this._parameters = [];
+    this._results = [];
+    this._frames = [];
+    this._reservedNames = [wcNode.PROPERTY_ENABLED, 'parameters', 'results'];
+
+    this.createProperty('parameters', wcPlay.PROPERTY.STRING, '', {description: 'A comma separated list of "name:type" pairs, an output property is created for each and assigned the arguments of each call.'});
+    this.createProperty('results', wcPlay.PROPERTY.STRING, '', {description: 'A comma separated list of "name:type" pairs, the values given back to the caller by the Return Nodes of this function.'});
+  },
+
+  /**
+   * Calls this function. Once every chain started by the call has finished, the results assigned by a [Return Node]{@link wcNodeProcessReturn} are given to the done callback.
+   * @function wcNodeEntryFunctionDefinition#callFunction
+   * @param {Object} args - The arguments, keyed by the name of each parameter. Missing arguments are given the default value of their data type.
+   * @param {wcNode} caller - The node making the call, the call is tracked as part of the chain that activated it.
+   * @param {Function} done - done(results) is called when the call has finished, with the results keyed by name.
+   * @returns {boolean} - Fails if the function can not be called right now.
+   */
+  callFunction: function(args, caller, done) {
+    var engine = this.engine();
+    if (!engine || !engine.isRunning() || !this.enabled()) {
+      return false;
+    }
+
+    var self = this;
+    var frame = {
+      definition: this,
+      args: args || {},
+      results: {},
+      returned: false
+    };
+
+    var tracker = engine.beginFlowTracker(caller, caller._activeTracker, function() {
+      self.__endFrame(frame);
+      done(frame.results);
+    });
+    if (!tracker) {
+      return false;
+    }
+
+    tracker.functionFrame = frame;
+    engine.queueNodeEntry(this, 'in', caller, 'in', false, tracker);
+    return true;
+  },
+
+  /**
+   * Retrieves the parameters of this function.
+   * @function wcNodeEntryFunctionDefinition#parameters
+   * @returns {wcPlay~TypedName[]} - The parameters.
+   */
+  parameters: function() {
+    return this._parameters.slice();
+  },
+
+  /**
+   * Retrieves the results of this function.
+   * @function wcNodeEntryFunctionDefinition#results
+   * @returns {wcPlay~TypedName[]} - The results.
+   */
+  results: function() {
+    return this._results.slice();
+  },
+
+  /**
+   * Overloading the default onActivated event handler so the arguments of the call are assigned before our exit link is triggered.
+   * Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeEntryFunctionDefinition#onActivated
+   * @param {string} name - The name of the entry link triggered.
+   */
+  onActivated: function(name) {
+    var frame = this._activeTracker && this._activeTracker.functionFrame;
+    if (frame) {
+      this._frames.push(frame);
+      this.__assignArguments(frame.args);
+    }
+
+    this._super(name);
+  },
+
+  /**
+   * Event that is called when a property has changed.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeEntryFunctionDefinition#onPropertyChanged
+   * @param {string} name - The name of the property.
+   * @param {Object} oldValue - The old value of the property.
+   * @param {Object} newValue - The new value of the property.
+   */
+  onPropertyChanged: function(name, oldValue, newValue) {
+    this._super(name, oldValue, newValue);
+
+    if (name === 'parameters' || name === 'results') {
+      this.__updateDeclarations();
+    }
+  },
+
+  /**
+   * Event that is called when the name of this node has changed.<br>
+   * Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeEntryFunctionDefinition#onNameChanged
+   * @param {string} oldName - The current name.
+   * @param {string} newName - The new name.
+   * @param {external:wcUndoManager} [undo] - If the change is triggered by the user and undo management is enabled, this will be the undo manager. Note: The value change is already recorded, use this only if you have other things to record.
+   */
+  onNameChanged: function(oldName, newName, undo) {
+    this._super(oldName, newName, undo);
+    this.__notifyCallers();
+  },
+
+  /**
+   * Event that is called when the node is reset, such as when the script is restarted.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeEntryFunctionDefinition#onReset
+   */
+  onReset: function() {
+    this._super();
+
+    // Abandon any calls that are still in progress.
+    this._frames = [];
+  },
+
+  /**
+   * Updates our parameters and results to match their properties, creating an output property for each parameter.<br>
+   * A result can not share the name of a parameter, as Call Function Nodes create properties for both.
+   * @function wcNodeEntryFunctionDefinition#__updateDeclarations
+   * @private
+   */
+  __updateDeclarations: function() {
+    var parameters = wcPlay.parseTypedNames(this.property('parameters'), this._reservedNames);
+    var reservedNames = this._reservedNames.concat(parameters.map(function(parameter) {
+      return parameter.name;
+    }));
+    var results = wcPlay.parseTypedNames(this.property('results'), reservedNames);
+
+    this.__reportUnknownTypes(parameters.concat(results));
+    this.updateTypedProperties(this._parameters, parameters, function(parameter) {
+      return {description: 'The "' + parameter.name + '" argument of the current call.', output: true};
+    });
+
+    this._parameters = parameters;
+    this._results = results;
+    this.__notifyCallers();
+  },
+
+  /**
+   * Finishes a call, and restores the arguments of the call that is still waiting on it, if any.
+   * @function wcNodeEntryFunctionDefinition#__endFrame
+   * @private
+   * @param {Object} frame - The call that has finished.
+   */
+  __endFrame: function(frame) {
+    var index = this._frames.indexOf(frame);
+    if (index === -1) {
+      return;
+    }
+
+    this._frames.splice(index, 1);
+    if (this._frames.length) {
+      this.__assignArguments(this._frames[this._frames.length - 1].args);
+    }
+  },
+
+  /**
+   * Assigns the arguments of a call to our parameter properties.
+   * @function wcNodeEntryFunctionDefinition#__assignArguments
+   * @private
+   * @param {Object} args - The arguments, keyed by the name of each parameter.
+   */
+  __assignArguments: function(args) {
+    for (var i = 0; i < this._parameters.length; ++i) {
+      var parameter = this._parameters[i];
+      var value = Object.prototype.hasOwnProperty.call(args, parameter.name)? args[parameter.name]: wcPlay.defaultValueOf(parameter.type);
+      this.property(parameter.name, value, true);
+    }
+  },
+
+  /**
+   * Logs an error for each name that was given a data type that has not been registered.
+   * @function wcNodeEntryFunctionDefinition#__reportUnknownTypes
+   * @private
+   * @param {wcPlay~TypedName[]} list - The parsed names.
+   */
+  __reportUnknownTypes: function(list) {
+    for (var i = 0; i < list.length; ++i) {
+      if (list[i].type !== list[i].declaredType) {
+        this.error('"' + list[i].name + '" has an unknown data type "' + list[i].declaredType + '", "' + list[i].type + '" is used instead.');
+      }
+    }
+  },
+
+  /**
+   * Lets the Call Function and Return Nodes that use this function know that it has changed.
+   * @function wcNodeEntryFunctionDefinition#__notifyCallers
+   * @private
+   */
+  __notifyCallers: function() {
+    var scope = this.localScope();
+    if (scope) {
+      scope.notifyNodes('onFunctionDefinitionChanged', [this]);
+    }
+  }
+});
@@ -11,7 +11,7 @@ wcPlayNodes.wcNodeEntry.extend('wcNodeEntryInterval', 'Interval', 'Automatic', {
 
     this.description('Once the script starts, this will activate continuously on a time interval defined by the milliseconds property.');
 
-    this.createProperty('milliseconds', wcPlay.PROPERTY.NUMBER, 1000, {description: 'The time, in milliseconds, per update.', input: true});
+    this.createProperty('milliseconds', wcPlay.PROPERTY.NUMBER, 1000, {description: 'The time, in milliseconds, per update.', input: true, min: 0});
   },
 
   /**
@@ -11,5 +11,24 @@ wcPlayNodes.wcNodeEntry.extend('wcNodeEntryRemote', 'Remote Event', 'Flow Contro
 
     this.description('An entry node that fires when a Call Remote Event Node of the same name is activated.');
     this.details('This node uses it\'s Title Name value as an identifier that links it with any Call Remote Event Nodes of the same name. Whenever any Call Remote Event Node of the same name is activated, this Node will become active as well. If multiple Remote Nodes exist with the same name, they will all be called in parallel.');
+  },
+
+  /**
+   * Event that is called when the script is being [linted]{@link wcPlay#lint}, to find mistakes with this node.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top and add any problems you find to the list it returns.
+   * @function wcNodeEntryRemote#onLint
+   * @returns {wcPlay~LintIssue[]} - A list of problems found with this node.
+   */
+  onLint: function() {
+    var issues = this._super();
+    var engine = this.engine();
+    var self = this;
+    var called = engine && engine.nodesByClassName('wcNodeEntryCallRemote').some(function(callNode) {
+      return callNode.remoteEvents().indexOf(self) > -1;
+    });
+    if (!called) {
+      issues.push({severity: wcPlay.LINT_SEVERITY.WARNING, rule: 'unmatchedRemote', message: 'There is no Call Remote Event named "' + this.name + '" that can activate this node.', node: this, name: ''});
+    }
+    return issues;
   }
 });
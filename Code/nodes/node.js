@@ -40,7 +40,14 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
       details: ''
     };
     this._break = false;
+    this._breakpoint = {
+      condition: '',
+      hitCount: 0,
+      logMessage: ''
+    };
+    this._breakHits = 0;
     this._log = false;
+    this._pendingChains = [];
 
     this._parent = parent;
 
@@ -85,6 +92,9 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
   error: function(args) {
     /* eslint-disable no-console */
     args = Array.prototype.slice.call(arguments);
+    var engine = this.engine();
+    engine && engine.__emit(wcPlay.EVENT.ERROR, {message: args.join(' '), node: this});
+
     args.splice(0, 0, 'wcNode ERROR:');
     if (console.error) {
       console.error.apply(console, args);
@@ -114,6 +124,7 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
     var engine = this.engine();
     if (engine) {
       engine.endFlowTracker(this._activeTracker);
+      engine.removeWatch(this);
     }
 
     // Remove all links.
@@ -153,9 +164,11 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
     this._meta.dirty = true;
     this._meta.broken = 0;
     this._meta.paused = false;
+    this._breakHits = 0;
 
     for (var i = 0; i < this.properties.length; ++i) {
-      this.properties[i].value = this.properties[i].initialValue;
+      // Copy arrays and objects so changes made while running do not alter the initial value.
+      this.properties[i].value = wcPlay.copyValue(this.properties[i].initialValue);
     }
   },
 
@@ -189,21 +202,25 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
   },
 
   /**
-   * Imports previously [exported]{@link wcNode#export} data to generate this node.
+   * Imports previously [exported]{@link wcNode#export} data to generate this node.<br>
+   * The node keeps the id it was exported with, unless the idMap gives it a new one, or another node of the script already uses it, in which case it is given a new id that is added to the idMap.
    * @function wcNode#import
    * @param {Object} data - The data to import.
-   * @param {Number[]} [idMap] - If supplied, identifies a mapping of old ID's to new ID's, any not found in this list will be unchanged.
+   * @param {Object} [idMap] - If supplied, maps the ids of nodes in the imported data to the new ids they were given, any not found in this map keep their ids.
    */
   import: function(data, idMap) {
     var i = 0, chain = null, targetNode = null;
     this.onImporting(data, idMap);
 
-    this.id = idMap && idMap[data.id] || data.id;
+    this.__claimId(data.id, idMap);
     this.name = data.name,
     this.color = data.color,
     this.pos.x = data.pos.x,
     this.pos.y = data.pos.y,
     this.debugBreak(data.breakpoint);
+    if (data.breakpointOptions) {
+      this.breakpoint(data.breakpointOptions);
+    }
 
     // Restore property values.
     for (i = 0; i < data.properties.length; ++i) {
@@ -216,37 +233,46 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
       return;
     }
 
-    if (this.id > engine.__curNodeId()) {
-      engine.__curNodeId(this.id);
+    // Connect chains from nodes imported before us, to links and properties that we only just created while restoring our properties.
+    var pending = this._pendingChains;
+    this._pendingChains = [];
+    for (i = 0; i < pending.length; ++i) {
+      if (pending[i].type === 'entry') {
+        pending[i].node.connectExit(pending[i].name, this, pending[i].targetName);
+      } else {
+        pending[i].node.connectOutput(pending[i].name, this, pending[i].targetName);
+      }
     }
 
     // Re-connect all chains.
     for (i = 0; i < data.entryChains.length; ++i) {
       chain = data.entryChains[i];
-      targetNode = engine.nodeById((idMap && idMap[chain.outNodeId]) || chain.outNodeId);
+      targetNode = this._parent.nodeById(this.importedId(chain.outNodeId, idMap));
       if (targetNode && this._parent === targetNode._parent) {
         this.connectEntry(chain.inName, targetNode, chain.outName);
       }
     }
     for (i = 0; i < data.exitChains.length; ++i) {
       chain = data.exitChains[i];
-      targetNode = engine.nodeById((idMap && idMap[chain.inNodeId]) || chain.inNodeId);
-      if (targetNode && this._parent === targetNode._parent) {
-        this.connectExit(chain.outName, targetNode, chain.inName);
+      targetNode = this._parent.nodeById(this.importedId(chain.inNodeId, idMap));
+      if (targetNode && this._parent === targetNode._parent &&
+          this.connectExit(chain.outName, targetNode, chain.inName) === wcNode.CONNECT_RESULT.NOT_FOUND) {
+        targetNode.__deferChain('entry', this, chain.outName, chain.inName);
       }
     }
     for (i = 0; i < data.inputChains.length; ++i) {
       chain = data.inputChains[i];
-      targetNode = engine.nodeById((idMap && idMap[chain.outNodeId]) || chain.outNodeId);
+      targetNode = this._parent.nodeById(this.importedId(chain.outNodeId, idMap));
       if (targetNode && this._parent === targetNode._parent) {
         this.connectInput(chain.inName, targetNode, chain.outName);
       }
     }
     for (i = 0; i < data.outputChains.length; ++i) {
       chain = data.outputChains[i];
-      targetNode = engine.nodeById((idMap && idMap[chain.inNodeId]) || chain.inNodeId);
-      if (targetNode && this._parent === targetNode._parent) {
-        this.connectOutput(chain.outName, targetNode, chain.inName);
+      targetNode = this._parent.nodeById(this.importedId(chain.inNodeId, idMap));
+      if (targetNode && this._parent === targetNode._parent &&
+          this.connectOutput(chain.outName, targetNode, chain.inName) === wcNode.CONNECT_RESULT.NOT_FOUND) {
+        targetNode.__deferChain('input', this, chain.outName, chain.inName);
       }
     }
     this._meta.dirty = true;
@@ -276,6 +302,22 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
       outputChains: this.listOutputChains()
     };
 
+    // Only breakpoints with a condition, hit count, or log message need their options saved.
+    var breakpoint = this._breakpoint;
+    if (breakpoint.condition || breakpoint.hitCount || breakpoint.logMessage) {
+      data.breakpointOptions = {
+        condition: breakpoint.condition,
+        hitCount: breakpoint.hitCount,
+        logMessage: breakpoint.logMessage
+      };
+    }
+
+    // Only nodes with registered migrations need to remember their data version.
+    var version = wcPlay.migrationVersion(this.className);
+    if (version) {
+      data.version = version;
+    }
+
     // Include additional info if we aren't minimal
     if (!minimal) {
       data.entryChains = this.listEntryChains();
@@ -289,6 +331,21 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
     return data;
   },
 
+  /**
+   * Resolves the id of a node, as found in imported data, to the id that node has after the import.<br>
+   * Nodes that keep the ids of other nodes within their own exported data should resolve them with this in [onImporting]{@link wcNode#onImporting} or [onImported]{@link wcNode#onImported}, so they still refer to the same nodes after they were pasted, or loaded with new ids.
+   * @function wcNode#importedId
+   * @param {string|number} id - The node id found in the imported data.
+   * @param {Object} [idMap] - The map of ids given to the import.
+   * @returns {string|number} - The id the node has now.
+   */
+  importedId: function(id, idMap) {
+    if (idMap && idMap[id] !== undefined) {
+      return idMap[id];
+    }
+    return id;
+  },
+
   /**
    * Retrieves the wcPlay engine that owns this node.
    * @function wcNode#engine
@@ -302,6 +359,47 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
     return play || null;
   },
 
+  /**
+   * Retrieves the owner of the local variables this node can use, which is the composite node that contains it, or the wcPlay engine if it is not inside of one.
+   * @function wcNode#localScope
+   * @returns {wcNodeCompositeScript|wcPlay|null} - The owner of the local variables, or null if this node does not belong to a script.
+   * @see wcNodeCompositeScript#localVariable
+   * @see wcPlay#localVariable
+   */
+  localScope: function() {
+    var scope = this._parent;
+    if (scope && typeof scope.instanceOf === 'function' && (scope.instanceOf('wcPlay') || scope.instanceOf('wcNodeCompositeScript'))) {
+      return scope;
+    }
+    return null;
+  },
+
+  /**
+   * Retrieves the [Function Definition]{@link wcNodeEntryFunctionDefinition} nodes that this node can call, which are those in the composite node that contains it and in every composite node and script above it.<br>
+   * A definition hides any definition of the same name further up.
+   * @function wcNode#functionDefinitions
+   * @param {string} [name] - If supplied, only the definition of this name is retrieved.
+   * @returns {wcNodeEntryFunctionDefinition[]} - The definitions, starting with those closest to this node.
+   */
+  functionDefinitions: function(name) {
+    var result = [];
+    var names = [];
+    var scope = this.localScope();
+    while (scope) {
+      var definitions = scope.nodesByClassName('wcNodeEntryFunctionDefinition');
+      for (var i = 0; i < definitions.length; ++i) {
+        var definition = definitions[i];
+        if (definition._parent === scope && names.indexOf(definition.name) === -1 && (name === undefined || definition.name === name)) {
+          names.push(definition.name);
+          result.push(definition);
+        }
+      }
+
+      scope = scope.instanceOf('wcPlay')? null: scope.localScope();
+    }
+    return result;
+  },
+
   /**
    * Sets, or Gets this node's enabled state.
    * @function wcNode#enabled
@@ -389,6 +487,46 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
     return (engine && engine.debugging() && this._break);
   },
 
+  /**
+   * Gets, or Sets the options of this node's debug breakpoint, which is toggled with {@link wcNode#debugBreak}.<br>
+   * A breakpoint can be given a condition to only break when it is true, a hit count to only break on that activation, and a log message to print instead of breaking.
+   * @function wcNode#breakpoint
+   * @param {wcNode~BreakpointOptions} [options] - If supplied, will assign the given options, options that are not supplied are left unchanged.
+   * @returns {wcNode~Breakpoint} - The current breakpoint.
+   * @example
+   * // Pause only once the counter goes above 10.
+   * myNode.breakpoint({enabled: true, condition: 'value > 10'});
+   *
+   * // Print a message every time the node activates, without pausing.
+   * myNode.breakpoint({enabled: true, logMessage: 'Counter is now {value}, doubled that is {value * 2}'});
+   */
+  breakpoint: function(options) {
+    if (options) {
+      if (options.enabled !== undefined) {
+        this.debugBreak(options.enabled);
+      }
+      if (options.condition !== undefined) {
+        this._breakpoint.condition = String(options.condition || '');
+      }
+      if (options.hitCount !== undefined) {
+        this._breakpoint.hitCount = Math.max(0, Math.floor(Number(options.hitCount) || 0));
+        this._breakHits = 0;
+      }
+      if (options.logMessage !== undefined) {
+        this._breakpoint.logMessage = String(options.logMessage || '');
+      }
+      this._meta.dirty = true;
+    }
+
+    return {
+      enabled: this._break,
+      condition: this._breakpoint.condition,
+      hitCount: this._breakpoint.hitCount,
+      logMessage: this._breakpoint.logMessage,
+      hits: this._breakHits
+    };
+  },
+
   /**
    * Gets, or Sets the description for this node. This is usually shown as a tooltip for the node within the editor tool.
    * @function wcNode#description
@@ -433,7 +571,8 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
   },
 
   /**
-   * Utility function for setting a timed event in a way that is compatible with live debugging in the editor tool.
+   * Utility function for setting a timed event in a way that is compatible with live debugging in the editor tool.<br>
+   * The delay is measured with the script's clock, which is virtual when the script is in [manual tick]{@link wcPlay~Options} mode.
    * @function wcNode#setTimeout
    * @param {Function} callback - A callback function to call when the time has elapsed. As an added convenience, 'this' will be the node instance.
    * @param {number} delay - The time delay, in milliseconds, to wait before calling the callback function.
@@ -488,11 +627,11 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
   /**
    * Utility function for performing an AJAX request in a way that is compatible with live debugging in the editor tool.<br>
    * The success, error, and complete callback functions are changed so that the 'this' object is the node instance, or the custom context if you provided a context in your options.<br>
-   * Note: This method specifically uses JQuery for the ajax operation, so you will need to include that library if you intend to use this.
+   * Note: This method specifically uses JQuery for the ajax operation, so you will need to include that library if you intend to use this. Without it, the request fails immediately.
    * @function wcNode#ajax
    * @param {string} [url] - Option URL to send the request, if not supplied, it should be provided in the options parameter.
    * @param {Object} [options] - The options for the request, as described here: {@link http://api.jquery.com/jquery.ajax/}.
-   * @returns {jqXHR|function} - The jQuery XHR object generated by the ajax request. If an older version of jQuery is used, you will receive a function instead.
+   * @returns {jqXHR|function|null} - The jQuery XHR object generated by the ajax request. If an older version of jQuery is used, you will receive a function instead. If jQuery is not available, null is returned.
    */
   ajax: function(url, options) {
     if (typeof url === 'object') {
@@ -512,9 +651,7 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
     var context = options.context || this;
     function __wrapCallbackComplete(cb) {
       return function() {
-        setTimeout(function() {
-          self.finishThread(xhr);
-        }, 0);
+        self.__finishThreadLater(xhr);
         __wrapCallback(cb)();
       };
     }
@@ -530,6 +667,13 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
     options.error    = __wrapCallback(options.error);
     options.complete = __wrapCallbackComplete(options.complete);
 
+    // jQuery is not available when running headless, so the request fails immediately.
+    if (typeof $ === 'undefined' || typeof $.ajax !== 'function') {
+      this.error('Unable to perform AJAX request, jQuery is not available.');
+      options.error(null, 'error', 'jQuery is not available.');
+      return null;
+    }
+
     var xhr = $.ajax(options);
 
     // Failsafe in case we are running an older version of jQuery which does not yet return the jqXHR object.
@@ -558,15 +702,11 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
     try {
       promise = fetch(url, options).catch(function(err) {
         // Something bad happened before we got a response! Perhaps invalid options?
-        setTimeout(function() {
-          self.finishThread(promise);
-        }, 0);
+        self.__finishThreadLater(promise);
         throw err;
       }).then(function(result) {
         // Finish the thread.
-        setTimeout(function() {
-          self.finishThread(promise);
-        }, 0);
+        self.__finishThreadLater(promise);
 
         // Check the status of the response.
         if (!cancelled) {
@@ -657,9 +797,11 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
 
       // Finish any trackers.
       var engine = this.engine();
-      setTimeout(function() {
-        engine && engine.endFlowTracker(tracker);
-      });
+      if (engine) {
+        engine.__setTimeout(function() {
+          engine.endFlowTracker(tracker);
+        }, 0);
+      }
       this._activeTracker = tracker;
     }
   },
@@ -740,7 +882,8 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
   },
 
   /**
-   * Creates a new property.
+   * Creates a new property.<br>
+   * Its data type is given by the dataType option, or otherwise follows from its type. Only properties with a dataType option convert the values they are given into that data type.
    * @function wcNode#createProperty
    * @param {string} name - The name of the property.
    * @param {wcPlay.PROPERTY} type - The type of property.
@@ -757,7 +900,23 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
     }
 
     if (initialValue === undefined) {
-      initialValue = 0;
+      switch (type) {
+        case wcPlay.PROPERTY.ARRAY:
+          initialValue = [];
+          break;
+        case wcPlay.PROPERTY.OBJECT:
+          initialValue = {};
+          break;
+        default:
+          initialValue = 0;
+          break;
+      }
+    }
+
+    options = options || {};
+    var dataType = options.dataType || wcPlay.defaultDataType(type);
+    if (options.dataType) {
+      initialValue = wcPlay.convertValue(initialValue, dataType);
     }
 
     this.properties.push({
@@ -765,9 +924,10 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
       value: initialValue,
       initialValue: initialValue,
       type: type,
+      dataType: dataType,
       inputs: [],
       outputs: [],
-      options: options || {},
+      options: options,
       inputMeta: {
         flash: false,
         flashDelta: 0,
@@ -843,6 +1003,41 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
     return false;
   },
 
+  /**
+   * Creates, replaces, and removes properties so they match a list of names and data types, such as one [parsed]{@link wcPlay.parseTypedNames} from a list typed in by the user.<br>
+   * Properties that keep both their name and data type are left alone, so their chains are not lost.
+   * @function wcNode#updateTypedProperties
+   * @param {wcPlay~TypedName[]} oldList - The list the properties currently match, or an empty array if none were created yet.
+   * @param {wcPlay~TypedName[]} newList - The list the properties should match.
+   * @param {Function} getOptions - getOptions(typedName) returns the [options]{@link wcNode~PropertyOptions} used to create the property of a name, its dataType is assigned for you.
+   */
+  updateTypedProperties: function(oldList, newList, getOptions) {
+    var i = 0;
+    var unchanged = [];
+    for (i = 0; i < oldList.length; ++i) {
+      var kept = false;
+      for (var a = 0; a < newList.length; ++a) {
+        if (newList[a].name === oldList[i].name && newList[a].type === oldList[i].type) {
+          unchanged.push(newList[a].name);
+          kept = true;
+          break;
+        }
+      }
+
+      if (!kept) {
+        this.removeProperty(oldList[i].name);
+      }
+    }
+
+    for (i = 0; i < newList.length; ++i) {
+      if (unchanged.indexOf(newList[i].name) === -1) {
+        var options = getOptions(newList[i]) || {};
+        options.dataType = newList[i].type;
+        this.createProperty(newList[i].name, wcPlay.propertyTypeOf(newList[i].type), wcPlay.defaultValueOf(newList[i].type), options);
+      }
+    }
+  },
+
   /**
    * Renames an entry link on this node while preserving all connected chains.
    * @function wcNode#renameEntry
@@ -1143,6 +1338,11 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
       return wcNode.CONNECT_RESULT.REFUSED;
     }
 
+    // Make sure the data types are compatible.
+    if (!this.__checkDataTypes(targetNode, targetProperty, this, myProperty)) {
+      return wcNode.CONNECT_RESULT.INCOMPATIBLE;
+    }
+
     // Now make the connection.
     myProperty.inputs.push({
       name: targetProperty.name,
@@ -1222,6 +1422,11 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
       return wcNode.CONNECT_RESULT.REFUSED;
     }
 
+    // Make sure the data types are compatible.
+    if (!this.__checkDataTypes(this, myProperty, targetNode, targetProperty)) {
+      return wcNode.CONNECT_RESULT.INCOMPATIBLE;
+    }
+
     // Now make the connection.
     myProperty.outputs.push({
       name: targetProperty.name,
@@ -1408,7 +1613,7 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
 
     if (engine) {
       // Timeout one frame before attempting to close this tracker.
-      setTimeout(function() {
+      engine.__setTimeout(function() {
         engine.endFlowTracker(tracker);
       }, 0);
     }
@@ -1440,6 +1645,8 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
         var queued = false;
         var activeTracker = this._activeTracker;
 
+        engine && engine.__emit(wcPlay.EVENT.EXIT_ACTIVATED, {node: this, name: name});
+
         if (typeof done === 'function') {
           activeTracker = engine.beginFlowTracker(this, activeTracker, done);
           done = null;
@@ -1458,7 +1665,7 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
           this.chain.exit[i].meta.flash = true;
           this._meta.flash = true;
           // Timeout one frame before attempting to close this tracker.
-          setTimeout(function() {
+          engine.__setTimeout(function() {
             engine.endFlowTracker(activeTracker);
           }, 0);
           done && done();
@@ -1472,6 +1679,22 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
     return false;
   },
 
+  /**
+   * Ends the flow chain that activated this node without continuing it through an exit link, so anything waiting for the chain to finish, such as the done callback of [activateExit]{@link wcNode#activateExit}, is notified.<br>
+   * Call this while handling [onActivated]{@link wcNode#onActivated} when the node decides not to activate any exit links. Chains that are still running from this node are not affected.
+   * @function wcNode#finishFlow
+   */
+  finishFlow: function() {
+    var engine = this.engine();
+    var tracker = this._activeTracker;
+    if (engine && tracker) {
+      // Timeout one frame before attempting to close this tracker.
+      engine.__setTimeout(function() {
+        engine.endFlowTracker(tracker);
+      }, 0);
+    }
+  },
+
   /**
    * Gets the type of a property.
    * @function wcNode#propertyType
@@ -1487,6 +1710,22 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
     }
   },
 
+  /**
+   * Gets the data type of a property.
+   * @function wcNode#propertyDataType
+   * @param {string} name - The name of the property.
+   * @returns {wcPlay.DATA_TYPE|null} - Returns null if the property was not found.
+   */
+  propertyDataType: function(name) {
+    for (var i = 0; i < this.properties.length; ++i) {
+      var prop = this.properties[i];
+      if (prop.name === name) {
+        return prop.dataType;
+      }
+    }
+    return null;
+  },
+
   /**
    * Gets the options assigned to a property, you may change attributes from here.
    * @function wcNode#propertyOptions
@@ -1524,6 +1763,11 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
           // Retrieve the current value of the property
           var oldValue = prop.value;
 
+          // Convert the value into the declared data type of the property.
+          if (prop.options.dataType) {
+            value = wcPlay.convertValue(value, prop.dataType);
+          }
+
           // Apply restrictions to the property based on its type and options supplied.
           switch (prop.type) {
             case wcPlay.PROPERTY.TOGGLE:
@@ -1532,10 +1776,8 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
             case wcPlay.PROPERTY.NUMBER:
               var min = (prop.options.min !== undefined? prop.options.min: -Infinity);
               var max = (prop.options.max !== undefined? prop.options.max:  Infinity);
-              var num = Math.min(max, Math.max(min, parseInt(value)));
-              if (isNaN(num)) {
-                value = Math.min(max, Math.max(min, 0));
-              }
+              var num = (typeof value === 'number'? value: parseFloat(value));
+              value = Math.min(max, Math.max(min, isNaN(num)? 0: num));
               break;
             case wcPlay.PROPERTY.STRING:
               var len = prop.options.maxlength;
@@ -1543,6 +1785,12 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
                 value = value.toString().substring(0, len);
               }
               break;
+            case wcPlay.PROPERTY.ARRAY:
+              value = Array.isArray(value)? value: [];
+              break;
+            case wcPlay.PROPERTY.OBJECT:
+              value = (typeof value === 'object' && value !== null && !Array.isArray(value))? value: {};
+              break;
             case wcPlay.PROPERTY.SELECT:
               var items = prop.options.items;
               if (typeof items === 'function') {
@@ -1594,6 +1842,10 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
 
             // Notify that the property has changed.
             this.onPropertyChanged(prop.name, oldValue, value, undo);
+            if (engine && oldValue !== value) {
+              engine.__emit(wcPlay.EVENT.PROPERTY_CHANGED, {node: this, name: prop.name, oldValue: oldValue, newValue: value});
+              engine.__watchChanged(this, prop.name, oldValue, value);
+            }
 
             // Linked properties must sync with their initial values as well.
             if (prop.options.linked) {
@@ -1651,6 +1903,9 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
       var prop = this.properties[i];
       if (prop.name === name) {
         if (value !== undefined) {
+          if (prop.options.dataType) {
+            value = wcPlay.convertValue(value, prop.dataType);
+          }
           value = this.onInitialPropertyChanging(prop.name, prop.initialValue, value, undo) || value;
           if (prop.value == prop.initialValue) {
             this.property(name, value);
@@ -1888,6 +2143,9 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
       }
     }
 
+    if (!this._viewportSize) {
+      return {x: 0, y: 0};
+    }
     return {x: this._viewportSize.x, y: this._viewportSize.y};
   },
 
@@ -2283,7 +2541,7 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
    * Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
    * @function wcNode#onImporting
    * @param {Object} data - The data being imported.
-   * @param {Number[]} [idMap] - If supplied, identifies a mapping of old ID's to new ID's, any not found in this list will be unchanged.
+   * @param {Object} [idMap] - If supplied, maps the ids of nodes in the imported data to the new ids they were given, see {@link wcNode#importedId}.
    */
   onImporting: function(data, idMap) {
     this._super(data, idMap);
@@ -2294,7 +2552,7 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
    * Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
    * @function wcNode#onImported
    * @param {Object} data - The data being imported.
-   * @param {Number[]} [idMap] - If supplied, identifies a mapping of old ID's to new ID's, any not found in this list will be unchanged.
+   * @param {Object} [idMap] - If supplied, maps the ids of nodes in the imported data to the new ids they were given, see {@link wcNode#importedId}.
    */
   onImported: function(data, idMap) {
     this._super(data, idMap);
@@ -2311,6 +2569,42 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
     this._super(data, minimal);
   },
 
+  /**
+   * Event that is called when the script is being [linted]{@link wcPlay#lint}, to find mistakes with this node.<br>
+   * Overload this in inherited nodes, be sure to call 'this._super(..)' at the top and add any problems you find to the list it returns.
+   * @function wcNode#onLint
+   * @returns {wcPlay~LintIssue[]} - A list of problems found with this node.
+   */
+  onLint: function() {
+    this._super();
+    var issues = [];
+    for (var i = 0; i < this.properties.length; ++i) {
+      var prop = this.properties[i];
+      if (prop.options.required && prop.options.input && !prop.inputs.length) {
+        issues.push({severity: wcPlay.LINT_SEVERITY.ERROR, rule: 'requiredInput', message: 'Property "' + prop.name + '" needs a chain into its input.', node: this, name: prop.name});
+      }
+
+      for (var a = 0; a < prop.inputs.length; ++a) {
+        var fromNode = prop.inputs[a].node;
+        for (var b = 0; b < fromNode.properties.length; ++b) {
+          var fromProp = fromNode.properties[b];
+          if (fromProp.name !== prop.inputs[a].name) {
+            continue;
+          }
+
+          var message = 'Property "' + prop.name + '" of data type "' + prop.dataType + '" is chained from property "' + fromNode.type + '.' + fromProp.name + '" of data type "' + fromProp.dataType + '"';
+          var compatibility = wcPlay.typeCompatibility(fromProp.dataType, prop.dataType);
+          if (compatibility === wcPlay.TYPE_COMPATIBILITY.INCOMPATIBLE) {
+            issues.push({severity: wcPlay.LINT_SEVERITY.ERROR, rule: 'typeMismatch', message: message + ', which it can not be converted from.', node: this, name: prop.name});
+          } else if (compatibility === wcPlay.TYPE_COMPATIBILITY.LOSSY) {
+            issues.push({severity: wcPlay.LINT_SEVERITY.INFO, rule: 'typeMismatch', message: message + ', which may lose information when converted.', node: this, name: prop.name});
+          }
+        }
+      }
+    }
+    return issues;
+  },
+
   /**
    * Event that is called when the node is about to be reset.<br>
    * Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
@@ -2336,10 +2630,199 @@ wcPlayNodes.wcClass.extend('wcNode', 'Node', '', {
    */
   onDestroyed: function() {
     this._super();
+  },
+
+  /**
+   * Tests whether this node's breakpoint should pause the script as the node is being activated, and prints its log message instead if it has one.
+   * @function wcNode#__testBreakpoint
+   * @private
+   * @param {string} name - The name of the entry link being activated.
+   * @returns {boolean} - True if the script should pause.
+   */
+  __testBreakpoint: function(name) {
+    if (!this.debugBreak()) {
+      return false;
+    }
+
+    var engine = this.engine();
+    var breakpoint = this._breakpoint;
+    if (breakpoint.condition) {
+      try {
+        if (!this.__evaluateBreakpoint(breakpoint.condition)) {
+          return false;
+        }
+      } catch (err) {
+        // Pause on a broken condition, so the problem can be seen.
+        this.error('Breakpoint condition "' + breakpoint.condition + '" failed: ' + err.message);
+        return true;
+      }
+    }
+
+    this._breakHits++;
+    if (breakpoint.hitCount && this._breakHits !== breakpoint.hitCount) {
+      return false;
+    }
+
+    if (breakpoint.logMessage) {
+      var self = this;
+      var message = breakpoint.logMessage.replace(/\{([^{}]*)\}/g, function(match, source) {
+        try {
+          var value = self.__evaluateBreakpoint(source);
+          return typeof value === 'object' && value !== null? JSON.stringify(value): String(value);
+        } catch (err) {
+          return '<' + err.message + '>';
+        }
+      });
+
+      if (!engine.silent()) {
+        this.log(message);
+      }
+      engine.__emit(wcPlay.EVENT.LOG_POINT, {node: this, name: name, message: message});
+      engine.notifyEditors('onLogPoint', [this, message]);
+      return false;
+    }
+
+    engine.__emit(wcPlay.EVENT.BREAKPOINT_HIT, {node: this, name: name, hits: this._breakHits});
+    return true;
+  },
+
+  /**
+   * Evaluates an expression of a breakpoint, with the values of this node's properties as its variables.
+   * @function wcNode#__evaluateBreakpoint
+   * @private
+   * @param {string} source - The expression.
+   * @returns {Object} - The result.
+   * @throws {Error} - If the expression can not be parsed or evaluated.
+   */
+  __evaluateBreakpoint: function(source) {
+    var expression = wcPlay.compileExpression(source);
+    if (expression.error) {
+      throw new Error('Character ' + (expression.error.position + 1) + ': ' + expression.error.message);
+    }
+
+    var values = {hits: this._breakHits};
+    for (var i = 0; i < expression.variables.length; ++i) {
+      if (this.propertyType(expression.variables[i])) {
+        values[expression.variables[i]] = this.property(expression.variables[i]);
+      }
+    }
+    return expression.evaluate(values);
+  },
+
+  /**
+   * Assigns this node the id it had in imported data, unless the id map already gives it a new one, or another node of the script uses that id, in which case this node is given a new id that is added to the map.
+   * @function wcNode#__claimId
+   * @private
+   * @param {string|number} id - The id found in the imported data.
+   * @param {Object} [idMap] - The map of ids given to the import, only ids mapped within it directly are used.
+   * @returns {string|number} - The id this node was given.
+   */
+  __claimId: function(id, idMap) {
+    if (idMap && Object.prototype.hasOwnProperty.call(idMap, id)) {
+      this.id = idMap[id];
+      return this.id;
+    }
+
+    var engine = this.engine();
+    var owner = engine && !engine._definingComposite && engine.nodeById(id);
+    if (owner && owner !== this) {
+      if (this.id === id) {
+        this.id = engine.__nextNodeId();
+      }
+      if (idMap) {
+        idMap[id] = this.id;
+      }
+    } else {
+      this.id = id;
+    }
+    return this.id;
+  },
+
+  /**
+   * Finishes a thread one frame from now, on the script's clock so it follows the virtual time in manual tick mode.
+   * @function wcNode#__finishThreadLater
+   * @private
+   * @param {Number|Function} id - The thread ID to close, see {@link wcNode#finishThread}.
+   */
+  __finishThreadLater: function(id) {
+    var self = this;
+    function __finish() {
+      self.finishThread(id);
+    }
+
+    var engine = this.engine();
+    if (engine) {
+      engine.__setTimeout(__finish, 0);
+    } else {
+      setTimeout(__finish, 0);
+    }
+  },
+
+  /**
+   * Remembers a chain to this node that could not be connected during an import, because its link or property does not exist yet.<br>
+   * Nodes that create links or properties based on their own properties, such as from an expression, only have them once they are imported themselves, at which point the chain is connected.
+   * @function wcNode#__deferChain
+   * @private
+   * @param {string} type - 'entry' if the chain is between links, or 'input' if it is between properties.
+   * @param {wcNode} node - The node the chain comes from.
+   * @param {string} name - The name of the exit link or output property on that node.
+   * @param {string} targetName - The name of the entry link or input property on this node.
+   */
+  __deferChain: function(type, node, name, targetName) {
+    var exists = false;
+    var list = type === 'entry'? this.chain.entry: this.properties;
+    for (var i = 0; i < list.length; ++i) {
+      if (list[i].name === targetName) {
+        exists = true;
+        break;
+      }
+    }
+
+    // The chain failed for another reason, such as the link on the other node not existing.
+    if (exists) {
+      return;
+    }
+
+    this._pendingChains.push({
+      type: type,
+      node: node,
+      name: name,
+      targetName: targetName
+    });
+  },
+
+  /**
+   * Tests whether the data types of two properties allow them to be chained, based on the [type checking]{@link wcPlay#typeChecking} mode of the script.
+   * @function wcNode#__checkDataTypes
+   * @private
+   * @param {wcNode} outputNode - The node with the property output.
+   * @param {Object} outputProp - The property output.
+   * @param {wcNode} inputNode - The node with the property input.
+   * @param {Object} inputProp - The property input.
+   * @returns {boolean} - Whether the properties can be chained.
+   */
+  __checkDataTypes: function(outputNode, outputProp, inputNode, inputProp) {
+    var engine = this.engine();
+    var mode = engine? engine.typeChecking(): wcPlay.TYPE_CHECK.WARN;
+    if (mode === wcPlay.TYPE_CHECK.NONE ||
+        wcPlay.typeCompatibility(outputProp.dataType, inputProp.dataType) !== wcPlay.TYPE_COMPATIBILITY.INCOMPATIBLE) {
+      return true;
+    }
+
+    var message = 'Property "' + outputNode.category + '.' + outputNode.type + '.' + outputProp.name + '" of data type "' + outputProp.dataType + '" is incompatible with property "' + inputNode.category + '.' + inputNode.type + '.' + inputProp.name + '" of data type "' + inputProp.dataType + '"';
+    if (mode === wcPlay.TYPE_CHECK.STRICT) {
+      engine && engine.error(message + ', the chain was refused.');
+      return false;
+    }
+
+    if (engine && !engine.silent()) {
+      engine.log('WARNING: ' + message + '.');
+    }
+    return true;
   }
 });
 
-window.wcNode = {};
+(typeof window === 'undefined'? global: window).wcNode = {};
 
 /**
  * The type of node link.
@@ -2360,6 +2843,7 @@ wcNode.CONNECT_RESULT = {
   NOT_FOUND: 'not_found',
   ALREADY_CONNECTED: 'already_connected',
   REFUSED: 'refused',
+  INCOMPATIBLE: 'incompatible',
   SUCCESS: 'success'
 };
 
@@ -1,6 +1,6 @@
 wcPlayNodes.wcNodeProcess.extend('wcNodeProcessAlert', 'Alert', 'Debugging', {
   /**
-   * For debugging purposes, will popup an alert box with a message the moment it is activated. [Silent mode]{@link wcPlay~Options} will silence this node.
+   * For debugging purposes, will popup an alert box with a message the moment it is activated. When running headless, the message is logged instead. [Silent mode]{@link wcPlay~Options} will silence this node.
    * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
    * @class wcNodeProcessAlert
    * @param {string} parent - The parent object of this node.
@@ -34,6 +34,12 @@ wcPlayNodes.wcNodeProcess.extend('wcNodeProcessAlert', 'Alert', 'Debugging', {
     }
 
     var msg = this.property('message');
+
+    // There is no alert box when running headless, so log it instead.
+    if (typeof alert !== 'function') {
+      engine.log('Alert: ' + msg);
+      return;
+    }
     alert(msg);
   }
 });
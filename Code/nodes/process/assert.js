@@ -0,0 +1,29 @@
+wcPlayNodes.wcNodeProcessAssertion.extend('wcNodeProcessAssert', 'Assert', 'Testing', {
+  /**
+   * Checks that a condition is true when activated, and reports a failure through the engine if it is not.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessAssert
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('Checks that a condition is true, and reports a failure if it is not.');
+    this.details('Every check is sent to the host application as an assertion event of the script, a failed check is also reported as an error of this node. The "out" exit link is activated if the condition is true, and the "failed" exit link if it is not.');
+
+    this.createProperty('condition', wcPlay.PROPERTY.TOGGLE, false, {description: 'The condition that is expected to be true.', input: true, required: true});
+  },
+
+  /**
+   * Event that is called when an entry link has been activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessAssert#onActivated
+   * @param {string} name - The name of the entry link triggered.
+   */
+  onActivated: function(name) {
+    this._super(name);
+
+    this.report(this.property('condition'));
+  }
+});
@@ -0,0 +1,42 @@
+wcPlayNodes.wcNodeProcessAssertion.extend('wcNodeProcessAssertEqual', 'Assert Equal', 'Testing', {
+  /**
+   * Checks that a value equals the value it is expected to be when activated, and reports a failure through the engine if it does not.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessAssertEqual
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('Checks that a value equals what it is expected to be, and reports a failure if it does not.');
+    this.details('With "compare as" set to strict, both values must be of the same data type, and arrays and objects must contain the same items. Otherwise, both values are converted to the chosen data type and compared the same way as the Compare node does. Every check is sent to the host application as an assertion event of the script, a failed check is also reported as an error of this node, along with both values. The "out" exit link is activated if the values are equal, and the "failed" exit link if they are not.');
+
+    this.createProperty('compare as', wcPlay.PROPERTY.SELECT, 'strict', {items: ['strict', wcPlay.DATA_TYPE.NUMBER, wcPlay.DATA_TYPE.STRING, wcPlay.DATA_TYPE.BOOLEAN], description: 'The data type to convert both values into before comparing them, strict compares them as they are.', allowNone: false});
+    this.createProperty('actual', wcPlay.PROPERTY.DYNAMIC, '', {description: 'The value being checked.', input: true, required: true});
+    this.createProperty('expected', wcPlay.PROPERTY.DYNAMIC, '', {description: 'The value that actual is expected to equal.', input: true});
+  },
+
+  /**
+   * Event that is called when an entry link has been activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessAssertEqual#onActivated
+   * @param {string} name - The name of the entry link triggered.
+   */
+  onActivated: function(name) {
+    this._super(name);
+
+    var dataType = this.property('compare as');
+    var actual = this.property('actual');
+    var expected = this.property('expected');
+
+    var passed = false;
+    if (dataType === 'strict') {
+      passed = JSON.stringify(actual) === JSON.stringify(expected);
+    } else {
+      passed = wcPlay.compareValues(actual, expected, dataType) === 0;
+    }
+
+    this.report(passed, passed? '': 'expected ' + JSON.stringify(expected) + ' but got ' + JSON.stringify(actual));
+  }
+});
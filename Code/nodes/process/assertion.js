@@ -0,0 +1,33 @@
+wcPlayNodes.wcNodeProcess.extend('wcNodeProcessAssertion', 'Assertion', '', {
+  /**
+   * The base class for nodes that check something while the script runs, and [report]{@link wcPlay#reportAssertion} whether it passed through the engine.
+   * The "out" exit link is activated if the check passed, and the "failed" exit link if it did not.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * <br><b>Should be inherited and never constructed directly</b>.
+   * @class wcNodeProcessAssertion
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.createExit('failed', 'Activated instead of "out" if the assertion failed.');
+
+    this.createProperty('message', wcPlay.PROPERTY.STRING, '', {description: 'Describes what is being asserted, included in the report when it fails.', input: true});
+  },
+
+  /**
+   * Reports the outcome of this node's assertion to the engine, and continues the flow chain through either the "out" or "failed" exit link.
+   * @function wcNodeProcessAssertion#report
+   * @param {boolean} passed - Whether the assertion passed.
+   * @param {string} [detail] - Describes why the assertion failed, added after the message property.
+   */
+  report: function(passed, detail) {
+    var message = [this.property('message'), detail].filter(Boolean).join(', ');
+
+    var engine = this.engine();
+    engine && engine.reportAssertion(this, passed, message);
+
+    this.activateExit(passed? 'out': 'failed');
+  }
+});
@@ -0,0 +1,72 @@
+wcPlayNodes.wcNodeProcessFunctionReference.extend('wcNodeProcessCallFunction', 'Call Function', 'Functions', {
+  /**
+   * Calls the [Function Definition]{@link wcNodeEntryFunctionDefinition} of the same name, and waits for it to finish before continuing.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessCallFunction
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('Calls the Function Definition of the same name, and waits for it to finish.');
+    this.details('This node uses it\'s Title Name value to find the Function Definition Node of the same name, looking first in the composite node it is in and then in each one above it. An input property is created for each parameter of the function, and an output property for each result. The "out" exit link is activated once every chain started by the call has finished, with the results given by the Return Node of the function. If the function does not exist, or too many calls are already waiting on each other, the "failure" exit link is activated instead.');
+
+    this.createExit('failure', 'Activated instead of "out" if the function could not be called.');
+
+    this._parameterOptions = {input: true};
+    this._resultOptions = {output: true};
+  },
+
+  /**
+   * Event that is called when an entry link has been activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessCallFunction#onActivated
+   * @param {string} name - The name of the entry link triggered.
+   */
+  onActivated: function(name) {
+    this._super(name);
+
+    var engine = this.engine();
+    var definition = this.definition();
+    if (!definition) {
+      this.error('Function "' + this.name + '" does not exist.');
+      this.activateExit('failure');
+      return;
+    }
+
+    var depth = 0;
+    for (var tracker = this._activeTracker; tracker; tracker = tracker.parent) {
+      if (tracker.functionFrame) {
+        depth++;
+      }
+    }
+
+    if (depth >= engine.functionDepthLimit()) {
+      this.error('Function "' + this.name + '" could not be called, the limit of ' + engine.functionDepthLimit() + ' calls waiting on each other was reached.');
+      this.activateExit('failure');
+      return;
+    }
+
+    var i = 0;
+    var args = {};
+    for (i = 0; i < this._parameters.length; ++i) {
+      args[this._parameters[i].name] = this.property(this._parameters[i].name);
+    }
+
+    var self = this;
+    var called = definition.callFunction(args, this, function(results) {
+      for (var a = 0; a < self._results.length; ++a) {
+        var result = self._results[a];
+        var value = Object.prototype.hasOwnProperty.call(results, result.name)? results[result.name]: wcPlay.defaultValueOf(result.type);
+        self.property(result.name, value, true);
+      }
+      self.activateExit('out');
+    });
+
+    if (!called) {
+      this.error('Function "' + this.name + '" could not be called.');
+      this.activateExit('failure');
+    }
+  }
+});
@@ -0,0 +1,139 @@
+wcPlayNodes.wcNodeProcess.extend('wcNodeProcessCollection', 'Collection', '', {
+  /**
+   * The base class for nodes that iterate through the items of an array, activating the "loop body" exit link once per item.
+   * The next item is not processed until the entire loop body chain has finished, and any property changes it made have been applied.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * <br><b>Should be inherited and never constructed directly</b>.
+   * @class wcNodeProcessCollection
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this._loop = null;
+
+    // Replace the default exit with our loop links.
+    this.removeExit('out');
+    this.createExit('loop body', 'Activated once for each item in the array, after the previous item\'s chain has finished.');
+    this.createExit('completed', 'Activated once every item in the array has been processed.');
+
+    this.createProperty('array', wcPlay.PROPERTY.ARRAY, [], {description: 'The array of items to iterate through.', input: true});
+    this.createProperty('item', wcPlay.PROPERTY.DYNAMIC, '', {description: 'The item currently being processed by the loop body.', output: true});
+    this.createProperty('index', wcPlay.PROPERTY.NUMBER, 0, {description: 'The index of the item currently being processed by the loop body.', output: true});
+  },
+
+  /**
+   * Event that is called when an entry link has been activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessCollection#onActivated
+   * @param {string} name - The name of the entry link triggered.
+   */
+  onActivated: function(name) {
+    this._super(name);
+
+    var items = this.property('array');
+    this._loop = {
+      items: Array.isArray(items)? wcPlay.copyValue(items): [],
+      index: -1,
+      tracker: this._activeTracker
+    };
+
+    this.onLoopStart(this._loop.items);
+    this.__nextItem(this._loop);
+  },
+
+  /**
+   * Event that is called when the node is reset, such as when the script is restarted.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessCollection#onReset
+   */
+  onReset: function() {
+    this._super();
+
+    // Abandon any loop that is still in progress.
+    this._loop = null;
+  },
+
+  /**
+   * Event that is called when a new loop has begun, before the first item is processed.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessCollection#onLoopStart
+   * @param {Array} items - The items that will be processed.
+   */
+  onLoopStart: function(items) {
+  },
+
+  /**
+   * Event that is called just before the loop body is activated for an item.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessCollection#onLoopItem
+   * @param {Object} item - The item about to be processed.
+   * @param {number} index - The index of the item.
+   */
+  onLoopItem: function(item, index) {
+  },
+
+  /**
+   * Event that is called once the loop body has finished with an item, and any property changes it made have been applied.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessCollection#onLoopItemFinished
+   * @param {Object} item - The item that was processed.
+   * @param {number} index - The index of the item.
+   */
+  onLoopItemFinished: function(item, index) {
+  },
+
+  /**
+   * Event that is called once every item has been processed, just before the "completed" exit link is activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessCollection#onLoopFinished
+   */
+  onLoopFinished: function() {
+  },
+
+  /**
+   * Processes the next item of a loop, or completes the loop if there are no more items.
+   * @function wcNodeProcessCollection#__nextItem
+   * @private
+   * @param {Object} loop - The loop being processed.
+   */
+  __nextItem: function(loop) {
+    // The loop was reset or restarted while waiting for the loop body.
+    if (!loop || this._loop !== loop) {
+      return;
+    }
+
+    if (loop.index > -1) {
+      this.onLoopItemFinished(loop.items[loop.index], loop.index);
+    }
+
+    loop.index++;
+    if (loop.index >= loop.items.length) {
+      this._loop = null;
+      this.onLoopFinished();
+      this.activateExit('completed');
+      return;
+    }
+
+    var item = loop.items[loop.index];
+    this.property('index', loop.index, true);
+    this.property('item', item, true);
+    this.onLoopItem(item, loop.index);
+
+    this.activateExit('loop body', function() {
+      if (this._loop !== loop) {
+        return;
+      }
+
+      // Property changes made by the loop body are still queued, continue from the engine's
+      // chain queue so they are all applied before the result of this item is collected.
+      var engine = this.engine();
+      if (engine) {
+        engine.__queueNodeCallback(this, function() {
+          this.__nextItem(loop);
+        }, engine.beginFlowTracker(this, loop.tracker));
+      }
+    });
+  }
+});
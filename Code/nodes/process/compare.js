@@ -0,0 +1,85 @@
+wcPlayNodes.wcNodeProcess.extend('wcNodeProcessCompare', 'Compare', 'Logic', {
+  /**
+   * Compares two values, outputting the result and continuing the flow chain through either the "true" or "false" exit link.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessCompare
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('Compares two values.');
+    this.details('Activate the entry link of the comparison you want to perform. Both values are converted to the same data type before they are ' +
+      'compared, numbers and toggles are compared numerically, strings alphabetically, and arrays and objects can only be equal or not. With ' +
+      '"compare as" set to auto, the data type of valueA is used. The result is output to the result property, and either the "true" or "false" ' +
+      'exit link is activated.');
+
+    // Remove our default links.
+    this.removeEntry('in');
+    this.removeExit('out');
+
+    // Create an input link per comparison type.
+    this.createEntry('==', 'valueA == valueB');
+    this.createEntry('!=', 'valueA != valueB');
+    this.createEntry('<', 'valueA < valueB');
+    this.createEntry('<=', 'valueA <= valueB');
+    this.createEntry('>', 'valueA > valueB');
+    this.createEntry('>=', 'valueA >= valueB');
+
+    this.createExit('true', 'Activated if the comparison is true.');
+    this.createExit('false', 'Activated if the comparison is false.');
+
+    this.createProperty('compare as', wcPlay.PROPERTY.SELECT, 'auto', {
+      items: ['auto', wcPlay.DATA_TYPE.NUMBER, wcPlay.DATA_TYPE.STRING, wcPlay.DATA_TYPE.BOOLEAN],
+      description: 'The data type to convert both values into before comparing them, auto uses the data type of valueA.',
+      allowNone: false
+    });
+    this.createProperty('valueA', wcPlay.PROPERTY.DYNAMIC, 0, {description: 'Left hand value for the comparison.', input: true});
+    this.createProperty('valueB', wcPlay.PROPERTY.DYNAMIC, 0, {description: 'Right hand value for the comparison.', input: true});
+    this.createProperty('result', wcPlay.PROPERTY.TOGGLE, false, {description: 'The result of the comparison.', output: true});
+  },
+
+  /**
+   * Event that is called when an entry link has been activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessCompare#onActivated
+   * @param {string} name - The name of the entry link triggered.
+   */
+  onActivated: function(name) {
+    this._super(name);
+
+    var dataType = this.property('compare as');
+    var order = wcPlay.compareValues(this.property('valueA'), this.property('valueB'), dataType === 'auto'? undefined: dataType);
+    var result = false;
+
+    // A NaN order means the values are different but can not be ordered, so only != is true.
+    switch (name) {
+      case '==':
+        result = order === 0;
+        break;
+      case '!=':
+        result = order !== 0;
+        break;
+      case '<':
+        result = order < 0;
+        break;
+      case '<=':
+        result = order <= 0;
+        break;
+      case '>':
+        result = order > 0;
+        break;
+      case '>=':
+        result = order >= 0;
+        break;
+      default:
+        this.error('Unknown comparison "' + name + '".');
+        this.finishFlow();
+        return;
+    }
+
+    this.property('result', result, true);
+    this.activateExit(result? 'true': 'false');
+  }
+});
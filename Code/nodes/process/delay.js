@@ -11,7 +11,7 @@ wcPlayNodes.wcNodeProcess.extend('wcNodeProcessDelay', 'Delay', 'Flow Control',
 
     this.description('Waits for a specified amount of time before continuing the flow chain.');
 
-    this.createProperty('milliseconds', wcPlay.PROPERTY.NUMBER, 1000, {description: 'The time delay, in milliseconds, to wait before firing the "out" Exit link.', input: true});
+    this.createProperty('milliseconds', wcPlay.PROPERTY.NUMBER, 1000, {description: 'The time delay, in milliseconds, to wait before firing the "out" Exit link.', input: true, min: 0});
   },
 
   /**
@@ -0,0 +1,48 @@
+wcPlayNodes.wcNodeProcess.extend('wcNodeProcessDoOnce', 'Do Once', 'Flow Control', {
+  /**
+   * Passes the flow chain through only the first time it is activated, until it is reset.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessDoOnce
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('Passes the flow chain through only the first time it is activated.');
+    this.details('The first time the "in" entry link is activated, the "out" exit link is activated, any further activations end the flow chain ' +
+      'here. Activate the "reset" entry link to allow the chain through once more.');
+
+    this.createEntry('reset', 'Allows the flow chain through once more.');
+
+    this.createProperty('triggered', wcPlay.PROPERTY.TOGGLE, false, {description: 'Whether the flow chain has already been passed through.', output: true});
+  },
+
+  /**
+   * Event that is called when an entry link has been activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessDoOnce#onActivated
+   * @param {string} name - The name of the entry link triggered.
+   */
+  onActivated: function(name) {
+    this._super(name);
+
+    switch (name) {
+      case 'in':
+        if (!this.property('triggered')) {
+          this.property('triggered', true);
+          this.activateExit('out');
+          return;
+        }
+        break;
+      case 'reset':
+        this.property('triggered', false);
+        break;
+      default:
+        this.error('Unknown entry link "' + name + '".');
+        break;
+    }
+
+    this.finishFlow();
+  }
+});
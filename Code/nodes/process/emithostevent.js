@@ -0,0 +1,122 @@
+wcPlayNodes.wcNodeProcess.extend('wcNodeProcessEmitHostEvent', 'Emit Host Event', 'Host', {
+  /**
+   * Sends an event out of the script to the host application, which handles it with [onScriptEvent]{@link wcPlay#onScriptEvent}.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessEmitHostEvent
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('Sends an event out of the script to the host application.');
+    this.details('This node uses it\'s Title Name value as the name of the event. Each name in the "fields" property becomes an input property of this node, and their values are sent along with the event as its payload. The "out" exit link is not activated until every handler of the event has finished, including any asynchronous work they return a promise for, and the last value they returned is assigned to the result property. If a handler fails, the "failure" exit link is activated instead.');
+
+    this.createExit('failure', 'Activated instead of "out" if a handler of the event failed.');
+
+    this._fields = [];
+    this._reservedNames = [wcNode.PROPERTY_ENABLED, 'fields', 'result'];
+
+    this.createProperty('fields', wcPlay.PROPERTY.STRING, '', {description: 'A comma separated list of names, an input property is created for each and sent with the event.'});
+    this.createProperty('result', wcPlay.PROPERTY.DYNAMIC, '', {description: 'The value returned by the handlers of the event.', output: true});
+  },
+
+  /**
+   * Event that is called when an entry link has been activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessEmitHostEvent#onActivated
+   * @param {string} name - The name of the entry link triggered.
+   */
+  onActivated: function(name) {
+    this._super(name);
+
+    var engine = this.engine();
+    if (!engine || !this.name) {
+      this.activateExit('failure');
+      return;
+    }
+
+    var payload = {};
+    for (var i = 0; i < this._fields.length; ++i) {
+      payload[this._fields[i]] = this.property(this._fields[i]);
+    }
+
+    // Keep the node alive until the handlers have finished, resetting the script cancels the wait.
+    var cancelled = false;
+    var thread = this.beginThread({
+      abort: function() {
+        cancelled = true;
+      }
+    });
+
+    var self = this;
+    engine.emitScriptEvent(this.name, payload, this).then(function(result) {
+      if (!cancelled) {
+        self.finishThread(thread);
+        self.property('result', result, true);
+        self.activateExit('out');
+      }
+    }, function(err) {
+      if (!cancelled) {
+        self.finishThread(thread);
+        self.error('Handler of the "' + self.name + '" host event failed: ' + (err && err.message || err));
+        self.activateExit('failure');
+      }
+    });
+  },
+
+  /**
+   * Event that is called when a property has changed.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessEmitHostEvent#onPropertyChanged
+   * @param {string} name - The name of the property.
+   * @param {Object} oldValue - The old value of the property.
+   * @param {Object} newValue - The new value of the property.
+   */
+  onPropertyChanged: function(name, oldValue, newValue) {
+    this._super(name, oldValue, newValue);
+
+    if (name === 'fields') {
+      this.__updateFields(newValue);
+    }
+  },
+
+  /**
+   * Updates the payload input properties to match the list of fields.
+   * @function wcNodeProcessEmitHostEvent#__updateFields
+   * @private
+   * @param {string} list - The comma separated list of field names.
+   */
+  __updateFields: function(list) {
+    var i = 0;
+    var fields = [];
+    var names = String(list || '').split(',');
+    for (i = 0; i < names.length; ++i) {
+      var field = names[i].trim();
+      if (field && fields.indexOf(field) === -1 && this._reservedNames.indexOf(field) === -1) {
+        fields.push(field);
+      }
+    }
+
+    for (i = 0; i < this._fields.length; ++i) {
+      if (fields.indexOf(this._fields[i]) === -1) {
+        this.removeProperty(this._fields[i]);
+      }
+    }
+
+    for (i = 0; i < fields.length; ++i) {
+      if (this._fields.indexOf(fields[i]) === -1) {
+        this.createProperty(fields[i], wcPlay.PROPERTY.DYNAMIC, '', {description: 'The value of "' + fields[i] + '" in the payload of the event.', input: true});
+      }
+    }
+    this._fields = fields;
+
+    // Keep the result property last, without disconnecting it.
+    for (i = 0; i < this.properties.length - 1; ++i) {
+      if (this.properties[i].name === 'result') {
+        this.properties.push(this.properties.splice(i, 1)[0]);
+        break;
+      }
+    }
+  }
+});
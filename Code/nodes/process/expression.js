@@ -0,0 +1,203 @@
+wcPlayNodes.wcNodeProcess.extend('wcNodeProcessExpression', 'Expression', 'Data Manipulation', {
+  /**
+   * Evaluates a formula, with an input property for each variable it uses.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessExpression
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('Evaluates a formula, with an input property for each variable it uses.');
+    this.details('Each name used in the expression that is not a function or constant becomes an input property of this node, for example "(a * b ' +
+      '+ c) / max(d, 1)" creates the properties a, b, c, and d. Supports arithmetic (+ - * / % and ^ for powers), comparisons (== != < <= > >=), ' +
+      'boolean logic (&& || !), condition ? a : b, strings, and functions such as min, max, round, sqrt, len, upper, lower, substr, and replace. ' +
+      'If the expression can not be evaluated, the problem is shown on the node and the "failure" exit link is activated instead.');
+
+    this.createExit('failure', 'Activated instead of "out" if the expression could not be evaluated.');
+
+    this._expression = null;
+    this._variables = [];
+    this._error = '';
+    this._reservedNames = [wcNode.PROPERTY_ENABLED, 'expression', 'result'];
+
+    this.createProperty('expression', wcPlay.PROPERTY.STRING, 'a + b', {description: 'The expression to evaluate, an input property is created for each variable it uses.'});
+    this.createProperty('result', wcPlay.PROPERTY.DYNAMIC, 0, {description: 'The result of the expression.', output: true});
+    this.__compile('a + b');
+  },
+
+  /**
+   * Event that is called when an entry link has been activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessExpression#onActivated
+   * @param {string} name - The name of the entry link triggered.
+   */
+  onActivated: function(name) {
+    this._super(name);
+
+    if (this._expression.error) {
+      this.__showError(this.__expressionError());
+      this.activateExit('failure');
+      return;
+    }
+
+    var values = {};
+    for (var i = 0; i < this._variables.length; ++i) {
+      values[this._variables[i]] = this.property(this._variables[i]);
+    }
+
+    var result;
+    try {
+      result = this._expression.evaluate(values);
+    } catch (err) {
+      this.__showError(err.message);
+      this.activateExit('failure');
+      return;
+    }
+
+    this.__showError('');
+    this.property('result', result, true);
+    this.activateExit('out');
+  },
+
+  /**
+   * Event that is called when a property has changed.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessExpression#onPropertyChanged
+   * @param {string} name - The name of the property.
+   * @param {Object} oldValue - The old value of the property.
+   * @param {Object} newValue - The new value of the property.
+   */
+  onPropertyChanged: function(name, oldValue, newValue) {
+    this._super(name, oldValue, newValue);
+
+    if (name === 'expression') {
+      this.__compile(newValue);
+    }
+  },
+
+  /**
+   * Event that is called when the node is reset, such as when the script is restarted.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessExpression#onReset
+   */
+  onReset: function() {
+    this._super();
+
+    // Forget any failed evaluation, but keep showing problems with the expression itself.
+    this.__showError(this.__expressionError());
+  },
+
+  /**
+   * Event that is called when it is time to draw the contents of your custom viewport. It is up to you to stay within the [wcNode.viewportSize]{@link wcNode#viewportSize} you've specified.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessExpression#onViewportDraw
+   * @param {external:Canvas~Context} context - The canvas context to draw on, coordinates 0,0 will be the top left corner of your viewport.
+   * @param {boolean} readOnly - The editors readonly status, when true, you should not allow changes to the node.
+   * @see wcNode#viewportSize
+   */
+  onViewportDraw: function(context, readOnly) {
+    this._super(context, readOnly);
+
+    if (!this._error) {
+      return;
+    }
+
+    context.font = 'bold 9px Arial';
+    context.fillStyle = '#CC0000';
+    context.textBaseline = 'middle';
+    context.fillText(this._error, 0, 7);
+
+    // The viewport is sized before the text can be measured, correct it for the next frame.
+    var width = Math.ceil(context.measureText(this._error).width);
+    if (width !== this.viewportSize().x) {
+      this.viewportSize(width, 14);
+    }
+  },
+
+  /**
+   * Compiles the expression, and updates the variable input properties to match it.<br>
+   * If the expression can not be parsed, the existing variable properties are left alone so their chains are not lost while it is being edited.
+   * @function wcNodeProcessExpression#__compile
+   * @private
+   * @param {string} source - The expression.
+   */
+  __compile: function(source) {
+    var i = 0;
+    this._expression = wcPlay.compileExpression(source);
+
+    var variables = this._expression.variables;
+    for (i = 0; i < variables.length; ++i) {
+      if (this._reservedNames.indexOf(variables[i]) > -1) {
+        this._expression.error = {
+          message: 'The name "' + variables[i] + '" is used by this node and can not be a variable.',
+          position: Math.max(0, this._expression.source.search(new RegExp('\\b' + variables[i] + '\\b')))
+        };
+        break;
+      }
+    }
+
+    if (this._expression.error) {
+      this.__showError(this.__expressionError());
+      return;
+    }
+
+    for (i = 0; i < this._variables.length; ++i) {
+      if (variables.indexOf(this._variables[i]) === -1) {
+        this.removeProperty(this._variables[i]);
+      }
+    }
+
+    for (i = 0; i < variables.length; ++i) {
+      if (this._variables.indexOf(variables[i]) === -1) {
+        this.createProperty(variables[i], wcPlay.PROPERTY.DYNAMIC, 0, {description: 'The value of "' + variables[i] + '" in the expression.', input: true});
+      }
+    }
+    this._variables = variables.slice();
+
+    // Keep the result property last, without disconnecting it.
+    for (i = 0; i < this.properties.length - 1; ++i) {
+      if (this.properties[i].name === 'result') {
+        this.properties.push(this.properties.splice(i, 1)[0]);
+        break;
+      }
+    }
+
+    this.__showError('');
+  },
+
+  /**
+   * Retrieves the problem that prevents the expression from being parsed, along with where it was found.
+   * @function wcNodeProcessExpression#__expressionError
+   * @private
+   * @returns {string} - The problem, or an empty string if the expression was parsed.
+   */
+  __expressionError: function() {
+    var error = this._expression.error;
+    if (!error) {
+      return '';
+    }
+    return 'Character ' + (error.position + 1) + ': ' + error.message;
+  },
+
+  /**
+   * Shows a problem with the expression on the node, in its viewport.
+   * @function wcNodeProcessExpression#__showError
+   * @private
+   * @param {string} message - The problem to show, or an empty string to hide it.
+   */
+  __showError: function(message) {
+    if (this._error === message) {
+      return;
+    }
+
+    this._error = message;
+    if (message) {
+      // A rough guess at the width, it is measured properly once it is drawn.
+      this.viewportSize(message.length * 5, 14);
+    } else {
+      this.viewportSize(0, 0);
+    }
+  }
+});
@@ -25,7 +25,11 @@ wcPlayNodes.wcNodeProcess.extend('wcNodeProcessFetch', 'Fetch Request', 'Data Re
     this.createProperty('redirect', wcPlay.PROPERTY.SELECT, 'follow', {items: ['follow', 'error', 'manual'], description: 'What happens if the request redirects you?', allowNone: false});
     this.createProperty('integrity', wcPlay.PROPERTY.STRING, '', {description: 'Subresource integrity value.'});
     this.createProperty('cache', wcPlay.PROPERTY.SELECT, 'default', {items: ['default', 'reload', 'no-cache'], description: 'Cache mode.', allowNone: false});
-    this.createProperty('data', wcPlay.PROPERTY.STRING, '{}', {description: 'The data to send with the request. This should be in the form of an object or JSON string.', input: true, multiline: true});
+    this.createProperty('data', wcPlay.PROPERTY.OBJECT, {}, {
+      description: 'The data to send with the request. JSON strings given to this property are converted into an object.',
+      input: true,
+      dataType: wcPlay.DATA_TYPE.OBJECT
+    });
     this.createProperty('result', wcPlay.PROPERTY.STRING, '', {description: 'The result of the fetch request.', output: true, readonly: true, multiline: true});
   },
 
@@ -73,3 +77,21 @@ wcPlayNodes.wcNodeProcess.extend('wcNodeProcessFetch', 'Fetch Request', 'Data Re
     });
   }
 });
+
+// The data property used to be a JSON string, older scripts still hold one.
+wcPlay.registerMigration('wcNodeProcessFetch', 1, function(data) {
+  function __toObject(value) {
+    value = wcPlay.convertValue(value, wcPlay.DATA_TYPE.OBJECT);
+    return (typeof value === 'object' && value !== null && !Array.isArray(value))? value: {};
+  }
+
+  for (var i = 0; i < data.properties.length; ++i) {
+    var prop = data.properties[i];
+    if (prop.name === 'data') {
+      prop.initialValue = __toObject(prop.initialValue);
+      if (prop.value !== undefined) {
+        prop.value = __toObject(prop.value);
+      }
+    }
+  }
+});
@@ -0,0 +1,72 @@
+wcPlayNodes.wcNodeProcessCollection.extend('wcNodeProcessFilter', 'Filter', 'Collections', {
+  /**
+   * Builds a new array from only the items of an array that the loop body chain decides to keep.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessFilter
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this._results = [];
+
+    this.description('Builds a new array from only the items of an array that the loop body decides to keep.');
+    this.details('For each item of the array, the "loop body" exit link is activated with the item and index properties assigned. The loop body should chain ' +
+      'whether to keep that item into the keep property, if it does not, the initial value of keep is used. Once every item has been processed, ' +
+      'the filtered property is assigned the new array and the "completed" exit link is activated.');
+
+    this.createProperty('keep', wcPlay.PROPERTY.TOGGLE, true, {description: 'Chain whether the current item should be kept into this property from ' +
+      'within the loop body.', input: true, required: true});
+    this.createProperty('filtered', wcPlay.PROPERTY.ARRAY, [], {description: 'The new array, assigned once every item has been processed.', output: true});
+  },
+
+  /**
+   * Event that is called when a new loop has begun, before the first item is processed.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessFilter#onLoopStart
+   * @param {Array} items - The items that will be processed.
+   */
+  onLoopStart: function(items) {
+    this._super(items);
+    this._results = [];
+  },
+
+  /**
+   * Event that is called just before the loop body is activated for an item.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessFilter#onLoopItem
+   * @param {Object} item - The item about to be processed.
+   * @param {number} index - The index of the item.
+   */
+  onLoopItem: function(item, index) {
+    this._super(item, index);
+
+    // Each item starts with the default decision, without sending it through the keep chain.
+    this.property('keep', this.initialProperty('keep'), false);
+  },
+
+  /**
+   * Event that is called once the loop body has finished with an item, and any property changes it made have been applied.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessFilter#onLoopItemFinished
+   * @param {Object} item - The item that was processed.
+   * @param {number} index - The index of the item.
+   */
+  onLoopItemFinished: function(item, index) {
+    this._super(item, index);
+    if (this.property('keep')) {
+      this._results.push(item);
+    }
+  },
+
+  /**
+   * Event that is called once every item has been processed, just before the "completed" exit link is activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessFilter#onLoopFinished
+   */
+  onLoopFinished: function() {
+    this._super();
+    this.property('filtered', this._results, true);
+  }
+});
@@ -0,0 +1,35 @@
+wcPlayNodes.wcNodeProcess.extend('wcNodeProcessFlipFlop', 'Flip-Flop', 'Flow Control', {
+  /**
+   * Alternates between activating its "a" and "b" exit links each time it is activated.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessFlipFlop
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('Alternates between the "a" and "b" exit links each time it is activated.');
+
+    // Replace the default exit with one for each state.
+    this.removeExit('out');
+    this.createExit('a', 'Activated the first time, and every other time after.');
+    this.createExit('b', 'Activated the second time, and every other time after.');
+
+    this.createProperty('is a', wcPlay.PROPERTY.TOGGLE, false, {description: 'Whether the "a" exit link was the last one activated.', output: true});
+  },
+
+  /**
+   * Event that is called when an entry link has been activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessFlipFlop#onActivated
+   * @param {string} name - The name of the entry link triggered.
+   */
+  onActivated: function(name) {
+    this._super(name);
+
+    var isA = !this.property('is a');
+    this.property('is a', isA);
+    this.activateExit(isA? 'a': 'b');
+  }
+});
@@ -0,0 +1,16 @@
+wcPlayNodes.wcNodeProcessCollection.extend('wcNodeProcessForEach', 'For Each', 'Collections', {
+  /**
+   * Activates the loop body once for each item of an array, waiting for each chain to finish before moving on to the next item.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessForEach
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('Activates the loop body once for each item of an array.');
+    this.details('Each time the "loop body" exit link is activated, the item and index properties are assigned the current item of the array. The next item ' +
+      'is not processed until the entire loop body chain has finished. Once every item has been processed, the "completed" exit link is activated.');
+  }
+});
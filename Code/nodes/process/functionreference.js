@@ -0,0 +1,136 @@
+wcPlayNodes.wcNodeProcess.extend('wcNodeProcessFunctionReference', 'Function Reference', '', {
+  /**
+   * The base class for nodes that use a [Function Definition]{@link wcNodeEntryFunctionDefinition} of the same name, and create properties for its parameters and results.
+   * The parameters and results are copied from the definition whenever it changes, so the properties and their chains still exist when the script is loaded.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * <br><b>Should be inherited and never constructed directly</b>.
+   * @class wcNodeProcessFunctionReference
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this._parameters = [];
+    this._results = [];
+    this._reservedNames = [wcNode.PROPERTY_ENABLED, 'parameters', 'results'];
+
+    // The options used to create properties for the parameters and results, or null if this node does not create them.
+    this._parameterOptions = null;
+    this._resultOptions = null;
+
+    this.createProperty('parameters', wcPlay.PROPERTY.STRING, '', {description: 'The parameters of the function, copied from its definition.', readOnly: true});
+    this.createProperty('results', wcPlay.PROPERTY.STRING, '', {description: 'The results of the function, copied from its definition.', readOnly: true});
+  },
+
+  /**
+   * Retrieves the Function Definition Node this node uses, the closest one with the same name as this node.
+   * @function wcNodeProcessFunctionReference#definition
+   * @returns {wcNodeEntryFunctionDefinition|null} - The definition, or null if there is none.
+   * @see wcNode#functionDefinitions
+   */
+  definition: function() {
+    return this.functionDefinitions(this.name)[0] || null;
+  },
+
+  /**
+   * Event that is called when the node's name is about to be edited by the user.<br>
+   * You can use this to suggest a list of names that the user can conveniently choose from.<br>
+   * Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @see http://caniuse.com/#search=datalist
+   * @function wcNodeProcessFunctionReference#onNameEditSuggestion
+   * @returns {wcNode~SelectItem[]|string[]|undefined} - An option list of options to display for the user as suggestions.
+   */
+  onNameEditSuggestion: function() {
+    this._super();
+    return this.functionDefinitions().map(function(definition) {
+      return definition.name;
+    });
+  },
+
+  /**
+   * Event that is called when the name of this node has changed.<br>
+   * Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessFunctionReference#onNameChanged
+   * @param {string} oldName - The current name.
+   * @param {string} newName - The new name.
+   * @param {external:wcUndoManager} [undo] - If the change is triggered by the user and undo management is enabled, this will be the undo manager. Note: The value change is already recorded, use this only if you have other things to record.
+   */
+  onNameChanged: function(oldName, newName, undo) {
+    this._super(oldName, newName, undo);
+    this.__copyDefinition(this.definition());
+  },
+
+  /**
+   * Event that is called when a Function Definition Node has changed its name, parameters, or results.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessFunctionReference#onFunctionDefinitionChanged
+   * @param {wcNodeEntryFunctionDefinition} definition - The definition that changed.
+   */
+  onFunctionDefinitionChanged: function(definition) {
+    if (definition === this.definition()) {
+      this.__copyDefinition(definition);
+    }
+  },
+
+  /**
+   * Event that is called when a property has changed.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessFunctionReference#onPropertyChanged
+   * @param {string} name - The name of the property.
+   * @param {Object} oldValue - The old value of the property.
+   * @param {Object} newValue - The new value of the property.
+   */
+  onPropertyChanged: function(name, oldValue, newValue) {
+    this._super(name, oldValue, newValue);
+
+    if (name === 'parameters' || name === 'results') {
+      this.__updateDeclarations();
+    }
+  },
+
+  /**
+   * Copies the parameters and results of a definition into our properties.
+   * @function wcNodeProcessFunctionReference#__copyDefinition
+   * @private
+   * @param {wcNodeEntryFunctionDefinition|null} definition - The definition to copy, nothing is changed if this is null.
+   */
+  __copyDefinition: function(definition) {
+    if (!definition) {
+      return;
+    }
+
+    var toString = function(item) {
+      return item.name + ':' + item.type;
+    };
+    this.initialProperty('parameters', definition.parameters().map(toString).join(', '));
+    this.initialProperty('results', definition.results().map(toString).join(', '));
+  },
+
+  /**
+   * Updates our parameters and results to match their properties, creating properties for each as needed.
+   * @function wcNodeProcessFunctionReference#__updateDeclarations
+   * @private
+   */
+  __updateDeclarations: function() {
+    var parameters = wcPlay.parseTypedNames(this.property('parameters'), this._reservedNames);
+    var results = wcPlay.parseTypedNames(this.property('results'), this._reservedNames);
+
+    var parameterOptions = this._parameterOptions;
+    if (parameterOptions) {
+      this.updateTypedProperties(this._parameters, parameters, function(parameter) {
+        return {description: 'The "' + parameter.name + '" argument of the function.', input: parameterOptions.input, output: parameterOptions.output};
+      });
+    }
+
+    var resultOptions = this._resultOptions;
+    if (resultOptions) {
+      this.updateTypedProperties(this._results, results, function(result) {
+        return {description: 'The "' + result.name + '" result of the function.', input: resultOptions.input, output: resultOptions.output};
+      });
+    }
+
+    this._parameters = parameters;
+    this._results = results;
+  }
+});
@@ -0,0 +1,55 @@
+wcPlayNodes.wcNodeProcess.extend('wcNodeProcessGate', 'Gate', 'Flow Control', {
+  /**
+   * Passes the flow chain through only while the gate is open.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessGate
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('Passes the flow chain through only while the gate is open.');
+    this.details('Activating the "in" entry link will activate the "out" exit link only if the gate is open, otherwise the flow chain ends here. ' +
+      'Use the "open", "close", and "toggle" entry links to change the state of the gate.');
+
+    this.createEntry('open', 'Opens the gate.');
+    this.createEntry('close', 'Closes the gate.');
+    this.createEntry('toggle', 'Opens the gate if it is closed, or closes it if it is open.');
+
+    this.createProperty('is open', wcPlay.PROPERTY.TOGGLE, true, {description: 'Whether the gate is open.', input: true, output: true});
+  },
+
+  /**
+   * Event that is called when an entry link has been activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessGate#onActivated
+   * @param {string} name - The name of the entry link triggered.
+   */
+  onActivated: function(name) {
+    this._super(name);
+
+    switch (name) {
+      case 'in':
+        if (this.property('is open')) {
+          this.activateExit('out');
+          return;
+        }
+        break;
+      case 'open':
+        this.property('is open', true);
+        break;
+      case 'close':
+        this.property('is open', false);
+        break;
+      case 'toggle':
+        this.property('is open', !this.property('is open'));
+        break;
+      default:
+        this.error('Unknown entry link "' + name + '".');
+        break;
+    }
+
+    this.finishFlow();
+  }
+});
@@ -0,0 +1,33 @@
+wcPlayNodes.wcNodeProcess.extend('wcNodeProcessIf', 'If', 'Flow Control', {
+  /**
+   * Continues the flow chain through either the "true" or "false" exit link, depending on a condition.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessIf
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('Continues the flow chain through either the "true" or "false" exit link, depending on a condition.');
+
+    // Replace the default exit with one for each outcome.
+    this.removeExit('out');
+    this.createExit('true', 'Activated if the condition is true.');
+    this.createExit('false', 'Activated if the condition is false.');
+
+    this.createProperty('condition', wcPlay.PROPERTY.TOGGLE, false, {description: 'The condition to test.', input: true});
+  },
+
+  /**
+   * Event that is called when an entry link has been activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessIf#onActivated
+   * @param {string} name - The name of the entry link triggered.
+   */
+  onActivated: function(name) {
+    this._super(name);
+
+    this.activateExit(this.property('condition')? 'true': 'false');
+  }
+});
@@ -0,0 +1,66 @@
+wcPlayNodes.wcNodeProcess.extend('wcNodeProcessLogic', 'Boolean Logic', 'Logic', {
+  /**
+   * Performs a boolean logic operation on two toggle values.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessLogic
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('Performs a boolean logic operation on two toggle values.');
+    this.details('Activate the entry link of the operation you want to perform, either and, or, xor, or not. The operation will then be performed ' +
+      'using valueA and valueB (not only uses valueA), the result will be output to the result property.');
+
+    // Remove our default entry.
+    this.removeEntry('in');
+
+    // Create an input link per operation type.
+    this.createEntry('and', 'valueA AND valueB = result');
+    this.createEntry('or', 'valueA OR valueB = result');
+    this.createEntry('xor', 'valueA XOR valueB = result');
+    this.createEntry('not', 'NOT valueA = result');
+
+    // Create our two operator values.
+    this.createProperty('valueA', wcPlay.PROPERTY.TOGGLE, false, {description: 'Left hand value for the operation.', input: true});
+    this.createProperty('valueB', wcPlay.PROPERTY.TOGGLE, false, {description: 'Right hand value for the operation, unused by not.', input: true});
+    this.createProperty('result', wcPlay.PROPERTY.TOGGLE, false, {description: 'The result of the operation.', output: true});
+  },
+
+  /**
+   * Event that is called when an entry link has been activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessLogic#onActivated
+   * @param {string} name - The name of the entry link triggered.
+   */
+  onActivated: function(name) {
+    this._super(name);
+
+    var a = this.property('valueA');
+    var b = this.property('valueB');
+    var result = false;
+
+    switch (name) {
+      case 'and':
+        result = a && b;
+        break;
+      case 'or':
+        result = a || b;
+        break;
+      case 'xor':
+        result = a !== b;
+        break;
+      case 'not':
+        result = !a;
+        break;
+      default:
+        this.error('Unknown operation "' + name + '".');
+        this.finishFlow();
+        return;
+    }
+
+    this.property('result', result, true);
+    this.activateExit('out');
+  }
+});
@@ -0,0 +1,69 @@
+wcPlayNodes.wcNodeProcessCollection.extend('wcNodeProcessMap', 'Map', 'Collections', {
+  /**
+   * Builds a new array by passing each item of an array through the loop body chain.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessMap
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this._results = [];
+
+    this.description('Builds a new array by passing each item of an array through the loop body.');
+    this.details('For each item of the array, the "loop body" exit link is activated with the item and index properties assigned. The loop body should chain ' +
+      'its value for that item into the result property, if it does not, the item is kept as it is. Once every item has been processed, the mapped ' +
+      'property is assigned the new array and the "completed" exit link is activated.');
+
+    this.createProperty('result', wcPlay.PROPERTY.DYNAMIC, '', {description: 'Chain the value for the current item into this property from within the loop body.', input: true, required: true});
+    this.createProperty('mapped', wcPlay.PROPERTY.ARRAY, [], {description: 'The new array, assigned once every item has been processed.', output: true});
+  },
+
+  /**
+   * Event that is called when a new loop has begun, before the first item is processed.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessMap#onLoopStart
+   * @param {Array} items - The items that will be processed.
+   */
+  onLoopStart: function(items) {
+    this._super(items);
+    this._results = [];
+  },
+
+  /**
+   * Event that is called just before the loop body is activated for an item.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessMap#onLoopItem
+   * @param {Object} item - The item about to be processed.
+   * @param {number} index - The index of the item.
+   */
+  onLoopItem: function(item, index) {
+    this._super(item, index);
+
+    // Default to the original item, without sending it through the result chain.
+    this.property('result', item, false);
+  },
+
+  /**
+   * Event that is called once the loop body has finished with an item, and any property changes it made have been applied.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessMap#onLoopItemFinished
+   * @param {Object} item - The item that was processed.
+   * @param {number} index - The index of the item.
+   */
+  onLoopItemFinished: function(item, index) {
+    this._super(item, index);
+    this._results.push(this.property('result'));
+  },
+
+  /**
+   * Event that is called once every item has been processed, just before the "completed" exit link is activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessMap#onLoopFinished
+   */
+  onLoopFinished: function() {
+    this._super();
+    this.property('mapped', this._results, true);
+  }
+});
@@ -0,0 +1,60 @@
+wcPlayNodes.wcNodeProcessCollection.extend('wcNodeProcessReduce', 'Reduce', 'Collections', {
+  /**
+   * Combines every item of an array into a single value, using the loop body chain to combine each item with the value so far.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessReduce
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('Combines every item of an array into a single value using the loop body.');
+    this.details('The accumulator property starts with the starting value. For each item of the array, the "loop body" exit link is activated with the item, ' +
+      'index, and accumulator properties assigned. The loop body should chain the combined value into the result property, which becomes the ' +
+      'accumulator for the next item. If it does not, the accumulator is left unchanged. Once every item has been processed, the accumulator holds ' +
+      'the final value and the "completed" exit link is activated.');
+
+    this.createProperty('starting value', wcPlay.PROPERTY.DYNAMIC, 0, {description: 'The value of the accumulator before the first item is processed.', input: true});
+    this.createProperty('accumulator', wcPlay.PROPERTY.DYNAMIC, 0, {description: 'The value combined so far, and the final value once every item has been processed.', output: true});
+    this.createProperty('result', wcPlay.PROPERTY.DYNAMIC, 0, {description: 'Chain the combined value for the current item into this property from ' +
+      'within the loop body.', input: true, required: true});
+  },
+
+  /**
+   * Event that is called when a new loop has begun, before the first item is processed.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessReduce#onLoopStart
+   * @param {Array} items - The items that will be processed.
+   */
+  onLoopStart: function(items) {
+    this._super(items);
+    this.property('accumulator', this.property('starting value'), true);
+  },
+
+  /**
+   * Event that is called just before the loop body is activated for an item.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessReduce#onLoopItem
+   * @param {Object} item - The item about to be processed.
+   * @param {number} index - The index of the item.
+   */
+  onLoopItem: function(item, index) {
+    this._super(item, index);
+
+    // Default to the current accumulator, without sending it through the result chain.
+    this.property('result', this.property('accumulator'), false);
+  },
+
+  /**
+   * Event that is called once the loop body has finished with an item, and any property changes it made have been applied.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessReduce#onLoopItemFinished
+   * @param {Object} item - The item that was processed.
+   * @param {number} index - The index of the item.
+   */
+  onLoopItemFinished: function(item, index) {
+    this._super(item, index);
+    this.property('accumulator', this.property('result'), true);
+  }
+});
@@ -0,0 +1,49 @@
+wcPlayNodes.wcNodeProcessFunctionReference.extend('wcNodeProcessReturn', 'Return', 'Functions', {
+  /**
+   * Gives the results of a call back to the [Call Function Node]{@link wcNodeProcessCallFunction} that made it.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessReturn
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('Gives the results of a call back to the Call Function Node that made it.');
+    this.details('This node uses it\'s Title Name value to find the Function Definition Node of the same name, and creates an input property for each of its results. When activated within a call of that function, the values of those properties become the results of the call, which are given back to the caller once every chain started by the call has finished. Only the first Return Node activated within each call is used.');
+
+    this.removeExit('out');
+
+    this._resultOptions = {input: true};
+  },
+
+  /**
+   * Event that is called when an entry link has been activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessReturn#onActivated
+   * @param {string} name - The name of the entry link triggered.
+   */
+  onActivated: function(name) {
+    this._super(name);
+
+    // Find the closest call of our function that this chain belongs to.
+    var frame = null;
+    for (var tracker = this._activeTracker; tracker; tracker = tracker.parent) {
+      if (tracker.functionFrame && tracker.functionFrame.definition.name === this.name) {
+        frame = tracker.functionFrame;
+        break;
+      }
+    }
+
+    if (!frame) {
+      this.error('Return of function "' + this.name + '" was activated outside of a call to it.');
+    } else if (!frame.returned) {
+      frame.returned = true;
+      for (var i = 0; i < this._results.length; ++i) {
+        frame.results[this._results[i].name] = this.property(this._results[i].name);
+      }
+    }
+
+    this.finishFlow();
+  }
+});
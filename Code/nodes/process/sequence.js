@@ -0,0 +1,77 @@
+wcPlayNodes.wcNodeProcess.extend('wcNodeProcessSequence', 'Sequence', 'Flow Control', {
+  /**
+   * Activates each of its step exit links in order, waiting for the chain of each step to finish before moving on to the next.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessSequence
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('Activates each step exit link in order, one after another.');
+    this.details('Each step waits for the entire chain of the previous step to finish before it is activated. The flow chain that activated this node is finished once the last step has finished.');
+
+    // Replace the default exit, the step exits are created dynamically.
+    this.removeExit('out');
+
+    this._stepCount = 0;
+    this.createProperty('steps', wcPlay.PROPERTY.NUMBER, 2, {min: 1, max: 20, step: 1, description: 'The number of step exit links.'});
+    this.__updateSteps(2);
+  },
+
+  /**
+   * Event that is called when an entry link has been activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessSequence#onActivated
+   * @param {string} name - The name of the entry link triggered.
+   */
+  onActivated: function(name) {
+    this._super(name);
+
+    var count = this._stepCount;
+    function __activateStep(step) {
+      if (step <= count) {
+        this.activateExit('step ' + step, function() {
+          __activateStep.call(this, step + 1);
+        });
+      }
+    }
+
+    __activateStep.call(this, 1);
+  },
+
+  /**
+   * Event that is called when a property has changed.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessSequence#onPropertyChanged
+   * @param {string} name - The name of the property.
+   * @param {Object} oldValue - The old value of the property.
+   * @param {Object} newValue - The new value of the property.
+   */
+  onPropertyChanged: function(name, oldValue, newValue) {
+    this._super(name, oldValue, newValue);
+
+    if (name === 'steps') {
+      this.__updateSteps(Math.floor(newValue));
+    }
+  },
+
+  /**
+   * Adds or removes step exit links until there are the given number of steps.
+   * @function wcNodeProcessSequence#__updateSteps
+   * @private
+   * @param {number} count - The number of steps.
+   */
+  __updateSteps: function(count) {
+    while (this._stepCount > count) {
+      this.removeExit('step ' + this._stepCount);
+      this._stepCount--;
+    }
+
+    while (this._stepCount < count) {
+      this._stepCount++;
+      this.createExit('step ' + this._stepCount, 'Activated after the chain of the previous step has finished.');
+    }
+  }
+});
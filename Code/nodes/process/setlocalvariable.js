@@ -0,0 +1,52 @@
+wcPlayNodes.wcNodeProcess.extend('wcNodeProcessSetLocalVariable', 'Set Local Variable', 'Local', {
+  /**
+   * Assigns the value of a local variable that belongs to the composite node containing it, or to the script if it is not inside a composite.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessSetLocalVariable
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+    this.color = '#77CC77';
+
+    this.description('Assigns the value of a local variable that belongs to the composite node containing it.');
+    this.details('The title name for this node is the name of the local variable to assign, declared with a Local Variable node inside the same composite. When activated, the value property is assigned to the variable.');
+
+    this.createProperty('value', wcPlay.PROPERTY.DYNAMIC, '', {description: 'The value to assign to the local variable.', input: true});
+  },
+
+  /**
+   * Event that is called when an entry link has been activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessSetLocalVariable#onActivated
+   * @param {string} name - The name of the entry link triggered.
+   */
+  onActivated: function(name) {
+    this._super(name);
+
+    var scope = this.localScope();
+    if (scope && this.name) {
+      scope.localVariable(this.name, wcPlay.copyValue(this.property('value')));
+    }
+    this.activateExit('out');
+  },
+
+  /**
+   * Event that is called when the node's name is about to be edited by the user.
+   * <br>You can use this to suggest a list of names that the user can conveniently choose from.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @see http://caniuse.com/#search=datalist
+   * @function wcNodeProcessSetLocalVariable#onNameEditSuggestion
+   * @returns {wcNode~SelectItem[]|string[]|undefined} - An option list of options to display for the user as suggestions.
+   */
+  onNameEditSuggestion: function() {
+    this._super();
+    var scope = this.localScope();
+    if (scope) {
+      return scope.listLocalVariables().map(function(variable) {
+        return variable.name;
+      });
+    }
+  }
+});
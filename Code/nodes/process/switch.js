@@ -0,0 +1,90 @@
+wcPlayNodes.wcNodeProcess.extend('wcNodeProcessSwitch', 'Switch', 'Flow Control', {
+  /**
+   * Continues the flow chain through the exit link of the first case that matches a value.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessSwitch
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('Continues the flow chain through the exit link of the first case that matches a value.');
+    this.details('Each case has a property holding the value it matches, and an exit link of the same name. Values are compared using the data ' +
+      'type of the value property, so a case of "2" will match a value of 2. If no case matches, the "default" exit link is activated.');
+
+    // Replace the default exit, the case exits are created dynamically.
+    this.removeExit('out');
+    this.createExit('default', 'Activated if no case matches the value.');
+
+    this._caseCount = 0;
+    this.createProperty('cases', wcPlay.PROPERTY.NUMBER, 2, {min: 0, max: 20, step: 1, description: 'The number of cases, each with its own property and exit link.'});
+    this.createProperty('value', wcPlay.PROPERTY.DYNAMIC, '', {description: 'The value to match against each case.', input: true});
+    this.__updateCases(2);
+  },
+
+  /**
+   * Event that is called when an entry link has been activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessSwitch#onActivated
+   * @param {string} name - The name of the entry link triggered.
+   */
+  onActivated: function(name) {
+    this._super(name);
+
+    var value = this.property('value');
+    for (var i = 1; i <= this._caseCount; ++i) {
+      if (wcPlay.compareValues(value, this.property('case ' + i)) === 0) {
+        this.activateExit('case ' + i);
+        return;
+      }
+    }
+
+    this.activateExit('default');
+  },
+
+  /**
+   * Event that is called when a property has changed.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessSwitch#onPropertyChanged
+   * @param {string} name - The name of the property.
+   * @param {Object} oldValue - The old value of the property.
+   * @param {Object} newValue - The new value of the property.
+   */
+  onPropertyChanged: function(name, oldValue, newValue) {
+    this._super(name, oldValue, newValue);
+
+    if (name === 'cases') {
+      this.__updateCases(Math.floor(newValue));
+    }
+  },
+
+  /**
+   * Adds or removes case properties and exit links until there are the given number of cases.
+   * @function wcNodeProcessSwitch#__updateCases
+   * @private
+   * @param {number} count - The number of cases.
+   */
+  __updateCases: function(count) {
+    while (this._caseCount > count) {
+      this.removeProperty('case ' + this._caseCount);
+      this.removeExit('case ' + this._caseCount);
+      this._caseCount--;
+    }
+
+    while (this._caseCount < count) {
+      this._caseCount++;
+      this.createProperty('case ' + this._caseCount, wcPlay.PROPERTY.DYNAMIC, this._caseCount, {description: 'The value that activates the "case ' + this._caseCount + '" exit link.', input: true});
+
+      this.createExit('case ' + this._caseCount, 'Activated if the value matches the case ' + this._caseCount + ' property.');
+    }
+
+    // Keep the default exit last, without disconnecting it.
+    for (var i = 0; i < this.chain.exit.length - 1; ++i) {
+      if (this.chain.exit[i].name === 'default') {
+        this.chain.exit.push(this.chain.exit.splice(i, 1)[0]);
+        break;
+      }
+    }
+  }
+});
@@ -0,0 +1,141 @@
+wcPlayNodes.wcNodeProcess.extend('wcNodeProcessWaitAll', 'Wait All', 'Flow Control', {
+  /**
+   * A barrier that joins parallel flow chains, activating its exit link once all of its entry links have been activated.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeProcessWaitAll
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+
+    this.description('Joins parallel flow chains, continuing only once every entry link has been activated.');
+    this.details('Each flow chain that arrives at an entry link waits there, and the last one to arrive continues through the "out" exit link while ' +
+      'the others end. Entry links activated more than once before the others have arrived are only counted once. The barrier then resets itself, ' +
+      'ready for the next set of chains, or it can be reset early with the "reset" entry link, which ends the chains waiting on it.');
+
+    // Replace the default entry, the entries to wait on are created dynamically.
+    this.removeEntry('in');
+    this.createEntry('reset', 'Forgets all entry links that have arrived so far.');
+
+    this._arrived = {};
+    this._entryCount = 0;
+    this.createProperty('entries', wcPlay.PROPERTY.NUMBER, 2, {min: 1, max: 20, step: 1, description: 'The number of entry links to wait on.'});
+    this.createProperty('arrived', wcPlay.PROPERTY.NUMBER, 0, {description: 'The number of entry links that have arrived so far.', output: true});
+    this.__updateEntries(2);
+  },
+
+  /**
+   * Event that is called when an entry link has been activated.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessWaitAll#onActivated
+   * @param {string} name - The name of the entry link triggered.
+   */
+  onActivated: function(name) {
+    this._super(name);
+
+    if (name === 'reset') {
+      this.__finishArrivals();
+      this.property('arrived', 0);
+      this.finishFlow();
+      return;
+    }
+
+    var trackers = this._arrived[name] || [];
+    var arrived = Object.keys(this._arrived).length + (this._arrived[name]? 0: 1);
+    if (arrived >= this._entryCount) {
+      // The chains that arrived earlier end as the last one continues through the exit link.
+      this.__finishArrivals();
+      this.property('arrived', 0);
+      this.activateExit('out');
+      return;
+    }
+
+    // Keep the chain open until the barrier opens, so anything waiting for it to finish does not continue early.
+    if (this._activeTracker) {
+      trackers.push(this._activeTracker);
+    }
+    this._arrived[name] = trackers;
+    this.property('arrived', arrived);
+  },
+
+  /**
+   * Event that is called when a property has changed.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessWaitAll#onPropertyChanged
+   * @param {string} name - The name of the property.
+   * @param {Object} oldValue - The old value of the property.
+   * @param {Object} newValue - The new value of the property.
+   */
+  onPropertyChanged: function(name, oldValue, newValue) {
+    this._super(name, oldValue, newValue);
+
+    if (name === 'entries') {
+      this.__updateEntries(Math.floor(newValue));
+    }
+  },
+
+  /**
+   * Event that is called when the node is reset, such as when the script is restarted.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeProcessWaitAll#onReset
+   */
+  onReset: function() {
+    this._super();
+    this.__finishArrivals();
+  },
+
+  /**
+   * Forgets the chains that have arrived at the entry links, and ends them.
+   * @function wcNodeProcessWaitAll#__finishArrivals
+   * @private
+   * @param {string} [name] - If supplied, only the chains that arrived at this entry link are forgotten.
+   */
+  __finishArrivals: function(name) {
+    var self = this;
+    var trackers = [];
+    Object.keys(this._arrived).forEach(function(key) {
+      if (name === undefined || key === name) {
+        trackers = trackers.concat(self._arrived[key]);
+        delete self._arrived[key];
+      }
+    });
+
+    var engine = this.engine();
+    if (engine && trackers.length) {
+      // Timeout one frame before attempting to close these trackers.
+      engine.__setTimeout(function() {
+        for (var i = 0; i < trackers.length; ++i) {
+          engine.endFlowTracker(trackers[i]);
+        }
+      }, 0);
+    }
+  },
+
+  /**
+   * Adds or removes the entry links to wait on until there are the given number of them.
+   * @function wcNodeProcessWaitAll#__updateEntries
+   * @private
+   * @param {number} count - The number of entry links.
+   */
+  __updateEntries: function(count) {
+    while (this._entryCount > count) {
+      this.__finishArrivals('in ' + this._entryCount);
+      this.removeEntry('in ' + this._entryCount);
+      this._entryCount--;
+    }
+
+    while (this._entryCount < count) {
+      this._entryCount++;
+      this.createEntry('in ' + this._entryCount, 'One of the flow chains to wait on.');
+    }
+
+    // Keep the reset entry last, without disconnecting it.
+    for (var i = 0; i < this.chain.entry.length - 1; ++i) {
+      if (this.chain.entry[i].name === 'reset') {
+        this.chain.entry.push(this.chain.entry.splice(i, 1)[0]);
+        break;
+      }
+    }
+  }
+});
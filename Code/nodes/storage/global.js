@@ -13,7 +13,7 @@ wcPlayNodes.wcNodeStorage.extend('wcNodeStorageGlobal', 'Global Value', 'Global'
     this.description('References a global property on the script.');
     this.details('The title name for this node becomes the name of the global property it references. Duplicate Global Nodes with the same name will all reference the same value.');
 
-    this.createProperty('value', wcPlay.PROPERTY.STRING, '', {description: 'The current value of the global property (Use the title to identify the property).', input: true, output: true});
+    this.createProperty('value', wcPlay.PROPERTY.STRING, '', {description: 'The current value of the global property (Use the title to identify the property).', input: true, output: true, dataType: wcPlay.DATA_TYPE.ANY});
   },
 
   /**
@@ -37,6 +37,24 @@ wcPlayNodes.wcNodeStorage.extend('wcNodeStorageGlobal', 'Global Value', 'Global'
     }
   },
 
+  /**
+   * Event that is called when the script is being [linted]{@link wcPlay#lint}, to find mistakes with this node.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top and add any problems you find to the list it returns.
+   * @function wcNodeStorageGlobal#onLint
+   * @returns {wcPlay~LintIssue[]} - A list of problems found with this node.
+   */
+  onLint: function() {
+    var issues = this._super();
+    var engine = this.engine();
+    var exists = engine && engine.listProperties().some(function(prop) {
+      return prop.name === this.name;
+    }, this);
+    if (!exists) {
+      issues.push({severity: wcPlay.LINT_SEVERITY.ERROR, rule: 'missingGlobal', message: 'There is no global property named "' + this.name + '".', node: this, name: ''});
+    }
+    return issues;
+  },
+
   /**
    * Event that is called when the name of this node has changed.
    * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
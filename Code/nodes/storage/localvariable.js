@@ -0,0 +1,209 @@
+wcPlayNodes.wcNodeStorage.extend('wcNodeStorageLocalVariable', 'Local Variable', 'Local', {
+  /**
+   * References a local variable that belongs to the composite node containing it, or to the script if it is not inside a composite.
+   * <br>When inheriting, make sure to include 'this._super(parent, pos);' at the top of your init function.
+   * @class wcNodeStorageLocalVariable
+   * @param {string} parent - The parent object of this node.
+   * @param {wcPlay~Coordinates} pos - The position of this node in the visual editor.
+   */
+  init: function(parent, pos) {
+    this._super(parent, pos);
+    this.color = '#77CC77';
+
+    this.description('References a local variable that belongs to the composite node containing it.');
+    this.details('The title name for this node becomes the name of the local variable it references. Local Variable nodes with the same name inside the same composite all reference the same value, but every copy of a composite has its own set of local variables. Use the Get and Set Local Variable nodes to access the variable from a flow chain.');
+
+    this.createProperty('value', wcPlay.PROPERTY.STRING, '', {description: 'The current value of the local variable (Use the title to identify the variable).', input: true, output: true, dataType: wcPlay.DATA_TYPE.ANY});
+  },
+
+  /**
+   * Event that is called when the node's name is about to be edited by the user.
+   * <br>You can use this to suggest a list of names that the user can conveniently choose from.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @see http://caniuse.com/#search=datalist
+   * @function wcNodeStorageLocalVariable#onNameEditSuggestion
+   * @returns {wcNode~SelectItem[]|string[]|undefined} - An option list of options to display for the user as suggestions.
+   */
+  onNameEditSuggestion: function() {
+    this._super();
+    var scope = this.localScope();
+    if (scope) {
+      return scope.listLocalVariables().map(function(variable) {
+        return variable.name;
+      });
+    }
+  },
+
+  /**
+   * Event that is called when the name of this node has changed.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeStorageLocalVariable#onNameChanged
+   * @param {string} oldName - The current name.
+   * @param {string} newName - The new name.
+   * @param {external:wcUndoManager} [undo] - If the change is triggered by the user and undo management is enabled, this will be the undo manager. Note: The value change is already recorded, use this only if you have other things to record.
+   */
+  onNameChanged: function(oldName, newName, undo) {
+    this._super(oldName, newName, undo);
+
+    var scope = this.localScope();
+    if (!scope || !newName) {
+      return;
+    }
+
+    // Declare the variable with our current value if it does not exist yet.
+    if (scope.initialLocalVariable(newName) === undefined) {
+      scope.initialLocalVariable(newName, this.__ownValue(true));
+    }
+
+    // Remove all local variables in this scope that are no longer referenced.
+    var names = scope.nodesByClassName(this.className).filter(function(node) {
+      return node.localScope() === scope;
+    }).map(function(node) {
+      return node.name;
+    });
+
+    var variables = scope.listLocalVariables();
+    for (var i = 0; i < variables.length; ++i) {
+      if (names.indexOf(variables[i].name) === -1) {
+        undo && undo.addEvent('', {
+          scope: scope,
+          name: variables[i].name,
+          value: variables[i].value,
+          initialValue: variables[i].initialValue
+        },
+        // Undo
+        function() {
+          this.scope.initialLocalVariable(this.name, this.initialValue);
+          this.scope.localVariable(this.name, this.value);
+        },
+        // Redo
+        function() {
+          this.scope.removeLocalVariable(this.name);
+        });
+
+        scope.removeLocalVariable(variables[i].name);
+      }
+    }
+
+    this.property('value', scope.localVariable(newName));
+    this.initialProperty('value', scope.initialLocalVariable(newName));
+  },
+
+  /**
+   * Any changes to the 'value' property will also change the local variable.
+   * <br>Event that is called when a property has changed.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeStorageLocalVariable#onPropertyChanged
+   * @param {string} name - The name of the property.
+   * @param {Object} oldValue - The old value of the property.
+   * @param {Object} newValue - The new value of the property.
+   */
+  onPropertyChanged: function(name, oldValue, newValue) {
+    this._super(name, oldValue, newValue);
+
+    var scope = this.localScope();
+    if (name === 'value' && this.name && scope) {
+      scope.localVariable(this.name, newValue);
+    }
+  },
+
+  /**
+   * Always redirect property gets on 'value' to the referenced local variable.
+   * <br>Event that is called when the property is being asked its value, before the value is actually retrieved.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeStorageLocalVariable#onPropertyGet
+   * @param {string} name - The name of the property.
+   * @returns {Object|undefined} - If a value is returned, that value is what will be retrieved from the get.
+   */
+  onPropertyGet: function(name) {
+    this._super(name);
+
+    var scope = this.localScope();
+    if (name === 'value' && this.name && scope) {
+      return scope.localVariable(this.name);
+    }
+  },
+
+  /**
+   * Any changes to the 'value' property will also change the local variable.
+   * <br>Event that is called when a property initial value is about to be changed.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeStorageLocalVariable#onInitialPropertyChanging
+   * @param {string} name - The name of the property.
+   * @param {Object} oldValue - The current value of the property.
+   * @param {Object} newValue - The new, proposed, value of the property.
+   * @returns {Object} - Return the new value of the property (usually newValue unless you are proposing restrictions). If no value is returned, newValue is assumed.
+   */
+  onInitialPropertyChanging: function(name, oldValue, newValue) {
+    this._super(name, oldValue, newValue);
+
+    var scope = this.localScope();
+    if (name === 'value' && this.name && scope) {
+      scope.initialLocalVariable(this.name, newValue);
+    }
+  },
+
+  /**
+   * Always redirect property gets on 'value' to the referenced local variable.
+   * <br>Event that is called when the property initial value is being asked its value, before the value is actually retrieved.
+   * <br>Overload this in inherited nodes, be sure to call 'this._super(..)' at the top.
+   * @function wcNodeStorageLocalVariable#onInitialPropertyGet
+   * @param {string} name - The name of the property.
+   * @returns {Object|undefined} - If a value is returned, that value is what will be retrieved from the get.
+   */
+  onInitialPropertyGet: function(name) {
+    this._super(name);
+
+    var scope = this.localScope();
+    if (name === 'value' && this.name && scope) {
+      return scope.initialLocalVariable(this.name);
+    }
+  },
+
+  /**
+   * Event that is called when a local variable in the same scope as this node has changed.
+   * <br>Overload this in inherited nodes.
+   * <br><b>Note:</b> Do not call 'this._super(..)' for this function, as the parent does not implement it.
+   * @function wcNodeStorageLocalVariable#onLocalVariableChanged
+   * @param {string} name - The name of the local variable.
+   * @param {Object} oldValue - The old value of the local variable.
+   * @param {Object} newValue - The new value of the local variable.
+   */
+  onLocalVariableChanged: function(name, oldValue, newValue) {
+    if (this.name === name) {
+      this.property('value', newValue, true, true);
+      this._meta.dirty = true;
+    }
+  },
+
+  /**
+   * Event that is called when a local variable initial value in the same scope as this node has changed.
+   * <br>Overload this in inherited nodes.
+   * <br><b>Note:</b> Do not call 'this._super(..)' for this function, as the parent does not implement it.
+   * @function wcNodeStorageLocalVariable#onLocalInitialVariableChanged
+   * @param {string} name - The name of the local variable.
+   * @param {Object} oldValue - The old initial value of the local variable.
+   * @param {Object} newValue - The new initial value of the local variable.
+   */
+  onLocalInitialVariableChanged: function(name, oldValue, newValue) {
+    if (this.name === name) {
+      this.initialProperty('value', newValue, true, true);
+      this._meta.dirty = true;
+    }
+  },
+
+  /**
+   * Retrieves the value stored on this node itself, rather than the local variable it references.
+   * @function wcNodeStorageLocalVariable#__ownValue
+   * @private
+   * @param {boolean} [initial] - If true, retrieves the initial value instead of the current value.
+   * @returns {Object} - The value.
+   */
+  __ownValue: function(initial) {
+    for (var i = 0; i < this.properties.length; ++i) {
+      if (this.properties[i].name === 'value') {
+        return initial? this.properties[i].initialValue: this.properties[i].value;
+      }
+    }
+  }
+});
@@ -116,14 +116,31 @@ function wcPlay(options) {
   this._storageNodes = [];
 
   this._properties = [];
+  this._localVariables = [];
 
   this._waitingChain = [];
   this._queuedChain = [];
   this._queuedProperties = [];
   this._importedScripts = [];
+  this._definingComposite = false;
 
-  this._nodeId = 0;
+  this._timers = [];
+  this._timerId = 0;
+  this._time = 0;
+  this._nextUpdateTime = 0;
   this._flowTrackers = 0;
+  this._flowTrackerId = 0;
+  this._rootFlowTrackers = [];
+  this._loopState = {
+    update: 0,
+    activations: {},
+    properties: {},
+    edges: {},
+    // A loop through several nodes only comes back around every few updates, so anything seen within this many updates still counts as part of it.
+    gap: 10,
+    queueSize: 0,
+    queueGrowth: 0
+  };
   this._hasWarnedTrackLimit = false;
   this._updateInterval = 0;
   this._isRunning = false;
@@ -134,6 +151,11 @@ function wcPlay(options) {
   this._customData = null;
 
   this._editors = [];
+  this._eventListeners = {};
+  this._scriptEventHandlers = {};
+  this._watches = [];
+  this._trace = null;
+  this._profile = null;
 
   // Setup our options.
   this._options = {
@@ -141,13 +163,35 @@ function wcPlay(options) {
     updateRate: 25,
     updateLimit: 100,
     flowTrackerLimit: 1000,
-    debugging: true
+    functionDepthLimit: 100,
+    debugging: true,
+    manualTick: false,
+    typeChecking: 'warn',
+    tracing: false,
+    traceLimit: 10000,
+    profiling: false,
+    profileQueueLimit: 1000,
+    loopPolicy: 'report',
+    loopActivationLimit: 50,
+    loopPropertyLimit: 50,
+    loopQueueGrowthLimit: 20
   };
   for (var prop in options) {
     this._options[prop] = options[prop];
   }
 
-  if (!this._updateInterval) {
+  if (this._options.tracing) {
+    this.tracing(true);
+  }
+
+  if (this._options.profiling) {
+    this.profiling(true);
+  }
+
+  this._nextUpdateTime = this._options.updateRate;
+
+  // In manual tick mode, the script is only updated through calls to tick().
+  if (!this._updateInterval && !this._options.manualTick) {
     var self = this;
     this._updateInterval = setInterval(function() {
       self.update();
@@ -173,7 +217,11 @@ wcPlay.PROPERTY = {
   /** Displays the property as a combo box control. [Select options]{@link wcNode~SelectOptions} are used. */
   SELECT: 'select',
   /** Displays the property as a custom control. [Custom options]{@link wcNode~CustomOptions} are used. */
-  CUSTOM: 'custom'
+  CUSTOM: 'custom',
+  /** Displays the property as an expandable list of values that can be added, removed, and reordered. [Default options]{@link wcNode~PropertyOptions} are used. */
+  ARRAY: 'array',
+  /** Displays the property as an expandable list of keyed values that can be added, removed, and reordered. [Default options]{@link wcNode~PropertyOptions} are used. */
+  OBJECT: 'object'
 };
 
 /**
@@ -191,6 +239,77 @@ wcPlay.NODE = {
   COMPOSITE: 'composite'
 };
 
+/**
+ * The events that a host application can listen to with {@link wcPlay#on}. Each listener is given a single object describing the event, its members are listed with each event.
+ * @enum {string}
+ */
+wcPlay.EVENT = {
+  /** The script has started. {} */
+  STARTED: 'started',
+  /** The script has stopped. {} */
+  STOPPED: 'stopped',
+  /** The script has been paused. {} */
+  PAUSED: 'paused',
+  /** The script has resumed after being paused. {} */
+  RESUMED: 'resumed',
+  /** A node has been activated through one of its entry links. {node, name, fromNode, fromName}, where fromNode and fromName are the node and exit link that activated it, if any. */
+  NODE_ACTIVATED: 'nodeActivated',
+  /** A node has activated one of its exit links. {node, name} */
+  EXIT_ACTIVATED: 'exitActivated',
+  /** The value of a node property has changed. {node, name, oldValue, newValue} */
+  PROPERTY_CHANGED: 'propertyChanged',
+  /** The value of a global property has changed. {name, oldValue, newValue} */
+  GLOBAL_PROPERTY_CHANGED: 'globalPropertyChanged',
+  /** An error was reported by the script. {message, node}, where node is the node that reported it, if any. */
+  ERROR: 'error',
+  /** A flow chain was forced to stop because too many flow trackers are active, see [flowTrackerLimit]{@link wcPlay~Options}. {node, limit} */
+  FLOW_TRACKER_LIMIT: 'flowTrackerLimit',
+  /** A node's [breakpoint]{@link wcNode#breakpoint} paused the script as the node was activated. {node, name, hits} */
+  BREAKPOINT_HIT: 'breakpointHit',
+  /** A node's [breakpoint]{@link wcNode#breakpoint} printed its log message instead of pausing. {node, name, message} */
+  LOG_POINT: 'logPoint',
+  /** A [watched]{@link wcPlay#addWatch} property paused the script as its value changed. {node, name, oldValue, newValue, watch}, where node is null for a global property. */
+  WATCH_HIT: 'watchHit',
+  /** The script has detected an infinite loop or runaway chain, and applied its [loop policy]{@link wcPlay.LOOP_POLICY}. {@link wcPlay~LoopReport} */
+  LOOP_DETECTED: 'loopDetected',
+  /** An [Assert]{@link wcNodeProcessAssert} node has checked a condition, see {@link wcPlay#reportAssertion}. {node, passed, message} */
+  ASSERTION: 'assertion'
+};
+
+/**
+ * Determines what the script does when it detects an infinite loop or runaway chain, see [loopPolicy]{@link wcPlay~Options}.
+ * @enum {string}
+ */
+wcPlay.LOOP_POLICY = {
+  /** The loop is only reported, the script carries on as it was. */
+  REPORT: 'report',
+  /** The script is paused, so the loop can be inspected in the editor. */
+  PAUSE: 'pause',
+  /** The queued activations and property changes of the nodes in the loop are thrown away, ending the loop. */
+  STOP: 'stop',
+  /** An error is thrown out of the update, for scripts where a loop must never go unnoticed. */
+  THROW: 'throw'
+};
+
+/**
+ * The severity of a problem found by [linting]{@link wcPlay#lint} a script.
+ * @enum {string}
+ */
+wcPlay.LINT_SEVERITY = {
+  /** The script will not work as intended. */
+  ERROR: 'error',
+  /** The script may not work as intended. */
+  WARNING: 'warning',
+  /** Something worth knowing about, that is most likely intended. */
+  INFO: 'info'
+};
+
+/**
+ * The version of the [trace]{@link wcPlay~Trace} format recorded by {@link wcPlay#tracing}.
+ * @member
+ */
+wcPlay.TRACE_VERSION = 1;
+
 /**
  * A global list of nodes that exist. All node types must add themselves into this list when they are coded.
  * @member
@@ -262,6 +381,201 @@ wcPlay.unregisterNodeType = function(name) {
   return false;
 };
 
+/**
+ * A global list of node migrations, keyed by the class name of the node they upgrade. Each list is sorted by version.
+ * @member
+ */
+wcPlay.MIGRATION_LIBRARY = {};
+
+/**
+ * A global function that registers a migration for a node type. Migrations upgrade the serialized properties and links of nodes that were saved with an older definition of their class, and are applied during [load]{@link wcPlay#load} and [import]{@link wcPlay#import}.<br>
+ * The highest registered version becomes the current [data version]{@link wcPlay.migrationVersion} of the node type, which is saved along with each of its nodes.
+ * @param {string} className - The name of the node constructor.
+ * @param {number} version - The data version that this migration upgrades to, must be a positive integer. Nodes saved with a lower version will have this migration applied.
+ * @param {wcPlay~MigrationFunc} migrate - The function that performs the migration.
+ * @returns {boolean} - Success or failure.
+ */
+wcPlay.registerMigration = function(className, version, migrate) {
+  /* eslint-disable no-console */
+  if (typeof version !== 'number' || version < 1 || Math.floor(version) !== version) {
+    console.error('wcPlay ERROR: Failed to register migration for node "' + className + '", version must be a positive integer!');
+    return false;
+  }
+  if (typeof migrate !== 'function') {
+    console.error('wcPlay ERROR: Failed to register migration for node "' + className + '", argument must be a function!');
+    return false;
+  }
+  /* eslint-enable no-console */
+
+  var migrations = wcPlay.MIGRATION_LIBRARY[className];
+  if (!migrations) {
+    migrations = wcPlay.MIGRATION_LIBRARY[className] = [];
+  }
+
+  for (var i = 0; i < migrations.length; ++i) {
+    if (migrations[i].version === version) {
+      migrations[i].migrate = migrate;
+      return true;
+    }
+  }
+
+  migrations.push({
+    version: version,
+    migrate: migrate
+  });
+  migrations.sort(function(a, b) {
+    return a.version - b.version;
+  });
+  return true;
+};
+
+/**
+ * A global function that retrieves the current data version of a node type, which is the highest version of all migrations [registered]{@link wcPlay.registerMigration} for it.
+ * @param {string} className - The name of the node constructor.
+ * @returns {number} - The current data version, or 0 if the node type has no migrations.
+ */
+wcPlay.migrationVersion = function(className) {
+  var migrations = wcPlay.MIGRATION_LIBRARY[className];
+  if (!migrations || !migrations.length) {
+    return 0;
+  }
+  return migrations[migrations.length-1].version;
+};
+
+/**
+ * A global function that generates a new globally unique identifier, in the form of a random (version 4) UUID. Each new node is given one as its id, so nodes created in different scripts, or at different times, never share an id.
+ * @returns {string} - The new identifier.
+ */
+wcPlay.generateId = function() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+
+  // Fall back to Math.random when the environment does not provide a secure generator.
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+    var r = Math.floor(Math.random() * 16);
+    return (c === 'x'? r: (r % 4) + 8).toString(16);
+  });
+};
+
+/**
+ * Gets, or Sets the current value of a local variable that belongs to a scope, see {@link wcPlay#localVariable} and {@link wcNodeCompositeScript#localVariable}.
+ * @function wcPlay.__localVariable
+ * @private
+ * @param {wcPlay|wcNodeCompositeScript} scope - The owner of the local variables.
+ * @param {string} name - The name of the local variable.
+ * @param {Object} [value] - If supplied, will assign a new value to the local variable.
+ * @returns {Object|undefined} - The current value of the local variable, or undefined if not found.
+ */
+wcPlay.__localVariable = function(scope, name, value) {
+  var variable = wcPlay.__findLocalVariable(scope, name, value !== undefined);
+  if (!variable) {
+    return;
+  }
+
+  if (value !== undefined && variable.initialValue === undefined) {
+    variable.initialValue = wcPlay.copyValue(value);
+  }
+
+  if (value !== undefined && value !== variable.value) {
+    var oldValue = variable.value;
+    variable.value = value;
+    scope.__notifyLocalNodes('onLocalVariableChanged', [name, oldValue, value]);
+  }
+
+  return variable.value;
+};
+
+/**
+ * Gets, or Sets the initial value of a local variable that belongs to a scope, see {@link wcPlay#initialLocalVariable} and {@link wcNodeCompositeScript#initialLocalVariable}.
+ * @function wcPlay.__initialLocalVariable
+ * @private
+ * @param {wcPlay|wcNodeCompositeScript} scope - The owner of the local variables.
+ * @param {string} name - The name of the local variable.
+ * @param {Object} [value] - If supplied, will assign a new initial value to the local variable.
+ * @returns {Object|undefined} - The initial value of the local variable, or undefined if not found.
+ */
+wcPlay.__initialLocalVariable = function(scope, name, value) {
+  var variable = wcPlay.__findLocalVariable(scope, name, value !== undefined);
+  if (!variable) {
+    return;
+  }
+
+  if (value !== undefined && value !== variable.initialValue) {
+    var oldValue = variable.initialValue;
+    variable.initialValue = value;
+    scope.__notifyLocalNodes('onLocalInitialVariableChanged', [name, oldValue, value]);
+
+    if (variable.value === oldValue) {
+      scope.localVariable(name, wcPlay.copyValue(value));
+    }
+  }
+
+  return variable.initialValue;
+};
+
+/**
+ * Removes a local variable that belongs to a scope.
+ * @function wcPlay.__removeLocalVariable
+ * @private
+ * @param {wcPlay|wcNodeCompositeScript} scope - The owner of the local variables.
+ * @param {string} name - The name of the local variable to remove.
+ * @returns {boolean} - Fails if the local variable does not exist.
+ */
+wcPlay.__removeLocalVariable = function(scope, name) {
+  for (var i = 0; i < scope._localVariables.length; ++i) {
+    if (scope._localVariables[i].name === name) {
+      scope._localVariables.splice(i, 1);
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Retrieves a list of all local variables that belong to a scope.
+ * @function wcPlay.__listLocalVariables
+ * @private
+ * @param {wcPlay|wcNodeCompositeScript} scope - The owner of the local variables.
+ * @returns {wcPlay~LocalVariableData[]} - A list of all local variables.
+ */
+wcPlay.__listLocalVariables = function(scope) {
+  var result = [];
+  for (var i = 0; i < scope._localVariables.length; ++i) {
+    result.push({
+      name: scope._localVariables[i].name,
+      value: scope._localVariables[i].value,
+      initialValue: scope._localVariables[i].initialValue
+    });
+  }
+  return result;
+};
+
+/**
+ * Retrieves the data of a local variable that belongs to a scope.
+ * @function wcPlay.__findLocalVariable
+ * @private
+ * @param {wcPlay|wcNodeCompositeScript} scope - The owner of the local variables.
+ * @param {string} name - The name of the local variable.
+ * @param {boolean} [create] - If true, the local variable will be created if it does not exist.
+ * @returns {Object|null} - The local variable data, or null if not found.
+ */
+wcPlay.__findLocalVariable = function(scope, name, create) {
+  for (var i = 0; i < scope._localVariables.length; ++i) {
+    if (scope._localVariables[i].name === name) {
+      return scope._localVariables[i];
+    }
+  }
+
+  if (!create || !name) {
+    return null;
+  }
+
+  var variable = {name: name, value: undefined, initialValue: undefined};
+  scope._localVariables.push(variable);
+  return variable;
+};
+
 wcPlay.prototype = {
   /**
    * Retrieves the node library for this script. This is an object that allows
@@ -284,6 +598,7 @@ wcPlay.prototype = {
     this._isPausing = false;
     this._isStepping = false;
 
+    this.__emit(wcPlay.EVENT.STARTED, {});
     this.notifyNodes('onStart', []);
   },
 
@@ -296,6 +611,7 @@ wcPlay.prototype = {
     this.reset();
 
     this.notifyNodes('onStop', []);
+    this.__emit(wcPlay.EVENT.STOPPED, {});
   },
 
   /**
@@ -335,6 +651,9 @@ wcPlay.prototype = {
     for (i = 0; i < this._properties.length; ++i) {
       this.property(this._properties[i].name, this._properties[i].initialValue, true);
     }
+    for (i = 0; i < this._localVariables.length; ++i) {
+      this.localVariable(this._localVariables[i].name, wcPlay.copyValue(this._localVariables[i].initialValue));
+    }
   },
 
   /**
@@ -347,6 +666,9 @@ wcPlay.prototype = {
     this._waitingChain = [];
 
     this._properties = [];
+    this._localVariables = [];
+    this._watches = [];
+    this._loopState.edges = {};
 
     while (this._compositeNodes.length) {
       this._compositeNodes[0].destroy();
@@ -363,13 +685,15 @@ wcPlay.prototype = {
   },
 
   /**
-   * Serializes the script into a string that can be saved into a file and [restored]{@link wcPlay#load}.
+   * Serializes the script into a string that can be saved into a file and [restored]{@link wcPlay#load}.<br>
+   * Each [composite definition]{@link wcPlay#compositeDefinition} is saved once, along with the script, and its instances only refer to it by name.
    * @function wcPlay#save
+   * @param {boolean} [pretty] - If true, the script is written for version control, with its nodes [sorted by id]{@link wcPlay.sortScriptNodes} and indented so that each node is its own block of lines. Pretty scripts can be compared and merged with {@link wcPlay.diffScripts} and {@link wcPlay.mergeScripts}.
    * @returns {string} - A serialized string with the entire script.
    */
-  save: function() {
+  save: function(pretty) {
     var data = {
-      version: '1.0.0'
+      version: wcPlay.SAVE_VERSION
     };
 
     data.custom = this.customData();
@@ -390,16 +714,37 @@ wcPlay.prototype = {
       data.nodes.push(this._storageNodes[i].export(true));
     }
 
+    // Composite definitions are saved once, their instances only refer to them by name.
+    if (this._importedScripts.length) {
+      data.composites = [];
+      for (i = 0; i < this._importedScripts.length; ++i) {
+        this._importedScripts[i].compile(true);
+        data.composites.push({
+          name: this._importedScripts[i].name,
+          nodes: this._importedScripts[i].compiledNodes
+        });
+      }
+    }
+
+    if (pretty) {
+      wcPlay.sortScriptNodes(data.nodes);
+      (data.composites || []).forEach(function(composite) {
+        wcPlay.sortScriptNodes(composite.nodes);
+      });
+    }
+
     return JSON.stringify(data, function(key, value) {
-      if (value == Infinity) {
+      if (value === Infinity) {
         return 'Infinity';
       }
       return value;
-    });
+    }, pretty? 2: undefined);
   },
 
   /**
-   * Loads a script from previously serialized data generated by [save]{@link wcPlay#save}.
+   * Loads a script from previously serialized data generated by [save]{@link wcPlay#save}.<br>
+   * The data is [validated]{@link wcPlay#validate} first, if any problems are found they are all reported and the current script is left untouched. Any [migrations]{@link wcPlay.registerMigration} needed by older nodes are then applied.<br>
+   * Composite definitions saved with the script replace any of the same name.
    * @function wcPlay#load
    * @param {string} serialData - The serialized data to load.
    * @returns {boolean} - Success or failure.
@@ -417,20 +762,31 @@ wcPlay.prototype = {
         return value;
       });
 
+      var errors = this.validate(data);
+      if (errors.length) {
+        for (i = 0; i < errors.length; ++i) {
+          this.error('Failed to load script, "' + (errors[i].path || '<root>') + '": ' + errors[i].message);
+        }
+        return false;
+      }
+      this.__migrateNodes(data.nodes);
+
       this.customData(data.custom);
 
       this.clear();
       for (i = 0; i < data.properties.length; ++i) {
         this.createProperty(data.properties[i].name, data.properties[i].type, data.properties[i].initialValue, data.properties[i].options);
       }
+      this.__importComposites(data.composites || [], true);
 
-      // First pass, create all nodes.
+      // First pass, create all nodes with their saved ids, any that can not keep theirs are given new ones.
       var nodes = [];
+      var idMap = {};
       for (i = 0; i < data.nodes.length; ++i) {
-        if (window.wcPlayNodes[data.nodes[i].className]) {
+        if (wcPlayNodes[data.nodes[i].className]) {
           try {
-            var newNode = new window.wcPlayNodes[data.nodes[i].className](this, data.nodes[i].pos, data.nodes[i].name);
-            newNode.id = data.nodes[i].id;
+            var newNode = new wcPlayNodes[data.nodes[i].className](this, data.nodes[i].pos, data.nodes[i].name);
+            newNode.__claimId(data.nodes[i].id, idMap);
             nodes.push({
               node: newNode,
               data: data.nodes[i]
@@ -445,7 +801,7 @@ wcPlay.prototype = {
 
       // Second pass, import each node's serialized data.
       for (i = 0; i < nodes.length; ++i) {
-        nodes[i].node.import(nodes[i].data);
+        nodes[i].node.import(nodes[i].data, idMap);
       }
 
       this.reset();
@@ -478,15 +834,133 @@ wcPlay.prototype = {
   },
 
   /**
-   * Imports a script as a new composite node that can be retrieved with {@link wcPlay#importedComposites}.
+   * Validates serialized script data against the [script schema]{@link wcPlay.SCHEMA} without loading it.<br>
+   * Every problem found is reported, rather than only the first.
+   * @function wcPlay#validate
+   * @param {string|Object} serialData - The serialized data to validate, or the data object it has already been parsed into.
+   * @returns {wcPlay~ValidationError[]} - A list of problems found, empty if the data is valid.
+   */
+  validate: function(serialData) {
+    var data = serialData;
+    if (typeof serialData === 'string') {
+      try {
+        data = JSON.parse(serialData, function(key, value) {
+          if (value === 'Infinity') {
+            return Infinity;
+          }
+          return value;
+        });
+      } catch (err) {
+        return [{path: '', message: 'Invalid JSON, ' + err.message}];
+      }
+    }
+
+    var errors = wcPlay.validateSchema(data, wcPlay.SCHEMA);
+    if (errors.length) {
+      // The remaining checks depend on the data having the correct shape.
+      return errors;
+    }
+
+    if (parseInt(data.version.split('.')[0], 10) > parseInt(wcPlay.SAVE_VERSION.split('.')[0], 10)) {
+      errors.push({path: 'version', message: 'The script was saved with version ' + data.version + ', which is newer than the supported version ' + wcPlay.SAVE_VERSION + '.'});
+    }
+
+    function __validateNodes(nodes, path) {
+      var ids = {};
+      for (var i = 0; i < nodes.length; ++i) {
+        var node = nodes[i];
+        var nodePath = path + '[' + i + ']';
+        if (ids[node.id] === undefined) {
+          ids[node.id] = nodePath;
+        } else {
+          errors.push({path: nodePath + '.id', message: 'Node id ' + node.id + ' is already used by ' + ids[node.id] + '.'});
+        }
+
+        var version = wcPlay.migrationVersion(node.className);
+        if (node.version > version) {
+          errors.push({path: nodePath + '.version', message: 'Node "' + node.className + '" was saved with data version ' + node.version + ', which is newer than the supported version ' + version + '.'});
+        }
+
+        if (node.nodes) {
+          __validateNodes(node.nodes, nodePath + '.nodes');
+        }
+      }
+    }
+    __validateNodes(data.nodes, 'nodes');
+
+    var names = {};
+    (data.composites || []).forEach(function(composite, index) {
+      var compositePath = 'composites[' + index + ']';
+      if (names[composite.name] === undefined) {
+        names[composite.name] = compositePath;
+      } else {
+        errors.push({path: compositePath + '.name', message: 'Composite definition "' + composite.name + '" is already defined by ' + names[composite.name] + '.'});
+      }
+      __validateNodes(composite.nodes, compositePath + '.nodes');
+    });
+
+    return errors;
+  },
+
+  /**
+   * Searches the loaded script for mistakes that do not stop it from loading, such as chains that can never run.<br>
+   * Each node adds its own problems through [onLint]{@link wcNode#onLint}, and the script adds those that depend on the whole graph.
+   * @function wcPlay#lint
+   * @returns {wcPlay~LintIssue[]} - A list of problems found, the most severe first.
+   */
+  lint: function() {
+    var issues = [];
+    var nodes = this.__allNodes(this);
+    var reached = this.__reachableNodes(nodes);
+
+    function __connected(links) {
+      for (var i = 0; i < links.length; ++i) {
+        if (links[i].links.length) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    for (var i = 0; i < nodes.length; ++i) {
+      var node = nodes[i];
+      issues = issues.concat(node.onLint() || []);
+
+      var hasExits = __connected(node.chain.exit);
+      var hasEntries = __connected(node.chain.entry);
+      if (node.instanceOf('wcNodeEntry') && node.chain.exit.length && !hasExits) {
+        issues.push({severity: wcPlay.LINT_SEVERITY.WARNING, rule: 'unattachedEntry', message: 'Entry node has nothing chained to its exit links, so it does nothing.', node: node, name: ''});
+      }
+      if (node.chain.entry.length && reached.indexOf(node) === -1) {
+        issues.push({severity: wcPlay.LINT_SEVERITY.WARNING, rule: 'unreachable', message: 'Node can never be activated, no chain from an entry node leads to it.', node: node, name: ''});
+      }
+
+      if (!node.enabled() && reached.indexOf(node) > -1 && (hasEntries || hasExits)) {
+        issues.push({severity: wcPlay.LINT_SEVERITY.WARNING, rule: 'disabledInChain', message: 'Node is disabled, so the chains through it will stop here.', node: node, name: ''});
+      }
+    }
+
+    var order = [wcPlay.LINT_SEVERITY.ERROR, wcPlay.LINT_SEVERITY.WARNING, wcPlay.LINT_SEVERITY.INFO];
+    return issues.map(function(issue, index) {
+      return {issue: issue, index: index};
+    }).sort(function(left, right) {
+      return (order.indexOf(left.issue.severity) - order.indexOf(right.issue.severity)) || (left.index - right.index);
+    }).map(function(item) {
+      return item.issue;
+    });
+  },
+
+  /**
+   * Imports a script as a named composite definition, which can be retrieved with {@link wcPlay#importedComposites}.<br>
+   * Composite nodes created from it are instances, which refer to the definition by name instead of keeping their own copy of its nodes.<br>
+   * Importing a script with the name of an existing definition replaces it, and rebuilds each of its instances.<br>
+   * Any composite definitions saved with the script are imported as well, unless a definition of the same name already exists.
    * @function wcPlay#import
    * @param {string} serialData - The serialized data to import.
-   * @param {string} name - The name of the composite node to create.
-   * @returns {boolean} - Whether the new composite node was created.
+   * @param {string} name - The name of the composite definition.
+   * @returns {boolean} - Whether the composite definition was created.
    */
   import: function(serialData, name) {
-    var newNode = null;
-
     try {
       var data = JSON.parse(serialData, function(key, value) {
         if (value === 'Infinity') {
@@ -495,49 +969,88 @@ wcPlay.prototype = {
         return value;
       });
 
+      var errors = this.validate(data);
+      if (errors.length) {
+        for (var i = 0; i < errors.length; ++i) {
+          this.error('Failed to import script "' + name + '", "' + (errors[i].path || '<root>') + '": ' + errors[i].message);
+        }
+        return false;
+      }
+      this.__migrateNodes(data.nodes);
+      this.__importComposites(data.composites || [], false);
+
       // TODO: Ignore properties on the script?
-      data.pos = {x: 0, y: 0};
-      newNode = new wcPlayNodes.wcNodeCompositeScript(this, data.pos);
-      newNode.nodeType = wcPlay.NODE.COMPOSITE;
-      newNode.category = 'Imported';
-
-      data.id = newNode.id;
-      data.name = name;
-      data.color = newNode.color;
-      data.collapsed = false;
-      data.breakpoint = false;
-      data.properties = [];
-      data.entryChains = [];
-      data.exitChains = [];
-      data.inputChains = [];
-      data.outputChains = [];
-
-      newNode.import(data, []);
-      newNode._parent = null;
-
-      this.__removeNode(newNode);
-      this._importedScripts.push(newNode);
+      this.__defineComposite(name, data.nodes);
       return true;
     } catch (err) {
       this.error(err.stack);
-      if (newNode) {
-        newNode.destroy();
-      }
     }
 
     return false;
   },
 
   /**
-   * Retrieves the list of all imported composite nodes.
+   * Retrieves the list of all imported composite nodes, each is the composite definition of its name.
    * @function wcPlay#importedComposites
    * @returns {wcNodeCompositeScript[]} - An array of imported composite nodes.
-   * @see wcPlay#importComposite
+   * @see wcPlay#import
    */
   importedComposites: function() {
     return this._importedScripts;
   },
 
+  /**
+   * Retrieves a composite definition by name.
+   * @function wcPlay#compositeDefinition
+   * @param {string} name - The name of the composite definition.
+   * @returns {wcNodeCompositeScript|null} - The composite definition, or null if it does not exist.
+   */
+  compositeDefinition: function(name) {
+    for (var i = 0; i < this._importedScripts.length; ++i) {
+      if (this._importedScripts[i].name === name) {
+        return this._importedScripts[i];
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Retrieves every composite node in the script that is an instance of a composite definition.
+   * @function wcPlay#compositeInstances
+   * @param {string} name - The name of the composite definition.
+   * @returns {wcNodeCompositeScript[]} - The instances, including those within other composite nodes.
+   */
+  compositeInstances: function(name) {
+    return this.__allNodes(this).filter(function(node) {
+      return node.instanceOf('wcNodeCompositeScript') && node.definition() === name;
+    });
+  },
+
+  /**
+   * Creates a named composite definition from the contents of a composite node, which then becomes an instance of it.<br>
+   * If a definition of the same name already exists, it is replaced and each of its instances is rebuilt.
+   * @function wcPlay#defineComposite
+   * @param {string} name - The name of the composite definition.
+   * @param {wcNodeCompositeScript} composite - A composite node of this script.
+   * @returns {wcNodeCompositeScript|null} - The composite definition, or null if the composite node does not belong to this script, or already contains an instance of the definition.
+   */
+  defineComposite: function(name, composite) {
+    if (!name || !composite || !composite.instanceOf('wcNodeCompositeScript') || composite.engine() !== this) {
+      return null;
+    }
+
+    var contained = this.__allNodes(composite).some(function(node) {
+      return node.instanceOf('wcNodeCompositeScript') && node.definition() === name;
+    });
+    if (contained) {
+      return null;
+    }
+
+    composite._definition = name;
+    composite.updateDefinition();
+    return this.compositeDefinition(name);
+  },
+
   /**
    * Update handler.
    * @function wcPlay#update
@@ -562,6 +1075,11 @@ wcPlay.prototype = {
       return;
     }
 
+    this._loopState.update++;
+    this._loopState.activations = {};
+    this._loopState.properties = {};
+    var updateStart = this.__profileClock();
+
     // Update a queued properties if any
     var index = count;
     while (index) {
@@ -571,7 +1089,10 @@ wcPlay.prototype = {
       if (item.node._meta.broken > 0) {
         item.node._meta.broken--;
       }
+      this.__countPropertyUpdate(item);
+      var propertyStart = this.__profileClock();
       item.node.property(item.name, item.value, (item.upstream? false: undefined), item.upstream);
+      this.__profileNode(item.node, 'property', propertyStart);
     }
 
     // Update a queued node entry only if there are no more properties to update.
@@ -581,26 +1102,96 @@ wcPlay.prototype = {
       while (index) {
         index--;
         item = this._queuedChain.shift();
+
+        // Callbacks continue the work of a node, they are not activations of it.
+        if (item.callback) {
+          item.node._activeTracker = item.tracker;
+          item.callback.call(item.node);
+          item.node._activeTracker = null;
+          continue;
+        }
+
         item.node._meta.flash = true;
         if (item.node._meta.broken > 0) {
           item.node._meta.broken--;
         }
         item.node._activeTracker = item.tracker;
+        this.__countActivation(item);
+        this.__emit(wcPlay.EVENT.NODE_ACTIVATED, {node: item.node, name: item.name, fromNode: item.fromNode || null, fromName: item.fromName || ''});
+        var activationStart = this.__profileClock();
         item.node.onActivated(item.name);
+        this.__profileNode(item.node, 'activation', activationStart);
         item.node._activeTracker = null;
       }
     }
 
+    this.__profileUpdate(updateStart);
+    this.__detectLoops();
+
     // If we are step debugging, pause the script here.
     if (this._isStepping) {
       this._isPausing = true;
     }
   },
 
+  /**
+   * Advances the virtual clock of a script created in [manual tick]{@link wcPlay~Options} mode. All updates and timed events that fall within that time are run in the order they are due, so the script behaves exactly as it would have in real time.<br>
+   * An update happens every [updateRate]{@link wcPlay~Options} milliseconds of virtual time.
+   * @function wcPlay#tick
+   * @param {number} [deltaMs] - The time to advance, in milliseconds. If not supplied, advances enough time for a single update.
+   * @example
+   * var myScript = new wcPlay({manualTick: true});
+   * myScript.load(saveData);
+   * myScript.start();
+   *
+   * // Run the next five seconds of the script instantly.
+   * myScript.tick(5000);
+   */
+  tick: function(deltaMs) {
+    if (!this._options.manualTick) {
+      this.error('Attempted to tick a script that was not created in manual tick mode!');
+      return;
+    }
+
+    if (typeof deltaMs !== 'number') {
+      deltaMs = this._options.updateRate;
+    }
+
+    var endTime = this._time + Math.max(deltaMs, 0);
+    var timer = this._timers[0];
+    while ((timer && timer.time <= endTime) || this._nextUpdateTime <= endTime) {
+      // Timed events that are due at the same time as an update happen first.
+      if (timer && timer.time <= endTime && timer.time <= this._nextUpdateTime) {
+        this._timers.shift();
+        this._time = Math.max(this._time, timer.time);
+        timer.callback();
+      } else {
+        this._time = this._nextUpdateTime;
+        this._nextUpdateTime += this._options.updateRate;
+        this.update();
+      }
+      timer = this._timers[0];
+    }
+
+    this._time = endTime;
+  },
+
+  /**
+   * Retrieves the current time of the script's clock. In [manual tick]{@link wcPlay~Options} mode, this is the virtual time that has been advanced with {@link wcPlay#tick}, otherwise it is the real time.
+   * @function wcPlay#now
+   * @returns {number} - The current time, in milliseconds.
+   */
+  now: function() {
+    if (this._options.manualTick) {
+      return this._time;
+    }
+    return new Date().getTime();
+  },
+
   /**
    * Retrieves a node from a given ID, if it exists in this script.
    * @function wcPlay#nodeById
-   * @param {number} id - The ID of the node.
+   * @param {string|number} id - The ID of the node.
    * @returns {wcNode|null} - Either the found node, or null.
    */
   nodeById: function(id) {
@@ -719,6 +1310,188 @@ wcPlay.prototype = {
     return result;
   },
 
+  /**
+   * Gets, or Sets whether the script records a [trace]{@link wcPlay#trace} of everything it does.<br>
+   * Turning tracing on begins a new trace, turning it off keeps the recorded trace so it can still be [exported]{@link wcPlay#exportTrace}.
+   * @function wcPlay#tracing
+   * @param {boolean} [enabled] - If supplied, will assign the tracing state of the script.
+   * @returns {boolean} - The current tracing state of the script.
+   * @example
+   * // Record a trace of a headless script, to replay it in the editor later.
+   * var myScript = new wcPlay({tracing: true});
+   * myScript.load(saveData);
+   * myScript.start();
+   * ...
+   * fs.writeFileSync('trace.json', myScript.exportTrace());
+   */
+  tracing: function(enabled) {
+    if (enabled !== undefined) {
+      enabled = Boolean(enabled);
+      if (enabled && (!this._options.tracing || !this._trace)) {
+        this._trace = {
+          version: wcPlay.TRACE_VERSION,
+          start: this.now(),
+          dropped: 0,
+          nodes: {},
+          events: []
+        };
+      }
+      this._options.tracing = enabled;
+    }
+
+    return this._options.tracing;
+  },
+
+  /**
+   * Retrieves the trace recorded while [tracing]{@link wcPlay#tracing}.
+   * @function wcPlay#trace
+   * @returns {wcPlay~Trace|null} - The trace, or null if nothing has been traced.
+   */
+  trace: function() {
+    return this._trace;
+  },
+
+  /**
+   * Serializes the recorded trace, so it can be saved into a file and replayed in the editor.
+   * @function wcPlay#exportTrace
+   * @returns {string} - A serialized string with the trace, or an empty string if nothing has been traced.
+   */
+  exportTrace: function() {
+    return this._trace? JSON.stringify(this._trace): '';
+  },
+
+  /**
+   * Throws away the recorded trace. If tracing is on, a new trace is begun.
+   * @function wcPlay#clearTrace
+   */
+  clearTrace: function() {
+    this._trace = null;
+    if (this._options.tracing) {
+      this._options.tracing = false;
+      this.tracing(true);
+    }
+  },
+
+  /**
+   * Gets, or Sets whether the script measures how much time each node takes to [profile]{@link wcPlay#profile} the script.<br>
+   * Turning profiling on begins a new profile, turning it off keeps the measurements so they can still be [exported]{@link wcPlay#exportProfile}.
+   * @function wcPlay#profiling
+   * @param {boolean} [enabled] - If supplied, will assign the profiling state of the script.
+   * @returns {boolean} - The current profiling state of the script.
+   * @example
+   * // Find the most expensive nodes of a script running in a game loop.
+   * var myScript = new wcPlay({manualTick: true, profiling: true});
+   * myScript.load(saveData);
+   * myScript.start();
+   * ...
+   * console.log(myScript.profile().nodes.slice(0, 5));
+   */
+  profiling: function(enabled) {
+    if (enabled !== undefined) {
+      enabled = Boolean(enabled);
+      if (enabled && (!this._options.profiling || !this._profile)) {
+        this._profile = {
+          start: this.now(),
+          updates: 0,
+          updateTime: 0,
+          nodes: {},
+          queues: [],
+          droppedQueues: 0
+        };
+      }
+      this._options.profiling = enabled;
+    }
+
+    return this._options.profiling;
+  },
+
+  /**
+   * Retrieves a report of the measurements taken while [profiling]{@link wcPlay#profiling}.
+   * @function wcPlay#profile
+   * @returns {wcPlay~Profile|null} - The report, or null if nothing has been profiled.
+   */
+  profile: function() {
+    var profile = this._profile;
+    if (!profile) {
+      return null;
+    }
+
+    var nodes = [];
+    var classes = {};
+    for (var id in profile.nodes) {
+      var item = profile.nodes[id];
+      nodes.push(this.__profileCost({
+        id: item.id,
+        className: item.className,
+        type: item.type,
+        name: item.name,
+        activations: item.activations,
+        activationTime: item.activationTime,
+        propertyChanges: item.propertyChanges,
+        propertyTime: item.propertyTime
+      }));
+
+      var total = classes[item.className];
+      if (!total) {
+        total = classes[item.className] = {
+          className: item.className,
+          type: item.type,
+          nodes: 0,
+          activations: 0,
+          activationTime: 0,
+          propertyChanges: 0,
+          propertyTime: 0
+        };
+      }
+      total.nodes++;
+      total.activations += item.activations;
+      total.activationTime += item.activationTime;
+      total.propertyChanges += item.propertyChanges;
+      total.propertyTime += item.propertyTime;
+    }
+
+    var byCost = function(left, right) {
+      return right.totalTime - left.totalTime;
+    };
+    var classList = [];
+    for (var className in classes) {
+      classList.push(this.__profileCost(classes[className]));
+    }
+
+    return {
+      start: profile.start,
+      duration: this.now() - profile.start,
+      updates: profile.updates,
+      updateTime: profile.updateTime,
+      nodes: nodes.sort(byCost),
+      classes: classList.sort(byCost),
+      queues: profile.queues.slice(),
+      droppedQueues: profile.droppedQueues
+    };
+  },
+
+  /**
+   * Serializes a report of the measurements taken while [profiling]{@link wcPlay#profiling}, so it can be saved into a file.
+   * @function wcPlay#exportProfile
+   * @returns {string} - A serialized string with the [report]{@link wcPlay#profile}, or an empty string if nothing has been profiled.
+   */
+  exportProfile: function() {
+    var profile = this.profile();
+    return profile? JSON.stringify(profile): '';
+  },
+
+  /**
+   * Throws away the measurements taken while profiling. If profiling is on, a new profile is begun.
+   * @function wcPlay#clearProfile
+   */
+  clearProfile: function() {
+    this._profile = null;
+    if (this._options.profiling) {
+      this._options.profiling = false;
+      this.profiling(true);
+    }
+  },
+
   /**
    * Gets, or Sets whether the script is running in [silent mode]{@link wcPlay~Options}.
    * @function wcPlay#silent
@@ -748,15 +1521,57 @@ wcPlay.prototype = {
   },
 
   /**
-   * Gets, or Sets the pause state of the script.
-   * @function wcPlay#paused
-   * @param {boolean} [paused] - If supplied, will assign the paused state of the script.
-   * @returns {boolean} - The current pause state of the script.
+   * Gets, or Sets how chains between properties with incompatible data types are treated. Only new chains are affected when this changes.
+   * @function wcPlay#typeChecking
+   * @param {wcPlay.TYPE_CHECK} [mode] - If supplied, will assign the type checking mode.
+   * @returns {wcPlay.TYPE_CHECK} - The current type checking mode.
    */
-  paused: function(paused) {
-    if (paused !== undefined) {
-      paused = paused? true: false;
-      var i = 0;
+  typeChecking: function(mode) {
+    if (mode !== undefined) {
+      this._options.typeChecking = mode;
+    }
+
+    return this._options.typeChecking;
+  },
+
+  /**
+   * Gets, or Sets what the script does when it detects an infinite loop or runaway chain, see [loopPolicy]{@link wcPlay~Options}.
+   * @function wcPlay#loopPolicy
+   * @param {wcPlay.LOOP_POLICY} [policy] - If supplied, will assign the loop policy.
+   * @returns {wcPlay.LOOP_POLICY} - The current loop policy.
+   */
+  loopPolicy: function(policy) {
+    if (policy !== undefined) {
+      this._options.loopPolicy = policy;
+    }
+
+    return this._options.loopPolicy;
+  },
+
+  /**
+   * Gets, or Sets the maximum number of [function calls]{@link wcNodeProcessCallFunction} that can be waiting on each other at once, see [functionDepthLimit]{@link wcPlay~Options}.
+   * @function wcPlay#functionDepthLimit
+   * @param {number} [limit] - If supplied, will assign the limit.
+   * @returns {number} - The current limit.
+   */
+  functionDepthLimit: function(limit) {
+    if (limit !== undefined) {
+      this._options.functionDepthLimit = Math.max(1, Number(limit) || 1);
+    }
+
+    return this._options.functionDepthLimit;
+  },
+
+  /**
+   * Gets, or Sets the pause state of the script.
+   * @function wcPlay#paused
+   * @param {boolean} [paused] - If supplied, will assign the paused state of the script.
+   * @returns {boolean} - The current pause state of the script.
+   */
+  paused: function(paused) {
+    if (paused !== undefined) {
+      paused = paused? true: false;
+      var i = 0;
 
       if (this._isPaused !== paused) {
         for (i = 0; i < this._compositeNodes.length; ++i) {
@@ -774,6 +1589,7 @@ wcPlay.prototype = {
 
         this._isPaused = paused;
         this._isPausing = false;
+        this.__emit(paused? wcPlay.EVENT.PAUSED: wcPlay.EVENT.RESUMED, {});
       }
     }
 
@@ -794,6 +1610,141 @@ wcPlay.prototype = {
     return this._isStepping;
   },
 
+  /**
+   * Retrieves every node in the script, including those inside composite nodes, that has a breakpoint.<br>
+   * A node has a breakpoint if it is [enabled]{@link wcNode#debugBreak}, or if it has a condition, hit count, or log message while disabled.
+   * @function wcPlay#listBreakpoints
+   * @returns {wcPlay~BreakpointItem[]} - A list of breakpoints.
+   */
+  listBreakpoints: function() {
+    var result = [];
+    var nodes = this.__allNodes(this);
+    for (var i = 0; i < nodes.length; ++i) {
+      var breakpoint = nodes[i].breakpoint();
+      if (breakpoint.enabled || breakpoint.condition || breakpoint.hitCount || breakpoint.logMessage) {
+        breakpoint.node = nodes[i];
+        result.push(breakpoint);
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Enables, or Disables every breakpoint in the script, leaving their options unchanged.
+   * @function wcPlay#enableBreakpoints
+   * @param {boolean} enabled - Whether to enable the breakpoints.
+   */
+  enableBreakpoints: function(enabled) {
+    var breakpoints = this.listBreakpoints();
+    for (var i = 0; i < breakpoints.length; ++i) {
+      breakpoints[i].node.breakpoint({enabled: enabled});
+    }
+  },
+
+  /**
+   * Removes every breakpoint in the script, disabling them and clearing their options.
+   * @function wcPlay#removeBreakpoints
+   */
+  removeBreakpoints: function() {
+    var breakpoints = this.listBreakpoints();
+    for (var i = 0; i < breakpoints.length; ++i) {
+      breakpoints[i].node.breakpoint({enabled: false, condition: '', hitCount: 0, logMessage: ''});
+    }
+  },
+
+  /**
+   * Watches a node property or global property, recording the history of its value and optionally pausing the script when it changes.<br>
+   * Watches are a debugging tool and are not saved with the script. The script only pauses while [debugging]{@link wcPlay#debugging}.
+   * @function wcPlay#addWatch
+   * @param {wcNode|null} node - The node that owns the property, or null to watch a global property.
+   * @param {string} name - The name of the property.
+   * @param {wcPlay~WatchOptions} [options] - Options for the watch. If the property is already watched, its options are changed instead.
+   * @returns {wcPlay~Watch} - The watch.
+   * @example
+   * // Pause whenever the score of the player goes below zero.
+   * myScript.addWatch(null, 'score', {condition: 'value < 0'});
+   */
+  addWatch: function(node, name, options) {
+    var watch = this.watch(node, name);
+    if (!watch) {
+      watch = {
+        node: node || null,
+        name: name,
+        breakOnChange: false,
+        condition: '',
+        historyLimit: 50,
+        history: [],
+        hits: 0
+      };
+      this._watches.push(watch);
+    }
+
+    if (options) {
+      if (options.breakOnChange !== undefined) {
+        watch.breakOnChange = Boolean(options.breakOnChange);
+      }
+      if (options.condition !== undefined) {
+        watch.condition = String(options.condition || '');
+      }
+      if (options.historyLimit !== undefined) {
+        watch.historyLimit = Math.max(0, Math.floor(Number(options.historyLimit) || 0));
+        watch.history.splice(0, Math.max(0, watch.history.length - watch.historyLimit));
+      }
+    }
+    return watch;
+  },
+
+  /**
+   * Stops watching a property.
+   * @function wcPlay#removeWatch
+   * @param {wcNode|null} node - The node that owns the property, or null for a global property.
+   * @param {string} [name] - The name of the property. If not supplied, every watch of the node is removed.
+   * @returns {boolean} - Fails if no watch was removed.
+   */
+  removeWatch: function(node, name) {
+    var count = this._watches.length;
+    this._watches = this._watches.filter(function(watch) {
+      return watch.node !== (node || null) || (name !== undefined && watch.name !== name);
+    });
+    return this._watches.length !== count;
+  },
+
+  /**
+   * Retrieves the watch of a property.
+   * @function wcPlay#watch
+   * @param {wcNode|null} node - The node that owns the property, or null for a global property.
+   * @param {string} name - The name of the property.
+   * @returns {wcPlay~Watch|null} - The watch, or null if the property is not watched.
+   */
+  watch: function(node, name) {
+    for (var i = 0; i < this._watches.length; ++i) {
+      if (this._watches[i].node === (node || null) && this._watches[i].name === name) {
+        return this._watches[i];
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Retrieves every watched property.
+   * @function wcPlay#listWatches
+   * @returns {wcPlay~Watch[]} - A list of watches, in the order they were added.
+   */
+  listWatches: function() {
+    return this._watches.slice();
+  },
+
+  /**
+   * Clears the recorded history of every watch.
+   * @function wcPlay#clearWatchHistory
+   */
+  clearWatchHistory: function() {
+    for (var i = 0; i < this._watches.length; ++i) {
+      this._watches[i].history = [];
+      this._watches[i].hits = 0;
+    }
+  },
+
   /**
    * Outputs a log message.
    * @function wcPlay#log
@@ -815,6 +1766,8 @@ wcPlay.prototype = {
   error: function(args) {
     /* eslint-disable no-console */
     args = Array.prototype.slice.call(arguments);
+    this.__emit(wcPlay.EVENT.ERROR, {message: args.join(' '), node: null});
+
     args.splice(0, 0, 'wcPlay ERROR:');
     if (console.error) {
       console.error.apply(console, args);
@@ -824,6 +1777,81 @@ wcPlay.prototype = {
     /* eslint-enable no-console */
   },
 
+  /**
+   * Reports the outcome of an assertion made by the script, such as by an [Assert]{@link wcNodeProcessAssert} node.<br>
+   * Every assertion is sent out as an [ASSERTION]{@link wcPlay.EVENT} event, and a failed one is also reported as an error of the node that made it.
+   * @function wcPlay#reportAssertion
+   * @param {wcNode} node - The node that made the assertion.
+   * @param {boolean} passed - Whether the assertion passed.
+   * @param {string} [message] - Describes what was asserted.
+   */
+  reportAssertion: function(node, passed, message) {
+    message = message || '';
+    this.__emit(wcPlay.EVENT.ASSERTION, {node: node, passed: Boolean(passed), message: message});
+
+    if (!passed) {
+      node.error('Assertion failed' + (message? ': ' + message: '') + '.');
+    }
+  },
+
+  /**
+   * Adds a listener for an event of the script, so a host application can observe what the script is doing.
+   * @function wcPlay#on
+   * @param {wcPlay.EVENT} event - The event to listen for.
+   * @param {wcPlay~EventListener} listener - The function to call each time the event happens.
+   * @returns {boolean} - Fails if the listener is not a function.
+   * @example
+   * myScript.on(wcPlay.EVENT.NODE_ACTIVATED, function(event) {
+   *   console.log('Activated "' + event.name + '" on node ' + event.node.id);
+   * });
+   */
+  on: function(event, listener) {
+    return this.__addListener(event, listener, false);
+  },
+
+  /**
+   * Adds a listener for an event of the script that is removed again after the first time the event happens.
+   * @function wcPlay#once
+   * @param {wcPlay.EVENT} event - The event to listen for.
+   * @param {wcPlay~EventListener} listener - The function to call the next time the event happens.
+   * @returns {boolean} - Fails if the listener is not a function.
+   */
+  once: function(event, listener) {
+    return this.__addListener(event, listener, true);
+  },
+
+  /**
+   * Removes listeners that were added with {@link wcPlay#on} or {@link wcPlay#once}.
+   * @function wcPlay#off
+   * @param {wcPlay.EVENT} [event] - The event to stop listening for. If not supplied, all listeners of all events are removed.
+   * @param {wcPlay~EventListener} [listener] - The listener to remove. If not supplied, all listeners of the event are removed.
+   * @returns {boolean} - Fails if no listener was removed.
+   */
+  off: function(event, listener) {
+    if (event === undefined) {
+      var found = Object.keys(this._eventListeners).length > 0;
+      this._eventListeners = {};
+      return found;
+    }
+
+    var listeners = this._eventListeners[event];
+    if (!listeners) {
+      return false;
+    }
+
+    if (listener === undefined) {
+      delete this._eventListeners[event];
+      return true;
+    }
+
+    for (var i = 0; i < listeners.length; ++i) {
+      if (listeners[i].listener === listener) {
+        return this.__removeListener(event, listeners[i]);
+      }
+    }
+    return false;
+  },
+
   /**
    * Creates a new global property (can be used with the global storage node).
    * @function wcPlay#createProperty
@@ -879,6 +1907,10 @@ wcPlay.prototype = {
     }
 
     prop.name = newName;
+    var watch = this.watch(null, name);
+    if (watch) {
+      watch.name = newName;
+    }
     this.notifyNodes('onGlobalPropertyRenamed', [name, newName]);
   },
 
@@ -893,6 +1925,7 @@ wcPlay.prototype = {
       if (this._properties[i].name === name) {
         this.notifyNodes('onGlobalPropertyRemoved', [name]);
         this._properties.splice(i, 1);
+        this.removeWatch(null, name);
         return true;
       }
     }
@@ -923,6 +1956,8 @@ wcPlay.prototype = {
       var oldValue = prop.value;
       prop.value = value;
       this.notifyNodes('onGlobalPropertyChanged', [prop.name, oldValue, prop.value]);
+      this.__emit(wcPlay.EVENT.GLOBAL_PROPERTY_CHANGED, {name: prop.name, oldValue: oldValue, newValue: prop.value});
+      this.__watchChanged(null, prop.name, oldValue, prop.value);
     }
 
     return prop.value;
@@ -956,6 +1991,7 @@ wcPlay.prototype = {
       if (prop.value == oldValue) {
         prop.value = value;
         this.notifyNodes('onGlobalPropertyChanged', [prop.name, oldValue, prop.value]);
+        this.__emit(wcPlay.EVENT.GLOBAL_PROPERTY_CHANGED, {name: prop.name, oldValue: oldValue, newValue: prop.value});
       }
     }
 
@@ -983,18 +2019,89 @@ wcPlay.prototype = {
     return result;
   },
 
+  /**
+   * Gets, or Sets the current value of a local variable in the root script, nodes inside a composite node use the [local variables of that composite]{@link wcNodeCompositeScript#localVariable} instead.<br>
+   * Assigning a value to a local variable that does not exist yet will create it, using the value as its initial value as well.
+   * @function wcPlay#localVariable
+   * @param {string} name - The name of the local variable.
+   * @param {Object} [value] - If supplied, will assign a new value to the local variable.
+   * @returns {Object|undefined} - The current value of the local variable, or undefined if not found.
+   */
+  localVariable: function(name, value) {
+    return wcPlay.__localVariable(this, name, value);
+  },
+
+  /**
+   * Gets, or Sets the initial value of a local variable in the root script, nodes inside a composite node use the [local variables of that composite]{@link wcNodeCompositeScript#localVariable} instead.<br>
+   * Assigning a value to a local variable that does not exist yet will create it.
+   * @function wcPlay#initialLocalVariable
+   * @param {string} name - The name of the local variable.
+   * @param {Object} [value] - If supplied, will assign a new initial value to the local variable.
+   * @returns {Object|undefined} - The initial value of the local variable, or undefined if not found.
+   */
+  initialLocalVariable: function(name, value) {
+    return wcPlay.__initialLocalVariable(this, name, value);
+  },
+
+  /**
+   * Removes a local variable in the root script, nodes inside a composite node use the [local variables of that composite]{@link wcNodeCompositeScript#localVariable} instead.
+   * @function wcPlay#removeLocalVariable
+   * @param {string} name - The name of the local variable to remove.
+   * @returns {boolean} - Fails if the local variable does not exist.
+   */
+  removeLocalVariable: function(name) {
+    return wcPlay.__removeLocalVariable(this, name);
+  },
+
+  /**
+   * Retrieves a list of all local variables in the root script, nodes inside a composite node use the [local variables of that composite]{@link wcNodeCompositeScript#localVariable} instead.
+   * @function wcPlay#listLocalVariables
+   * @returns {wcPlay~LocalVariableData[]} - A list of all local variables.
+   */
+  listLocalVariables: function() {
+    return wcPlay.__listLocalVariables(this);
+  },
+
   /**
    * Triggers an event into the Play script.
    * @function wcPlay#triggerEvent
    * @param {string} type - The type name of the node (as displayed in the title).
    * @param {wcPlay~TriggerEventOptions} [options] - Optional parameters.
+   * @returns {Promise.<number>} - Resolves once all chains started by the event have executed completely, with the number of entry nodes that were triggered.
+   * Resolves with 0 if the [flowTrackerLimit]{@link wcPlay~Options} has been reached, or rejects if the [loop policy]{@link wcPlay.LOOP_POLICY} throws.
+   * @example
+   * myScript.triggerEvent('Custom Event', {name: 'player joined', data: {player: 'bob', score: 10}}).then(function() {
+   *   console.log('Finished welcoming the player.');
+   * });
    */
   triggerEvent: function(type, options) {
     options = options || {};
 
+    var count = 0;
+    var finished = null;
+    var promise = new Promise(function(resolve) {
+      finished = resolve;
+    });
+
+    function __done() {
+      if (typeof options.done === 'function') {
+        options.done();
+      }
+      finished(count);
+    }
+
+    // Reaching the flowTrackerLimit reports a loop, which throws under the 'throw' loop policy.
     var activeTracker = null;
-    if (typeof options.done === 'function') {
-      activeTracker = this.beginFlowTracker({}, null, options.done);
+    try {
+      activeTracker = this.beginFlowTracker({}, null, __done);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    // Without a tracker no chains can be started.
+    if (!activeTracker) {
+      __done();
+      return promise;
     }
 
     if (this._isRunning) {
@@ -1002,16 +2109,105 @@ wcPlay.prototype = {
         var node = this._entryNodes[i];
         if (node.type === type && (!options.hasOwnProperty('name') || node.name === options.name)) {
           node._activeTracker = activeTracker;
-          node.onActivated(options.data);
+          var profileStart = this.__profileClock();
+          node.onTriggered(options.data);
+          this.__profileNode(node, 'activation', profileStart);
           node._activeTracker = null;
+          count++;
         }
       }
     }
 
     var self = this;
-    setTimeout(function() {
+    this.__setTimeout(function() {
       self.endFlowTracker(activeTracker);
     }, 0);
+    return promise;
+  },
+
+  /**
+   * Adds a handler for an event that the script sends out to the host application, such as from an [Emit Host Event]{@link wcNodeProcessEmitHostEvent} node.<br>
+   * A handler may return a promise, the node that sent the event will then wait for it to resolve before continuing.
+   * @function wcPlay#onScriptEvent
+   * @param {string} name - The name of the event.
+   * @param {wcPlay~ScriptEventHandler} handler - The function to call each time the script sends the event.
+   * @returns {boolean} - Fails if the handler is not a function.
+   * @example
+   * myScript.onScriptEvent('save score', function(payload) {
+   *   return fetch('/score', {method: 'POST', body: JSON.stringify(payload)});
+   * });
+   */
+  onScriptEvent: function(name, handler) {
+    if (typeof handler !== 'function') {
+      this.error('Failed to add a handler for the "' + name + '" script event, the handler must be a function!');
+      return false;
+    }
+
+    this._scriptEventHandlers[name] = this._scriptEventHandlers[name] || [];
+    this._scriptEventHandlers[name].push(handler);
+    return true;
+  },
+
+  /**
+   * Removes handlers that were added with {@link wcPlay#onScriptEvent}.
+   * @function wcPlay#offScriptEvent
+   * @param {string} name - The name of the event.
+   * @param {wcPlay~ScriptEventHandler} [handler] - The handler to remove. If not supplied, all handlers of the event are removed.
+   * @returns {boolean} - Fails if no handler was removed.
+   */
+  offScriptEvent: function(name, handler) {
+    var handlers = this._scriptEventHandlers[name];
+    if (!handlers) {
+      return false;
+    }
+
+    var index = handler === undefined? 0: handlers.indexOf(handler);
+    if (index === -1) {
+      return false;
+    }
+
+    if (handler === undefined) {
+      handlers.length = 0;
+    } else {
+      handlers.splice(index, 1);
+    }
+
+    if (!handlers.length) {
+      delete this._scriptEventHandlers[name];
+    }
+    return true;
+  },
+
+  /**
+   * Sends an event out of the script to all handlers added with {@link wcPlay#onScriptEvent}.
+   * @function wcPlay#emitScriptEvent
+   * @param {string} name - The name of the event.
+   * @param {Object} [payload] - The data to give to each handler.
+   * @param {wcNode} [node] - The node sending the event, if any.
+   * @returns {Promise.<Object>} - Resolves once every handler has finished, with the last value returned by a handler that was not undefined. Rejects if any handler throws or rejects.
+   */
+  emitScriptEvent: function(name, payload, node) {
+    var handlers = (this._scriptEventHandlers[name] || []).slice();
+    var event = {name: name, node: node || null, engine: this};
+
+    var results = [];
+    try {
+      for (var i = 0; i < handlers.length; ++i) {
+        results.push(handlers[i].call(this, payload, event));
+      }
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    return Promise.all(results).then(function(values) {
+      var result;
+      values.forEach(function(value) {
+        if (value !== undefined) {
+          result = value;
+        }
+      });
+      return result;
+    });
   },
 
   /**
@@ -1109,10 +2305,13 @@ wcPlay.prototype = {
       this._queuedChain.push({
         node: node,
         name: name,
+        fromNode: fromNode,
+        fromName: fromName,
         tracker: tracker
       });
 
-      if (node.debugBreak() || this._isStepping) {
+      var broken = node.__testBreakpoint(name) || this._isStepping;
+      if (broken) {
         node._meta.flash = true;
         node._meta.broken++;
         this._isPausing = true;
@@ -1123,7 +2322,7 @@ wcPlay.prototype = {
       for (i = 0; i < node.chain.entry.length; ++i) {
         if (node.chain.entry[i].name == name) {
           node.chain.entry[i].meta.flash = true;
-          if (node.debugBreak() || this._isStepping) {
+          if (broken) {
             node.chain.entry[i].meta.broken++;
           }
           break;
@@ -1138,7 +2337,7 @@ wcPlay.prototype = {
             fromNode.chain.exit[i].meta.flash = true;
             fromNode._meta.flash = true;
 
-            if (node.debugBreak() || this._isStepping) {
+            if (broken) {
               fromNode.chain.exit[i].meta.broken++;
             }
             break;
@@ -1216,16 +2415,29 @@ wcPlay.prototype = {
     if (this._flowTrackers >= this._options.flowTrackerLimit) {
       if (!this._hasWarnedTrackLimit) {
         this._hasWarnedTrackLimit = true;
-        if (this._editors.length) {
-          alert('Flow Trackers have exceeded the limit, please ensure that you are not creating an infinite flow loop.\n\nThe chain will be forced to stop.\n\nThis message will only appear once.');
+        this.notifyEditors('onFlowTrackerLimit', []);
+      }
+      this.__emit(wcPlay.EVENT.FLOW_TRACKER_LIMIT, {node: node, limit: this._options.flowTrackerLimit});
+
+      // The chain that hit the limit is the most likely to be the runaway one.
+      var nodes = [];
+      for (var ancestor = parent; ancestor && nodes.length < this._options.updateLimit; ancestor = ancestor.parent) {
+        if (ancestor.node && nodes.indexOf(ancestor.node) === -1 && typeof ancestor.node.instanceOf === 'function') {
+          nodes.push(ancestor.node);
         }
       }
-      this.error('Flow Trackers have exceeded the limit, please ensure that you are not creating an infinite flow loop. The chain will be forced to stop.');
       this.endFlowTracker(parent);
+      this.__reportLoop({
+        kind: 'flowTrackers',
+        message: 'Flow Trackers have exceeded the limit, please ensure that you are not creating an infinite flow loop. The chain will be forced to stop.',
+        nodes: nodes,
+        links: []
+      }, true);
       return null;
     }
 
     var tracker = {
+      id: ++this._flowTrackerId,
       node: node,
       parent: parent,
       callback: callback,
@@ -1235,10 +2447,41 @@ wcPlay.prototype = {
     this._flowTrackers++;
     if (parent) {
       parent.children.push(tracker);
+    } else {
+      this._rootFlowTrackers.push(tracker);
     }
     return tracker;
   },
 
+  /**
+   * Retrieves the flow trackers that are still waiting on their chains to finish, and that were not spawned from another tracker.<br>
+   * Each tracker's [children]{@link wcPlay~FlowTracker} are the chains it is still waiting on, so this is the root of every active flow chain.
+   * @function wcPlay#flowTrackers
+   * @returns {wcPlay~FlowTracker[]} - A list of trackers, oldest first.
+   */
+  flowTrackers: function() {
+    return this._rootFlowTrackers.slice();
+  },
+
+  /**
+   * Retrieves the node entry links that are queued to activate on the next update, including those held back while stepping.
+   * @function wcPlay#queuedActivations
+   * @returns {wcPlay~QueuedActivation[]} - A list of queued activations, in the order they will activate.
+   */
+  queuedActivations: function() {
+    return this._queuedChain.concat(this._waitingChain).filter(function(item) {
+      return !item.callback;
+    }).map(function(item) {
+      return {
+        node: item.node,
+        name: item.name,
+        fromNode: item.fromNode || null,
+        fromName: item.fromName || '',
+        tracker: item.tracker || null
+      };
+    });
+  },
+
   /**
    * Finishes a chain tracker.
    * @function wcPlay#endFlowTracker
@@ -1281,6 +2524,11 @@ wcPlay.prototype = {
       if (tracker.parent.children.length === 0) {
         this.endFlowTracker(tracker.parent);
       }
+    } else {
+      var rootIndex = this._rootFlowTrackers.indexOf(tracker);
+      if (rootIndex > -1) {
+        this._rootFlowTrackers.splice(rootIndex, 1);
+      }
     }
   },
 
@@ -1290,6 +2538,8 @@ wcPlay.prototype = {
    */
   destroy: function() {
     this.clear();
+    this._eventListeners = {};
+    this._scriptEventHandlers = {};
 
     this._importedScripts = [];
 
@@ -1300,6 +2550,7 @@ wcPlay.prototype = {
     if (this._updateInterval) {
       clearInterval(this._updateInterval);
     }
+    this._timers = [];
 
     var index = wcPlay.INSTANCE_LIBRARY.indexOf(this);
     if (index > -1) {
@@ -1390,60 +2641,953 @@ wcPlay.prototype = {
   },
 
   /**
-   * Retrieves the next node id.
-   * @function wcPlay#__nextNodeId
+   * Applies all [migrations]{@link wcPlay.registerMigration} needed to upgrade a list of serialized nodes, including the inner nodes of composites.
+   * @function wcPlay#__migrateNodes
    * @private
-   * @returns {number} - The next available node id.
+   * @param {Object[]} nodes - The serialized node data, as generated by {@link wcNode#export}. Migrated data is changed in place.
    */
-  __nextNodeId: function() {
-    return ++this._nodeId;
+  __migrateNodes: function(nodes) {
+    // Renames a link on a node, as seen from both ends of each chain that is connected to it.
+    function __renameLinks(id, lists, side, oldName, newName) {
+      for (var a = 0; a < nodes.length; ++a) {
+        for (var b = 0; b < lists.length; ++b) {
+          var chains = nodes[a][lists[b]];
+          for (var c = 0; c < chains.length; ++c) {
+            if (chains[c][side + 'NodeId'] === id && chains[c][side + 'Name'] === oldName) {
+              chains[c][side + 'Name'] = newName;
+            }
+          }
+        }
+      }
+    }
+
+    for (var i = 0; i < nodes.length; ++i) {
+      var data = nodes[i];
+      var version = data.version || 0;
+      var migrations = wcPlay.MIGRATION_LIBRARY[data.className] || [];
+
+      for (var m = 0; m < migrations.length; ++m) {
+        if (migrations[m].version <= version) {
+          continue;
+        }
+
+        var context = {
+          siblings: nodes,
+          renameProperty: function(oldName, newName) {
+            for (var p = 0; p < this.properties.length; ++p) {
+              if (this.properties[p].name === oldName) {
+                this.properties[p].name = newName;
+              }
+            }
+            __renameLinks(this.id, ['inputChains', 'outputChains'], 'in', oldName, newName);
+            __renameLinks(this.id, ['inputChains', 'outputChains'], 'out', oldName, newName);
+          }.bind(data),
+          renameEntry: function(oldName, newName) {
+            __renameLinks(this.id, ['entryChains', 'exitChains'], 'in', oldName, newName);
+          }.bind(data),
+          renameExit: function(oldName, newName) {
+            __renameLinks(this.id, ['entryChains', 'exitChains'], 'out', oldName, newName);
+          }.bind(data)
+        };
+
+        var result = migrations[m].migrate(data, context);
+        if (result && typeof result === 'object') {
+          data = nodes[i] = result;
+        }
+        data.version = migrations[m].version;
+      }
+
+      if (data.nodes) {
+        this.__migrateNodes(data.nodes);
+      }
+    }
   },
 
   /**
-   * Gets or sets the current node id.
-   * @function wcPlay#__curNodeId
+   * Queues a function that continues the work of a node, called with the node as this during the next update that activates nodes, once all queued property changes have been applied.<br>
+   * Unlike [queueNodeEntry]{@link wcPlay#queueNodeEntry}, this does not activate the node, so it is not seen by event listeners, breakpoints, the trace, or the profiler.
+   * @function wcPlay#__queueNodeCallback
    * @private
-   * @param {number} [cur] - If supplied, will assign the current node id.
-   * @returns {number} - The current node id.
+   * @param {wcNode} node - The node.
+   * @param {Function} callback - The function to call.
+   * @param {wcPlay~FlowTracker} [tracker] - Optional flow tracker, it is the node's active tracker while the function is called. It is ended right away if the script is not running.
    */
-  __curNodeId: function(cur) {
-    if (typeof cur === 'number') {
-      this._nodeId = cur;
+  __queueNodeCallback: function(node, callback, tracker) {
+    // Skip node queueing if the script is not even running, the callback will never continue its tracker.
+    if (!this._isRunning) {
+      this.endFlowTracker(tracker);
+      return;
     }
-    return this._nodeId;
-  }
-};
 
+    this._queuedChain.push({
+      node: node,
+      name: '',
+      callback: callback,
+      tracker: tracker
+    });
+  },
 
+  /**
+   * Schedules a callback on the script's clock. In [manual tick]{@link wcPlay~Options} mode, the callback is called during the {@link wcPlay#tick} that reaches its time, otherwise this is a normal timeout.
+   * @function wcPlay#__setTimeout
+   * @private
+   * @param {Function} callback - The function to call when the time has elapsed.
+   * @param {number} delay - The time delay, in milliseconds.
+   * @returns {number} - The timer id, to be given to {@link wcPlay#__clearTimeout}.
+   */
+  __setTimeout: function(callback, delay) {
+    if (!this._options.manualTick) {
+      return setTimeout(callback, delay);
+    }
 
-function wcNodeTimeoutEvent(node, callback, delay) {
-  this._node = node;
-  this._timerId = 0;
-  this._callback = callback;
-  this._remaining = delay;
-  this._marker = 0;
-}
+    var timer = {
+      id: ++this._timerId,
+      time: this._time + Math.max(delay || 0, 0),
+      callback: callback
+    };
 
-wcNodeTimeoutEvent.prototype = {
-  pause: function() {
-    clearTimeout(this._timerId);
-    this._remaining -= new Date().getTime() - this._marker;
+    // Keep the timers sorted by time, timers that are due at the same time are called in the order they were scheduled.
+    var index = this._timers.length;
+    while (index > 0 && this._timers[index-1].time > timer.time) {
+      index--;
+    }
+    this._timers.splice(index, 0, timer);
+    return timer.id;
   },
 
-  resume: function() {
-    this._marker = new Date().getTime();
-    clearTimeout(this._timerId);
-    var self = this;
-    this._timerId = setTimeout(function() {
-      self._node.finishThread(self);
-      self._callback && self._callback.call(self._node);
-      self.__clear();
-    }, this._remaining);
+  /**
+   * Cancels a callback scheduled with {@link wcPlay#__setTimeout}.
+   * @function wcPlay#__clearTimeout
+   * @private
+   * @param {number} id - The timer id.
+   */
+  __clearTimeout: function(id) {
+    if (!this._options.manualTick) {
+      clearTimeout(id);
+      return;
+    }
+
+    for (var i = 0; i < this._timers.length; ++i) {
+      if (this._timers[i].id === id) {
+        this._timers.splice(i, 1);
+        return;
+      }
+    }
   },
 
-  __clear: function() {
-    this._node = null;
-    this._callback = null;
-    clearTimeout(this._timerId);
+  /**
+   * Adds a listener for an event.
+   * @function wcPlay#__addListener
+   * @private
+   * @param {wcPlay.EVENT} event - The event to listen for.
+   * @param {wcPlay~EventListener} listener - The function to call when the event happens.
+   * @param {boolean} once - If true, the listener is removed after the first time it is called.
+   * @returns {boolean} - Fails if the listener is not a function.
+   */
+  __addListener: function(event, listener, once) {
+    if (typeof listener !== 'function') {
+      this.error('Failed to add a listener for the "' + event + '" event, the listener must be a function!');
+      return false;
+    }
+
+    this._eventListeners[event] = this._eventListeners[event] || [];
+    this._eventListeners[event].push({listener: listener, once: once});
+    return true;
+  },
+
+  /**
+   * Removes a single listener entry of an event.
+   * @function wcPlay#__removeListener
+   * @private
+   * @param {wcPlay.EVENT} event - The event being listened to.
+   * @param {Object} entry - The listener entry, as added by {@link wcPlay#__addListener}.
+   * @returns {boolean} - Fails if the entry was already removed.
+   */
+  __removeListener: function(event, entry) {
+    var listeners = this._eventListeners[event] || [];
+    var index = listeners.indexOf(entry);
+    if (index === -1) {
+      return false;
+    }
+
+    listeners.splice(index, 1);
+    if (!listeners.length) {
+      delete this._eventListeners[event];
+    }
+    return true;
+  },
+
+  /**
+   * Calls all listeners of an event.<br>
+   * A listener that throws an error is reported without affecting the script, or any other listeners.
+   * @function wcPlay#__emit
+   * @private
+   * @param {wcPlay.EVENT} event - The event that happened.
+   * @param {Object} data - The data describing the event, given to each listener.
+   */
+  __emit: function(event, data) {
+    if (this._options.tracing) {
+      this.__traceEvent(event, data);
+    }
+
+    var listeners = this._eventListeners[event];
+    if (!listeners) {
+      return;
+    }
+
+    // Listeners may add or remove listeners while being called, iterate over a copy.
+    listeners = listeners.slice();
+    for (var i = 0; i < listeners.length; ++i) {
+      if (listeners[i].once) {
+        this.__removeListener(event, listeners[i]);
+      }
+
+      try {
+        listeners[i].listener.call(this, data);
+      } catch (err) {
+        // Reporting a failed error listener as an error would only fail again.
+        if (event === wcPlay.EVENT.ERROR) {
+          /* eslint-disable no-console */
+          console.error(err);
+          /* eslint-enable no-console */
+        } else {
+          this.error('A listener for the "' + event + '" event failed:', err && err.message || err);
+        }
+      }
+    }
+  },
+
+  /**
+   * Records an event in the trace, if it is one that is traced.
+   * @function wcPlay#__traceEvent
+   * @private
+   * @param {wcPlay.EVENT} event - The event.
+   * @param {Object} data - The data describing the event.
+   */
+  __traceEvent: function(event, data) {
+    var item = {time: this.now()};
+    switch (event) {
+      case wcPlay.EVENT.NODE_ACTIVATED:
+        item.type = 'entry';
+        item.fromNode = data.fromNode? this.__traceNode(data.fromNode): null;
+        item.fromName = data.fromName;
+        break;
+      case wcPlay.EVENT.EXIT_ACTIVATED:
+        item.type = 'exit';
+        break;
+      case wcPlay.EVENT.PROPERTY_CHANGED:
+        item.type = 'property';
+        break;
+      case wcPlay.EVENT.GLOBAL_PROPERTY_CHANGED:
+        item.type = 'global';
+        break;
+      default:
+        return;
+    }
+
+    item.name = data.name;
+    if (data.node) {
+      item.node = this.__traceNode(data.node);
+
+      // The ancestry of the flow chain, from the current tracker up to the one that began it.
+      item.trackers = [];
+      for (var tracker = data.node._activeTracker; tracker; tracker = tracker.parent) {
+        item.trackers.push(tracker.id);
+      }
+    }
+    if (item.type === 'property' || item.type === 'global') {
+      item.oldValue = wcPlay.copyValue(data.oldValue);
+      item.newValue = wcPlay.copyValue(data.newValue);
+    }
+
+    var trace = this._trace;
+    trace.events.push(item);
+    if (trace.events.length > this._options.traceLimit) {
+      // Drop a tenth of the limit at once, so a full trace does not move every event each time one is added.
+      var TRACE_DROP_RATIO = 10;
+      var count = trace.events.length - this._options.traceLimit + Math.floor(this._options.traceLimit / TRACE_DROP_RATIO);
+      trace.events.splice(0, count);
+      trace.dropped += count;
+    }
+  },
+
+  /**
+   * Reads the clock used to measure the time taken while profiling.
+   * @function wcPlay#__profileClock
+   * @private
+   * @returns {number} - The current time in milliseconds, or 0 if the script is not profiling.
+   */
+  __profileClock: function() {
+    if (!this._options.profiling) {
+      return 0;
+    }
+    return typeof performance === 'undefined'? new Date().getTime(): performance.now();
+  },
+
+  /**
+   * Adds the time a node has taken to its measurements in the profile.
+   * @function wcPlay#__profileNode
+   * @private
+   * @param {wcNode} node - The node.
+   * @param {string} kind - 'activation' if the node was activated, or 'property' if one of its properties changed.
+   * @param {number} start - The [clock]{@link wcPlay#__profileClock} from before the node began.
+   */
+  __profileNode: function(node, kind, start) {
+    // Nothing is measured if profiling was turned on part way through.
+    if (!this._options.profiling || !start) {
+      return;
+    }
+
+    var elapsed = this.__profileClock() - start;
+    var item = this._profile.nodes[node.id];
+    if (!item) {
+      item = this._profile.nodes[node.id] = {
+        id: node.id,
+        className: node.className,
+        type: node.type,
+        name: node.name,
+        activations: 0,
+        activationTime: 0,
+        propertyChanges: 0,
+        propertyTime: 0
+      };
+    }
+    item.name = node.name;
+
+    if (kind === 'activation') {
+      item.activations++;
+      item.activationTime += elapsed;
+    } else {
+      item.propertyChanges++;
+      item.propertyTime += elapsed;
+    }
+  },
+
+  /**
+   * Adds an update, and the queues it has left behind, to the profile.
+   * @function wcPlay#__profileUpdate
+   * @private
+   * @param {number} start - The [clock]{@link wcPlay#__profileClock} from before the update began.
+   */
+  __profileUpdate: function(start) {
+    if (!this._options.profiling || !start) {
+      return;
+    }
+
+    var profile = this._profile;
+    profile.updates++;
+    profile.updateTime += this.__profileClock() - start;
+    profile.queues.push({
+      time: this.now(),
+      chain: this._queuedChain.length,
+      properties: this._queuedProperties.length
+    });
+    if (profile.queues.length > this._options.profileQueueLimit) {
+      profile.queues.shift();
+      profile.droppedQueues++;
+    }
+  },
+
+  /**
+   * Adds the averages and total time to the measurements of a node or class in the profile.
+   * @function wcPlay#__profileCost
+   * @private
+   * @param {Object} item - The measurements.
+   * @returns {Object} - The same measurements.
+   */
+  __profileCost: function(item) {
+    item.averageActivationTime = item.activations? item.activationTime / item.activations: 0;
+    item.averagePropertyTime = item.propertyChanges? item.propertyTime / item.propertyChanges: 0;
+    item.totalTime = item.activationTime + item.propertyTime;
+    return item;
+  },
+
+  /**
+   * Adds a node to the trace, so the trace can still describe it without the script.
+   * @function wcPlay#__traceNode
+   * @private
+   * @param {wcNode} node - The node.
+   * @returns {number} - The ID of the node.
+   */
+  __traceNode: function(node) {
+    if (!this._trace.nodes[node.id]) {
+      this._trace.nodes[node.id] = {className: node.className, type: node.type, name: node.name};
+    }
+    return node.id;
+  },
+
+  /**
+   * Sends a custom notification event to the nodes that share these local variables, which does not include the nodes inside any composite nodes.
+   * @function wcPlay#__notifyLocalNodes
+   * @private
+   * @param {string} func - The node function to call.
+   * @param {Object[]} args - A list of arguments to forward into the function call.
+   */
+  __notifyLocalNodes: function(func, args) {
+    var nodes = this._storageNodes.concat(this._processNodes);
+    for (var i = 0; i < nodes.length; ++i) {
+      if (typeof nodes[i][func] === 'function') {
+        nodes[i][func].apply(nodes[i], args);
+      }
+    }
+  },
+
+  /**
+   * Records the change of a property in its watch, and pauses the script if the watch breaks on it.
+   * @function wcPlay#__watchChanged
+   * @private
+   * @param {wcNode|null} node - The node that owns the property, or null for a global property.
+   * @param {string} name - The name of the property.
+   * @param {Object} oldValue - The old value.
+   * @param {Object} newValue - The new value.
+   */
+  __watchChanged: function(node, name, oldValue, newValue) {
+    if (!this._watches.length) {
+      return;
+    }
+
+    var watch = this.watch(node, name);
+    if (!watch) {
+      return;
+    }
+
+    if (watch.historyLimit) {
+      // Copy the values, so arrays and objects that are changed later do not alter the history.
+      watch.history.push({time: this.now(), oldValue: wcPlay.copyValue(oldValue), newValue: wcPlay.copyValue(newValue)});
+      if (watch.history.length > watch.historyLimit) {
+        watch.history.shift();
+      }
+    }
+
+    if (!this._isRunning || !this.debugging()) {
+      return;
+    }
+
+    var broken = watch.breakOnChange;
+    if (!broken && watch.condition) {
+      var expression = wcPlay.compileExpression(watch.condition);
+      if (expression.error) {
+        // Pause on a broken condition, so the problem can be seen.
+        this.error('Watch condition "' + watch.condition + '" failed: Character ' + (expression.error.position + 1) + ': ' + expression.error.message);
+        broken = true;
+      } else {
+        try {
+          broken = Boolean(expression.evaluate({value: newValue, oldValue: oldValue, hits: watch.hits}));
+        } catch (err) {
+          this.error('Watch condition "' + watch.condition + '" failed: ' + err.message);
+          broken = true;
+        }
+      }
+    }
+
+    if (broken) {
+      watch.hits++;
+      if (node) {
+        node._meta.flash = true;
+      }
+      this.__emit(wcPlay.EVENT.WATCH_HIT, {node: watch.node, name: name, oldValue: oldValue, newValue: newValue, watch: watch});
+      this.notifyEditors('onWatchHit', [watch]);
+      this.paused(true);
+    }
+  },
+
+  /**
+   * Counts the activation of a node entry link within the current update, for detecting runaway activations.
+   * @function wcPlay#__countActivation
+   * @private
+   * @param {Object} item - The queued activation.
+   */
+  __countActivation: function(item) {
+    if (!this._options.loopActivationLimit) {
+      return;
+    }
+
+    var state = this._loopState;
+    var counter = state.activations[item.node.id];
+    if (!counter) {
+      counter = state.activations[item.node.id] = {node: item.node, count: 0};
+    }
+    counter.count++;
+
+    if (item.fromNode) {
+      var key = item.fromNode.id + ':' + item.fromName + '>' + item.node.id + ':' + item.name;
+      if (!state.edges[key]) {
+        state.edges[key] = {link: {fromNode: item.fromNode, fromName: item.fromName, toNode: item.node, toName: item.name, type: 'flow'}, update: 0};
+      }
+      state.edges[key].update = state.update;
+    }
+  },
+
+  /**
+   * Counts the change of a property from its queue within the current update, for detecting properties that endlessly change each other.
+   * @function wcPlay#__countPropertyUpdate
+   * @private
+   * @param {Object} item - The queued property change.
+   */
+  __countPropertyUpdate: function(item) {
+    if (!this._options.loopPropertyLimit) {
+      return;
+    }
+
+    var state = this._loopState;
+    var key = item.node.id + ':' + item.name;
+    var counter = state.properties[key];
+    if (!counter) {
+      counter = state.properties[key] = {node: item.node, name: item.name, count: 0};
+    }
+    counter.count++;
+  },
+
+  /**
+   * Tests the counts gathered during an update for loops, and reports the first one found.
+   * @function wcPlay#__detectLoops
+   * @private
+   */
+  __detectLoops: function() {
+    var key = '', cycle = null;
+    var state = this._loopState;
+
+    // Activations lead to the nodes that have recently been activated from their exit links.
+    function __nextActivation(current) {
+      var result = [];
+      for (var edge in state.edges) {
+        var link = state.edges[edge].link;
+        if (link.fromNode === current && state.update - state.edges[edge].update <= state.gap) {
+          result.push({link: link, node: link.toNode, key: link.toNode.id});
+        }
+      }
+      return result;
+    }
+
+    // A property change can cause any property of the node it is given to to change in turn, so
+    // nodes lead to the nodes whose properties they have been changing.
+    function __nextProperty(current) {
+      var result = [];
+      for (var i = 0; i < current.properties.length; ++i) {
+        var outputs = current.properties[i].outputs;
+        for (var a = 0; a < outputs.length; ++a) {
+          if (state.properties[outputs[a].node.id + ':' + outputs[a].name]) {
+            result.push({
+              link: {fromNode: current, fromName: current.properties[i].name, toNode: outputs[a].node, toName: outputs[a].name, type: 'property'},
+              node: outputs[a].node,
+              key: outputs[a].node.id
+            });
+          }
+        }
+      }
+      return result;
+    }
+
+    // A node that was activated too many times within this update.
+    var limit = this._options.loopActivationLimit;
+    for (key in state.activations) {
+      if (limit && state.activations[key].count > limit) {
+        var node = state.activations[key].node;
+        cycle = this.__findCycle(node, node.id, __nextActivation);
+        this.__reportLoop({
+          kind: 'activation',
+          message: 'Node "' + node.category + '.' + node.type + '" was activated ' + state.activations[key].count + ' times in a single update, which is more than the limit of ' + limit + '.',
+          nodes: cycle? cycle.nodes: [node],
+          links: cycle? cycle.links: []
+        });
+        return;
+      }
+    }
+
+    // Properties that keep changing each other within this update.
+    limit = this._options.loopPropertyLimit;
+    for (key in state.properties) {
+      var counter = state.properties[key];
+      if (limit && counter.count > limit) {
+        cycle = this.__findCycle(counter.node, counter.node.id, __nextProperty);
+
+        if (cycle) {
+          this.__reportLoop({
+            kind: 'property',
+            message: 'Property "' + counter.name + '" of node "' + counter.node.category + '.' + counter.node.type + '" has changed ' + counter.count + ' times in a single update, because it is chained in a loop with ' + (cycle.nodes.length - 1) + ' other node(s).',
+            nodes: cycle.nodes,
+            links: cycle.links
+          });
+          return;
+        }
+      }
+    }
+
+    // Queues that keep growing no matter how much is done each update.
+    var size = this._queuedChain.length + this._queuedProperties.length;
+    state.queueGrowth = size > state.queueSize && size > this._options.updateLimit? state.queueGrowth + 1: 0;
+    state.queueSize = size;
+    limit = this._options.loopQueueGrowthLimit;
+    if (limit && state.queueGrowth >= limit) {
+      state.queueGrowth = 0;
+      this.__reportLoop({
+        kind: 'queue',
+        message: 'The script has queued more work than it can do in each of the last ' + limit + ' updates, there are now ' + size + ' activations and property changes waiting.',
+        nodes: this.__busiestNodes(),
+        links: []
+      });
+    }
+  },
+
+  /**
+   * Searches for a loop that leads back to where it started.
+   * @function wcPlay#__findCycle
+   * @private
+   * @param {wcNode} start - The node to start at.
+   * @param {number} startKey - The ID of that node.
+   * @param {Function} follow - Given a node, returns the steps that follow it as a list of {link, node, key}, where node is the next node and key is its ID.
+   * @returns {{nodes: wcNode[], links: wcPlay~LoopLink[]}|null} - The nodes and links of the loop, or null if there is none.
+   */
+  __findCycle: function(start, startKey, follow) {
+    var visited = {};
+    var path = [];
+
+    function __search(step) {
+      var steps = follow(step);
+      for (var i = 0; i < steps.length; ++i) {
+        path.push(steps[i].link);
+        if (steps[i].key === startKey) {
+          return true;
+        }
+        if (!visited[steps[i].key]) {
+          visited[steps[i].key] = true;
+          if (__search(steps[i].node)) {
+            return true;
+          }
+        }
+        path.pop();
+      }
+      return false;
+    }
+
+    if (!__search(start)) {
+      return null;
+    }
+
+    var nodes = [];
+    for (var i = 0; i < path.length; ++i) {
+      if (nodes.indexOf(path[i].fromNode) === -1) {
+        nodes.push(path[i].fromNode);
+      }
+    }
+    return {nodes: nodes, links: path};
+  },
+
+  /**
+   * Retrieves the nodes that have the most activations and property changes waiting in the queues.
+   * @function wcPlay#__busiestNodes
+   * @private
+   * @returns {wcNode[]} - Up to five nodes, the busiest first.
+   */
+  __busiestNodes: function() {
+    var MAX_NODES = 5;
+    var counts = [];
+    var items = this._queuedChain.concat(this._queuedProperties);
+    for (var i = 0; i < items.length; ++i) {
+      var found = false;
+      for (var a = 0; a < counts.length; ++a) {
+        if (counts[a].node === items[i].node) {
+          counts[a].count++;
+          found = true;
+          break;
+        }
+      }
+      if (!found) {
+        counts.push({node: items[i].node, count: 1});
+      }
+    }
+
+    counts.sort(function(left, right) {
+      return right.count - left.count;
+    });
+    return counts.slice(0, MAX_NODES).map(function(counter) {
+      return counter.node;
+    });
+  },
+
+  /**
+   * Reports a detected loop, and applies the [loop policy]{@link wcPlay.LOOP_POLICY} to it.
+   * @function wcPlay#__reportLoop
+   * @private
+   * @param {wcPlay~LoopReport} report - The loop, its policy is assigned here.
+   * @param {boolean} [stopped] - If true, the loop has already been stopped.
+   * @throws {Error} - If the loop policy is to throw.
+   */
+  __reportLoop: function(report, stopped) {
+    report.policy = this._options.loopPolicy;
+    this.error(report.message);
+    this.__emit(wcPlay.EVENT.LOOP_DETECTED, report);
+    this.notifyEditors('onLoopDetected', [report]);
+
+    switch (report.policy) {
+      case wcPlay.LOOP_POLICY.PAUSE:
+        this.paused(true);
+        break;
+      case wcPlay.LOOP_POLICY.THROW:
+        throw new Error(report.message);
+      case wcPlay.LOOP_POLICY.STOP:
+        if (!stopped) {
+          this.__stopLoop(report.nodes);
+        }
+        break;
+      default:
+        break;
+    }
+  },
+
+  /**
+   * Throws away the queued activations and property changes of the nodes in a loop.
+   * @function wcPlay#__stopLoop
+   * @private
+   * @param {wcNode[]} nodes - The nodes in the loop.
+   */
+  __stopLoop: function(nodes) {
+    var self = this;
+    this._queuedChain = this._queuedChain.filter(function(item) {
+      if (nodes.indexOf(item.node) > -1) {
+        self.endFlowTracker(item.tracker);
+        return false;
+      }
+      return true;
+    });
+    this._queuedProperties = this._queuedProperties.filter(function(item) {
+      return nodes.indexOf(item.node) === -1;
+    });
+  },
+
+  /**
+   * Retrieves the nodes that can be activated by following flow chains from the entry nodes of a script.
+   * @function wcPlay#__reachableNodes
+   * @private
+   * @param {wcNode[]} nodes - Every node in the script.
+   * @returns {wcNode[]} - The nodes that can be reached, including the entry nodes.
+   */
+  __reachableNodes: function(nodes) {
+    // Entry nodes begin chains on their own, unless they also have entry links of their own to be activated by.
+    var reached = nodes.filter(function(node) {
+      return node.instanceOf('wcNodeEntry') && !node.chain.entry.length;
+    });
+
+    function __reach(node) {
+      if (reached.indexOf(node) === -1) {
+        reached.push(node);
+      }
+    }
+
+    function __follow(node) {
+      for (var a = 0; a < node.chain.exit.length; ++a) {
+        node.chain.exit[a].links.forEach(function(link) {
+          __reach(link.node);
+        });
+      }
+    }
+
+    for (var i = 0; i < reached.length; ++i) {
+      var node = reached[i];
+      if (node.instanceOf('wcNodeCompositeScript')) {
+        // A composite node activates the entry linkers within it, and is assumed to activate each of its own exit links.
+        var linkers = node.nodesByClassName('wcNodeCompositeEntry');
+        for (var a = 0; a < linkers.length; ++a) {
+          if (linkers[a]._parent === node) {
+            __reach(linkers[a]);
+          }
+        }
+      }
+      __follow(node);
+    }
+    return reached;
+  },
+
+  /**
+   * Retrieves every node within a script, including those inside composite nodes.
+   * @function wcPlay#__allNodes
+   * @private
+   * @param {wcPlay|wcNodeCompositeScript} scope - The script to search.
+   * @returns {wcNode[]} - A list of all nodes.
+   */
+  __allNodes: function(scope) {
+    var result = [].concat(scope._compositeNodes, scope._entryNodes, scope._processNodes, scope._storageNodes);
+    for (var i = 0; i < scope._compositeNodes.length; ++i) {
+      if (scope._compositeNodes[i].instanceOf('wcNodeCompositeScript')) {
+        result = result.concat(this.__allNodes(scope._compositeNodes[i]));
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Retrieves a new node id, unique to every node ever created.
+   * @function wcPlay#__nextNodeId
+   * @private
+   * @returns {string} - The new node id.
+   * @see wcPlay.generateId
+   */
+  __nextNodeId: function() {
+    return wcPlay.generateId();
+  },
+
+  /**
+   * Creates, or replaces, a composite definition from a list of saved nodes, then rebuilds each of its instances.
+   * @function wcPlay#__defineComposite
+   * @private
+   * @param {string} name - The name of the composite definition.
+   * @param {Object[]} nodes - The saved nodes of the definition.
+   * @param {wcNodeCompositeScript} [source] - An instance that already contains these nodes, and so is not rebuilt.
+   * @returns {wcNodeCompositeScript} - The composite definition.
+   */
+  __defineComposite: function(name, nodes, source) {
+    var definition = this.compositeDefinition(name);
+    var created = !definition;
+    var instances = [];
+    if (created) {
+      definition = new wcPlayNodes.wcNodeCompositeScript(this, {x: 0, y: 0});
+      definition.nodeType = wcPlay.NODE.COMPOSITE;
+      definition.category = 'Imported';
+      this._importedScripts.push(definition);
+    } else {
+      // Export the instances before the definition changes, so only the property values they override are kept.
+      instances = this.compositeInstances(name).filter(function(node) {
+        return node !== source;
+      }).map(function(node) {
+        return {node: node, data: node.export()};
+      });
+
+      this.__addNode(definition);
+      definition._parent = this;
+      definition.__clearContents();
+    }
+
+    // The definition only belongs to the script while its nodes are created.
+    // Its nodes keep their saved ids, as no other node refers to them.
+    this._definingComposite = true;
+    try {
+      definition.import({
+        className: definition.className,
+        id: definition.id,
+        name: name,
+        color: definition.color,
+        pos: {x: 0, y: 0},
+        breakpoint: false,
+        properties: [],
+        entryChains: [],
+        exitChains: [],
+        inputChains: [],
+        outputChains: [],
+        nodes: nodes
+      }, {});
+    } catch (err) {
+      if (created) {
+        this._importedScripts.splice(this._importedScripts.indexOf(definition), 1);
+      }
+      throw err;
+    } finally {
+      this._definingComposite = false;
+      definition._parent = null;
+      this.__removeNode(definition);
+    }
+
+    for (var i = 0; i < instances.length; ++i) {
+      instances[i].node.__rebuild(instances[i].data);
+    }
+    return definition;
+  },
+
+  /**
+   * Defines the composites saved with a script, each after the definitions it contains instances of.
+   * @function wcPlay#__importComposites
+   * @private
+   * @param {Object[]} composites - The saved composite definitions, see {@link wcPlay#save}.
+   * @param {boolean} replace - If true, existing definitions of the same name are replaced, otherwise they are kept.
+   */
+  __importComposites: function(composites, replace) {
+    var self = this;
+    var saved = {};
+    var defined = {};
+    composites.forEach(function(composite) {
+      saved[composite.name] = composite;
+    });
+
+    function __instancesIn(nodes, result) {
+      nodes.forEach(function(node) {
+        if (node.definition) {
+          result.push(node.definition);
+        }
+        if (node.nodes) {
+          __instancesIn(node.nodes, result);
+        }
+      });
+      return result;
+    }
+
+    function __define(name) {
+      if (!Object.prototype.hasOwnProperty.call(saved, name) || defined[name]) {
+        return;
+      }
+      defined[name] = true;
+
+      __instancesIn(saved[name].nodes, []).forEach(__define);
+      if (replace || !self.compositeDefinition(name)) {
+        self.__migrateNodes(saved[name].nodes);
+        self.__defineComposite(name, saved[name].nodes);
+      }
+    }
+
+    composites.forEach(function(composite) {
+      __define(composite.name);
+    });
+  }
+};
+
+
+
+function wcNodeTimeoutEvent(node, callback, delay) {
+  this._node = node;
+  this._engine = node.engine();
+  this._timerId = 0;
+  this._callback = callback;
+  this._remaining = delay;
+  this._marker = 0;
+}
+
+wcNodeTimeoutEvent.prototype = {
+  pause: function() {
+    this.__cancel();
+    this._remaining -= this.__now() - this._marker;
+  },
+
+  resume: function() {
+    this._marker = this.__now();
+    this.__cancel();
+    var self = this;
+    function __onTimeout() {
+      self._node.finishThread(self);
+      self._callback && self._callback.call(self._node);
+      self.__clear();
+    }
+
+    // Use the engine's clock, so timeouts follow the virtual time in manual tick mode.
+    if (this._engine) {
+      this._timerId = this._engine.__setTimeout(__onTimeout, this._remaining);
+    } else {
+      this._timerId = setTimeout(__onTimeout, this._remaining);
+    }
+  },
+
+  __clear: function() {
+    this._node = null;
+    this._callback = null;
+    this.__cancel();
+  },
+
+  __cancel: function() {
+    if (this._engine) {
+      this._engine.__clearTimeout(this._timerId);
+    } else {
+      clearTimeout(this._timerId);
+    }
+  },
+
+  __now: function() {
+    return this._engine? this._engine.now(): new Date().getTime();
   }
 };
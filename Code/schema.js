@@ -0,0 +1,293 @@
+'use strict';
+
+/**
+ * The current version of the script format written by [save]{@link wcPlay#save}.<br>
+ * Scripts saved with a higher major version than this can not be loaded.
+ * @member
+ */
+wcPlay.SAVE_VERSION = '1.1.0';
+
+/**
+ * The published JSON schema (draft-07) that describes the script format written by [save]{@link wcPlay#save}.<br>
+ * Values of Infinity are serialized as the string 'Infinity'.
+ * @member
+ */
+wcPlay.SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'http://play.webcabin.org/schema/wcPlay.schema.json',
+  title: 'wcPlay Script',
+  description: 'A wcPlay script, as serialized by wcPlay#save.',
+  type: 'object',
+  required: ['version', 'properties', 'nodes'],
+  properties: {
+    version: {
+      description: 'The version of the script format.',
+      type: 'string',
+      pattern: '^[0-9]+\\.[0-9]+\\.[0-9]+$'
+    },
+    custom: {
+      description: 'Custom data bound to the script with wcPlay#customData.'
+    },
+    properties: {
+      description: 'The global properties of the script.',
+      type: 'array',
+      items: {$ref: '#/definitions/globalProperty'}
+    },
+    nodes: {
+      description: 'The top level nodes of the script.',
+      type: 'array',
+      items: {$ref: '#/definitions/node'}
+    },
+    composites: {
+      description: 'The composite definitions used by the script, each instance of one only refers to it by name. Omitted when there are none.',
+      type: 'array',
+      items: {$ref: '#/definitions/composite'}
+    }
+  },
+  definitions: {
+    nodeId: {
+      description: 'The id of a node, a UUID string, or a number for nodes saved by older versions.',
+      type: ['string', 'number']
+    },
+    composite: {
+      type: 'object',
+      required: ['name', 'nodes'],
+      properties: {
+        name: {type: 'string'},
+        nodes: {
+          type: 'array',
+          items: {$ref: '#/definitions/node'}
+        }
+      }
+    },
+    globalProperty: {
+      type: 'object',
+      required: ['name', 'type', 'initialValue'],
+      properties: {
+        name: {type: 'string'},
+        type: {type: 'string'},
+        value: {},
+        initialValue: {},
+        options: {type: 'object'}
+      }
+    },
+    property: {
+      type: 'object',
+      required: ['name', 'initialValue'],
+      properties: {
+        name: {type: 'string'},
+        type: {type: 'string'},
+        value: {},
+        initialValue: {},
+        options: {type: 'object'}
+      }
+    },
+    chain: {
+      type: 'object',
+      required: ['inName', 'inNodeId', 'outName', 'outNodeId'],
+      properties: {
+        inName: {type: 'string'},
+        inNodeId: {$ref: '#/definitions/nodeId'},
+        outName: {type: 'string'},
+        outNodeId: {$ref: '#/definitions/nodeId'}
+      }
+    },
+    node: {
+      type: 'object',
+      required: ['className', 'id', 'name', 'pos', 'properties', 'entryChains', 'exitChains', 'inputChains', 'outputChains'],
+      properties: {
+        className: {
+          description: 'The class name of the node constructor.',
+          type: 'string'
+        },
+        version: {
+          description: 'The data version of the node class, used to determine which migrations need to be applied. Omitted when zero.',
+          type: 'integer',
+          minimum: 0
+        },
+        id: {$ref: '#/definitions/nodeId'},
+        name: {type: 'string'},
+        color: {type: 'string'},
+        pos: {
+          type: 'object',
+          required: ['x', 'y'],
+          properties: {
+            x: {type: 'number'},
+            y: {type: 'number'}
+          }
+        },
+        breakpoint: {type: 'boolean'},
+        breakpointOptions: {
+          description: 'The condition, hit count, and log message of the breakpoint. Omitted when none are set.',
+          type: 'object',
+          properties: {
+            condition: {type: 'string'},
+            hitCount: {type: 'integer', minimum: 0},
+            logMessage: {type: 'string'}
+          }
+        },
+        properties: {
+          type: 'array',
+          items: {$ref: '#/definitions/property'}
+        },
+        entryChains: {
+          type: 'array',
+          items: {$ref: '#/definitions/chain'}
+        },
+        exitChains: {
+          type: 'array',
+          items: {$ref: '#/definitions/chain'}
+        },
+        inputChains: {
+          type: 'array',
+          items: {$ref: '#/definitions/chain'}
+        },
+        outputChains: {
+          type: 'array',
+          items: {$ref: '#/definitions/chain'}
+        },
+        nodes: {
+          description: 'The inner nodes of a composite node.',
+          type: 'array',
+          items: {$ref: '#/definitions/node'}
+        },
+        definition: {
+          description: 'The name of the composite definition that a composite node is an instance of, its inner nodes are not saved.',
+          type: 'string'
+        }
+      }
+    }
+  }
+};
+
+(function() {
+  function __typeOf(value) {
+    if (value === null) {
+      return 'null';
+    }
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+    return typeof value;
+  }
+
+  function __isType(value, type) {
+    switch (type) {
+      case 'integer':
+        return typeof value === 'number' && Math.floor(value) === value;
+      case 'number':
+        return typeof value === 'number' && !isNaN(value);
+      default:
+        return __typeOf(value) === type;
+    }
+  }
+
+  function __hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+  }
+
+  // Resolves a local reference, such as '#/definitions/node', from the root schema.
+  function __resolveRef(ref, rootSchema) {
+    var result = rootSchema;
+    var parts = ref.replace(/^#\/?/, '').split('/');
+    for (var i = 0; i < parts.length && result; ++i) {
+      if (parts[i]) {
+        result = result[parts[i]];
+      }
+    }
+    return result || null;
+  }
+
+  // Validates the keywords that apply to a single value.
+  function __validateValue(value, schema, path, errors) {
+    if (schema.enum && schema.enum.indexOf(value) === -1) {
+      errors.push({path: path, message: 'Expected one of ' + JSON.stringify(schema.enum) + ', but found ' + JSON.stringify(value) + '.'});
+    }
+
+    if (typeof schema.pattern === 'string' && typeof value === 'string' && !(new RegExp(schema.pattern).test(value))) {
+      errors.push({path: path, message: 'The value "' + value + '" does not match the pattern ' + schema.pattern + '.'});
+    }
+
+    if (typeof schema.minimum === 'number' && typeof value === 'number' && value < schema.minimum) {
+      errors.push({path: path, message: 'Expected a value of at least ' + schema.minimum + ', but found ' + value + '.'});
+    }
+  }
+
+  // Validates the keywords that apply to the contents of an object or array, validate(value, schema, path) is called for each member.
+  function __validateContents(value, schema, path, errors, validate) {
+    var i = 0;
+    if (__typeOf(value) === 'object') {
+      if (schema.required) {
+        for (i = 0; i < schema.required.length; ++i) {
+          if (!__hasOwn(value, schema.required[i])) {
+            errors.push({path: path, message: 'Missing required property "' + schema.required[i] + '".'});
+          }
+        }
+      }
+
+      if (schema.properties) {
+        for (var key in schema.properties) {
+          if (__hasOwn(schema.properties, key) && __hasOwn(value, key)) {
+            validate(value[key], schema.properties[key], (path? path + '.': '') + key);
+          }
+        }
+      }
+    }
+
+    if (__typeOf(value) === 'array' && schema.items) {
+      for (i = 0; i < value.length; ++i) {
+        validate(value[i], schema.items, path + '[' + i + ']');
+      }
+    }
+  }
+
+  function __validate(value, schema, path, rootSchema, errors) {
+    if (schema.$ref) {
+      var refSchema = __resolveRef(schema.$ref, rootSchema);
+      if (!refSchema) {
+        errors.push({path: path, message: 'Schema reference "' + schema.$ref + '" could not be resolved.'});
+        return;
+      }
+      __validate(value, refSchema, path, rootSchema, errors);
+      return;
+    }
+
+    if (schema.type) {
+      var types = Array.isArray(schema.type)? schema.type: [schema.type];
+      var matched = false;
+      for (var i = 0; i < types.length; ++i) {
+        if (__isType(value, types[i])) {
+          matched = true;
+          break;
+        }
+      }
+
+      if (!matched) {
+        // The remaining keywords would only report noise on a value of the wrong type.
+        errors.push({path: path, message: 'Expected type ' + types.join(' or ') + ', but found ' + __typeOf(value) + '.'});
+        return;
+      }
+    }
+
+    __validateValue(value, schema, path, errors);
+    __validateContents(value, schema, path, errors, function(member, memberSchema, memberPath) {
+      __validate(member, memberSchema, memberPath, rootSchema, errors);
+    });
+  }
+
+  /**
+   * A global function that validates a value against a JSON schema, collecting every problem found rather than stopping at the first.<br>
+   * Only the subset of the JSON schema specification used by {@link wcPlay.SCHEMA} is supported: type, required, properties, items, enum, pattern, minimum, and local $ref's.
+   * @function wcPlay.validateSchema
+   * @param {Object} value - The value to validate.
+   * @param {Object} [schema=wcPlay.SCHEMA] - The schema to validate against.
+   * @param {string} [path=''] - The path of the value, used as a prefix for all reported problems.
+   * @returns {wcPlay~ValidationError[]} - A list of problems found, empty if the value is valid.
+   */
+  wcPlay.validateSchema = function(value, schema, path) {
+    var errors = [];
+    schema = schema || wcPlay.SCHEMA;
+    __validate(value, schema, path || '', schema, errors);
+    return errors;
+  };
+})();
@@ -0,0 +1,416 @@
+'use strict';
+
+/**
+ * Runs a script headlessly so it can be tested like code.
+ * The script is loaded into its own engine in [manual tick]{@link wcPlay~Options} mode, so time only passes when the test [advances]{@link wcPlayTester#advance} it.<br>
+ * Nodes and host events can be stubbed out, global properties set, and events triggered,
+ * while every activation, exit link, and [assertion]{@link wcNodeProcessAssert} is recorded for the test to check.<br>
+ * Each of the expect functions throws an Error if its expectation is not met, so they can be used with any test runner.
+ * @class
+ * @param {Object|string} saveData - The script to test, as given by [save]{@link wcPlay#save}, or its parsed object.
+ * @param {Object} [options] - Custom [options]{@link wcPlay~Options} for the engine. Silent mode is on unless turned off, and manual tick mode is always on.
+ * @example
+ * var tester = new wcPlayTester(saveData);
+ * tester.stubHostEvent('save score', true);
+ * tester.global('score', 10);
+ * tester.start();
+ * tester.trigger('Custom Event', {name: 'player joined'});
+ * tester.advance(1000).then(function() {
+ *   tester.expectExit('Welcome', 'out');
+ *   tester.expectProperty('Score', 'value', 20);
+ *   tester.expectNoFailures();
+ *   tester.destroy();
+ * });
+ */
+function wcPlayTester(saveData, options) {
+  var engineOptions = {silent: true};
+  for (var prop in options) {
+    engineOptions[prop] = options[prop];
+  }
+  engineOptions.manualTick = true;
+
+  this._engine = new wcPlay(engineOptions);
+  this._activations = [];
+  this._exits = [];
+  this._assertions = [];
+  this._hostEvents = {};
+
+  var self = this;
+  this._engine.on(wcPlay.EVENT.NODE_ACTIVATED, function(event) {
+    self._activations.push({node: event.node, name: event.name, time: self._engine.now()});
+  });
+  this._engine.on(wcPlay.EVENT.EXIT_ACTIVATED, function(event) {
+    // Entry nodes are activated directly instead of through an entry link, so they are recorded as they continue their chain.
+    if (event.node.nodeType === wcPlay.NODE.ENTRY) {
+      self._activations.push({node: event.node, name: '', time: self._engine.now()});
+    }
+    self._exits.push({node: event.node, name: event.name, time: self._engine.now()});
+  });
+  this._engine.on(wcPlay.EVENT.ASSERTION, function(event) {
+    self._assertions.push({node: event.node, passed: event.passed, message: event.message});
+  });
+
+  if (typeof saveData !== 'string') {
+    saveData = JSON.stringify(saveData);
+  }
+  if (!this._engine.load(saveData)) {
+    this._engine.destroy();
+    throw new Error('Failed to load the script to test.');
+  }
+}
+
+wcPlayTester.prototype = {
+  /**
+   * Retrieves the engine running the script.
+   * @function wcPlayTester#engine
+   * @returns {wcPlay} - The engine.
+   */
+  engine: function() {
+    return this._engine;
+  },
+
+  /**
+   * Finds a node of the script, including those inside composite nodes.
+   * @function wcPlayTester#node
+   * @param {wcPlayTester~Target} target - The node to find.
+   * @returns {wcNode} - The node.
+   * @throws {Error} - If no node matches the target.
+   */
+  node: function(target) {
+    if (target && typeof target === 'object' && typeof target.instanceOf === 'function') {
+      return target;
+    }
+
+    var node = null;
+    if (typeof target === 'number') {
+      node = this._engine.nodeById(target);
+    } else if (typeof target === 'string') {
+      var nodes = this._engine.__allNodes(this._engine);
+      node = this._engine.nodeById(target) || nodes.filter(function(item) {
+        return item.name === target;
+      })[0] || nodes.filter(function(item) {
+        return item.type === target;
+      })[0] || null;
+    }
+
+    if (!node) {
+      throw new Error('No node matches ' + JSON.stringify(target) + '.');
+    }
+    return node;
+  },
+
+  /**
+   * Replaces what a node does when it is activated, so the test does not depend on it. Every activation of the stub is recorded.
+   * @function wcPlayTester#stub
+   * @param {wcPlayTester~Target} target - The node to stub.
+   * @param {wcPlayTester~StubBehavior|wcPlayTester~StubFunction} [behavior] - What the stub does when activated. By default, it only activates its "out" exit link.
+   * @returns {wcPlayTester~Stub} - The stub, with the calls made to it so far.
+   */
+  stub: function(target, behavior) {
+    var node = this.node(target);
+    var engine = this._engine;
+    var stub = {node: node, calls: []};
+
+    node.onActivated = function(name) {
+      var properties = {};
+      for (var i = 0; i < node.properties.length; ++i) {
+        properties[node.properties[i].name] = wcPlay.copyValue(node.properties[i].value);
+      }
+      stub.calls.push({name: name, time: engine.now(), properties: properties});
+
+      var result = typeof behavior === 'function'? behavior.call(node, name, properties): behavior;
+      result = result || {};
+
+      for (var prop in result.properties) {
+        node.property(prop, result.properties[prop], true);
+      }
+
+      var exit = Object.prototype.hasOwnProperty.call(result, 'exit')? result.exit: 'out';
+      if (!exit || !node.activateExit(exit)) {
+        node.finishFlow();
+      }
+    };
+    return stub;
+  },
+
+  /**
+   * Handles a host event sent by the script, such as from an [Emit Host Event]{@link wcNodeProcessEmitHostEvent} node, in place of the host application. The payload of each event is recorded.
+   * @function wcPlayTester#stubHostEvent
+   * @param {string} name - The name of the event.
+   * @param {wcPlay~ScriptEventHandler|Object} [result] - A handler for the event, or the result to give back to the script.
+   */
+  stubHostEvent: function(name, result) {
+    var payloads = this._hostEvents[name] = this._hostEvents[name] || [];
+    this._engine.onScriptEvent(name, function(payload, event) {
+      payloads.push(wcPlay.copyValue(payload));
+      return typeof result === 'function'? result.call(this, payload, event): result;
+    });
+  },
+
+  /**
+   * Retrieves the payloads of a host event that was [stubbed]{@link wcPlayTester#stubHostEvent}, in the order the script sent them.
+   * @function wcPlayTester#hostEvents
+   * @param {string} name - The name of the event.
+   * @returns {Object[]} - The payloads.
+   */
+  hostEvents: function(name) {
+    return (this._hostEvents[name] || []).slice();
+  },
+
+  /**
+   * Gets, or Sets, a global property of the script. The property is created if it does not exist,
+   * and setting it before the script is started also sets its initial value, so starting the script keeps it.
+   * @function wcPlayTester#global
+   * @param {string} name - The name of the property.
+   * @param {Object} [value] - If supplied, will assign a new value to the property.
+   * @returns {Object} - The current value of the property.
+   */
+  global: function(name, value) {
+    var engine = this._engine;
+    if (value !== undefined) {
+      var exists = engine.listProperties().some(function(prop) {
+        return prop.name === name;
+      });
+      if (exists) {
+        engine.property(name, value);
+      } else {
+        engine.createProperty(name, wcPlay.PROPERTY.DYNAMIC, value);
+      }
+      if (!engine.isRunning()) {
+        engine.initialProperty(name, value);
+      }
+    }
+    return engine.property(name);
+  },
+
+  /**
+   * Starts the script, which activates its [Start]{@link wcNodeEntryStart} nodes.
+   * @function wcPlayTester#start
+   */
+  start: function() {
+    this._engine.start();
+  },
+
+  /**
+   * Triggers an event into the script, see {@link wcPlay#triggerEvent}. The chains it starts only run as time is [advanced]{@link wcPlayTester#advance}.
+   * @function wcPlayTester#trigger
+   * @param {string} type - The type name of the entry nodes to trigger.
+   * @param {wcPlay~TriggerEventOptions} [options] - Optional parameters.
+   * @returns {Promise.<number>} - Resolves once all chains started by the event have executed completely, with the number of entry nodes that were triggered.
+   */
+  trigger: function(type, options) {
+    return this._engine.triggerEvent(type, options);
+  },
+
+  /**
+   * Advances the script's clock, one update at a time. Pending promises, such as those of stubbed host events, are given the chance to resolve between each update.
+   * @function wcPlayTester#advance
+   * @param {number} [ms] - The time to advance, in milliseconds. If not supplied, only timed events that are already due are run.
+   * @returns {Promise.<wcPlayTester>} - Resolves once the time has passed, or rejects with any error thrown by the script.
+   */
+  advance: function(ms) {
+    var self = this;
+    var engine = this._engine;
+    var updateRate = engine._options.updateRate;
+    var endTime = engine.now() + Math.max(ms || 0, 0);
+
+    return new Promise(function(resolve, reject) {
+      function step() {
+        try {
+          engine.tick(Math.min(endTime - engine.now(), updateRate));
+        } catch (err) {
+          reject(err);
+          return;
+        }
+
+        if (engine.now() >= endTime) {
+          resolve(self);
+        } else {
+          setTimeout(step, 0);
+        }
+      }
+      setTimeout(step, 0);
+    });
+  },
+
+  /**
+   * Retrieves every node activation recorded so far, in the order they happened. Entry nodes are recorded each time they activate an exit link, without a link name.
+   * @function wcPlayTester#activations
+   * @returns {wcPlayTester~Activation[]} - The activations.
+   */
+  activations: function() {
+    return this._activations.slice();
+  },
+
+  /**
+   * Retrieves every exit link activation recorded so far, in the order they happened.
+   * @function wcPlayTester#exits
+   * @returns {wcPlayTester~Activation[]} - The activations.
+   */
+  exits: function() {
+    return this._exits.slice();
+  },
+
+  /**
+   * Retrieves every assertion made by the script so far, in the order they happened.
+   * @function wcPlayTester#assertions
+   * @returns {wcPlayTester~Assertion[]} - The assertions.
+   */
+  assertions: function() {
+    return this._assertions.slice();
+  },
+
+  /**
+   * Forgets all activations, exits, assertions, and host events recorded so far.
+   * @function wcPlayTester#clearRecords
+   */
+  clearRecords: function() {
+    this._activations = [];
+    this._exits = [];
+    this._assertions = [];
+    for (var name in this._hostEvents) {
+      this._hostEvents[name].length = 0;
+    }
+  },
+
+  /**
+   * Expects a property of a node to have a value, arrays and objects must contain the same items.
+   * @function wcPlayTester#expectProperty
+   * @param {wcPlayTester~Target} target - The node.
+   * @param {string} name - The name of the property.
+   * @param {Object} expected - The expected value.
+   * @throws {Error} - If the value is different.
+   */
+  expectProperty: function(target, name, expected) {
+    var node = this.node(target);
+    var actual = node.property(name);
+    if (!this.__equal(actual, expected)) {
+      throw new Error('Expected property "' + name + '" of ' + this.__label(node) + ' to be ' + JSON.stringify(expected) + ', but it was ' + JSON.stringify(actual) + '.');
+    }
+  },
+
+  /**
+   * Expects a global property of the script to have a value, arrays and objects must contain the same items.
+   * @function wcPlayTester#expectGlobal
+   * @param {string} name - The name of the property.
+   * @param {Object} expected - The expected value.
+   * @throws {Error} - If the value is different.
+   */
+  expectGlobal: function(name, expected) {
+    var actual = this._engine.property(name);
+    if (!this.__equal(actual, expected)) {
+      throw new Error('Expected global property "' + name + '" to be ' + JSON.stringify(expected) + ', but it was ' + JSON.stringify(actual) + '.');
+    }
+  },
+
+  /**
+   * Expects an exit link of a node to have been activated.
+   * @function wcPlayTester#expectExit
+   * @param {wcPlayTester~Target} target - The node.
+   * @param {string} name - The name of the exit link.
+   * @param {number} [times] - The exact number of times it should have been activated. If not supplied, at least once.
+   * @throws {Error} - If the exit link was not activated as expected.
+   */
+  expectExit: function(target, name, times) {
+    var node = this.node(target);
+    var count = this._exits.filter(function(item) {
+      return item.node === node && item.name === name;
+    }).length;
+
+    var expected = typeof times === 'number';
+    if (expected? count !== times: !count) {
+      throw new Error('Expected exit link "' + name + '" of ' + this.__label(node) + ' to be activated ' +
+        (expected? times + ' time(s)': 'at least once') + ', but it was activated ' + count + ' time(s).');
+    }
+  },
+
+  /**
+   * Expects an exit link of a node to never have been activated.
+   * @function wcPlayTester#expectNoExit
+   * @param {wcPlayTester~Target} target - The node.
+   * @param {string} name - The name of the exit link.
+   * @throws {Error} - If the exit link was activated.
+   */
+  expectNoExit: function(target, name) {
+    this.expectExit(target, name, 0);
+  },
+
+  /**
+   * Expects nodes to have been activated in an order. Other nodes may be activated in between, and each node may also be activated at other times.
+   * @function wcPlayTester#expectOrder
+   * @param {wcPlayTester~Target[]} targets - The nodes, in the order they are expected to be activated.
+   * @throws {Error} - If the nodes were not activated in that order.
+   */
+  expectOrder: function(targets) {
+    var self = this;
+    var nodes = targets.map(function(target) {
+      return self.node(target);
+    });
+
+    var index = 0;
+    for (var i = 0; i < this._activations.length && index < nodes.length; ++i) {
+      if (this._activations[i].node === nodes[index]) {
+        index++;
+      }
+    }
+
+    if (index < nodes.length) {
+      var activated = this._activations.filter(function(item) {
+        return nodes.indexOf(item.node) > -1;
+      }).map(function(item) {
+        return self.__label(item.node);
+      });
+      throw new Error('Expected nodes to be activated in the order ' + nodes.map(this.__label).join(', ') + ', but they were activated as ' + (activated.join(', ') || 'nothing') + '.');
+    }
+  },
+
+  /**
+   * Expects every assertion made by the script to have passed.
+   * @function wcPlayTester#expectNoFailures
+   * @throws {Error} - If any assertion failed, listing each of them.
+   */
+  expectNoFailures: function() {
+    var self = this;
+    var failures = this._assertions.filter(function(item) {
+      return !item.passed;
+    });
+
+    if (failures.length) {
+      throw new Error(failures.length + ' assertion(s) failed: ' + failures.map(function(item) {
+        return self.__label(item.node) + (item.message? ' (' + item.message + ')': '');
+      }).join(', ') + '.');
+    }
+  },
+
+  /**
+   * Destroys the engine running the script, the tester can not be used afterwards.
+   * @function wcPlayTester#destroy
+   */
+  destroy: function() {
+    this._engine.destroy();
+    this._engine = null;
+  },
+
+  /**
+   * Compares two values, arrays and objects must contain the same items.
+   * @function wcPlayTester#__equal
+   * @private
+   * @param {Object} a - The first value.
+   * @param {Object} b - The second value.
+   * @returns {boolean} - Whether the values are equal.
+   */
+  __equal: function(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+  },
+
+  /**
+   * Describes a node for a failed expectation.
+   * @function wcPlayTester#__label
+   * @private
+   * @param {wcNode} node - The node.
+   * @returns {string} - The description.
+   */
+  __label: function(node) {
+    return node.type + (node.name? ' "' + node.name + '"': '') + ' #' + node.id;
+  }
+};
@@ -0,0 +1,493 @@
+'use strict';
+
+/**
+ * The built in data types that a property can hold. Custom data types can be added with {@link wcPlay.registerDataType}.<br>
+ * Unlike [property types]{@link wcPlay.PROPERTY}, which determine how a property is displayed in the editor,
+ * data types determine what values a property holds and which properties can be chained together.
+ * @enum {string}
+ */
+wcPlay.DATA_TYPE = {
+  /** Any value at all, chains to and from any other data type without conversion. */
+  ANY: 'any',
+  /** A number value. */
+  NUMBER: 'number',
+  /** A whole number value, this is also a [NUMBER]{@link wcPlay.DATA_TYPE}. */
+  INTEGER: 'integer',
+  /** A string value. */
+  STRING: 'string',
+  /** A boolean value. */
+  BOOLEAN: 'boolean',
+  /** An object value (but not an array or null). */
+  OBJECT: 'object',
+  /** An array value. */
+  ARRAY: 'array'
+};
+
+/**
+ * Determines how the script treats a chain between properties whose data types are [incompatible]{@link wcPlay.TYPE_COMPATIBILITY}, see [typeChecking]{@link wcPlay~Options}.
+ * @enum {string}
+ */
+wcPlay.TYPE_CHECK = {
+  /** Data types are not checked. */
+  NONE: 'none',
+  /** Incompatible chains are allowed, but a warning is logged and the editor draws them as a warning. */
+  WARN: 'warn',
+  /** Incompatible chains are refused with [INCOMPATIBLE]{@link wcNode.CONNECT_RESULT}. */
+  STRICT: 'strict'
+};
+
+/**
+ * The result of testing whether the value of one data type can be given to another, see {@link wcPlay.typeCompatibility}.
+ * @enum {string}
+ */
+wcPlay.TYPE_COMPATIBILITY = {
+  /** Values can be given as is. */
+  COMPATIBLE: 'compatible',
+  /** Values are changed by a declared conversion. */
+  CONVERTED: 'converted',
+  /** Values are changed by a declared conversion that may lose information, such as a number to an integer. */
+  LOSSY: 'lossy',
+  /** There is no way to convert the values. */
+  INCOMPATIBLE: 'incompatible'
+};
+
+/**
+ * A global list of data types that exist, keyed by name.
+ * @member
+ */
+wcPlay.DATA_TYPE_LIBRARY = {};
+
+/**
+ * A global list of declared conversions between data types, keyed by the name of the data type being converted from, and then by the name of the data type being converted to.
+ * @member
+ */
+wcPlay.CONVERSION_LIBRARY = {};
+
+/**
+ * A global function that registers a new data type, or replaces an existing one.
+ * @param {string} name - The name of the data type.
+ * @param {wcPlay~DataTypeOptions} options - The options that define the data type.
+ * @returns {boolean} - Success or failure.
+ */
+wcPlay.registerDataType = function(name, options) {
+  if (!options || typeof options.test !== 'function') {
+    /* eslint-disable no-console */
+    console.error('wcPlay ERROR: Failed to register data type "' + name + '", a test function is required!');
+    /* eslint-enable no-console */
+    return false;
+  }
+
+  wcPlay.DATA_TYPE_LIBRARY[name] = {
+    name: name,
+    test: options.test,
+    parent: options.parent || null,
+    color: options.color || '#33CC33',
+    description: options.description || ''
+  };
+  return true;
+};
+
+/**
+ * A global function that declares how values of one data type can be converted into another.<br>
+ * Values are converted automatically when they are assigned to a property that declares its data type, and properties with a declared conversion between them can be chained together.
+ * @param {string} fromType - The data type being converted from. The conversion is also used for any data type that inherits from this one.
+ * @param {string} toType - The data type being converted to.
+ * @param {wcPlay~ConvertFunc} convert - The function that converts the value.
+ * @param {boolean} [lossy] - If true, the conversion may lose information.
+ * @returns {boolean} - Success or failure.
+ */
+wcPlay.registerConversion = function(fromType, toType, convert, lossy) {
+  if (typeof convert !== 'function') {
+    return false;
+  }
+
+  if (!wcPlay.CONVERSION_LIBRARY[fromType]) {
+    wcPlay.CONVERSION_LIBRARY[fromType] = {};
+  }
+  wcPlay.CONVERSION_LIBRARY[fromType][toType] = {
+    convert: convert,
+    lossy: Boolean(lossy)
+  };
+  return true;
+};
+
+/**
+ * A global function that retrieves the default data type for a property that did not specify one, based on its [property type]{@link wcPlay.PROPERTY}.
+ * @param {wcPlay.PROPERTY} type - The property type.
+ * @returns {wcPlay.DATA_TYPE} - The default data type.
+ */
+wcPlay.defaultDataType = function(type) {
+  switch (type) {
+    case wcPlay.PROPERTY.TOGGLE:
+      return wcPlay.DATA_TYPE.BOOLEAN;
+    case wcPlay.PROPERTY.NUMBER:
+      return wcPlay.DATA_TYPE.NUMBER;
+    case wcPlay.PROPERTY.STRING:
+      return wcPlay.DATA_TYPE.STRING;
+    case wcPlay.PROPERTY.ARRAY:
+      return wcPlay.DATA_TYPE.ARRAY;
+    case wcPlay.PROPERTY.OBJECT:
+      return wcPlay.DATA_TYPE.OBJECT;
+    default:
+      return wcPlay.DATA_TYPE.ANY;
+  }
+};
+
+/**
+ * A global function that retrieves whether a data type is, or inherits from, another.
+ * @param {string} type - The data type to test.
+ * @param {string} baseType - The data type it may inherit from.
+ * @returns {boolean} - True if the data type is, or inherits from, the base type.
+ */
+wcPlay.isDataTypeOf = function(type, baseType) {
+  while (type) {
+    if (type === baseType) {
+      return true;
+    }
+    type = wcPlay.DATA_TYPE_LIBRARY[type] && wcPlay.DATA_TYPE_LIBRARY[type].parent;
+  }
+  return false;
+};
+
+/**
+ * A global function that retrieves the most specific data type of a value, for example an integer value is an [INTEGER]{@link wcPlay.DATA_TYPE} rather than a NUMBER.
+ * @param {Object} value - The value.
+ * @returns {string} - The data type of the value, or [ANY]{@link wcPlay.DATA_TYPE} if it matches no other type.
+ */
+wcPlay.dataTypeOf = function(value) {
+  var result = wcPlay.DATA_TYPE.ANY;
+  var resultDepth = -1;
+  for (var name in wcPlay.DATA_TYPE_LIBRARY) {
+    var dataType = wcPlay.DATA_TYPE_LIBRARY[name];
+    if (name === wcPlay.DATA_TYPE.ANY || !dataType.test(value)) {
+      continue;
+    }
+
+    // Prefer the data type that is furthest down the inheritance tree.
+    var depth = 0;
+    var parent = dataType.parent;
+    while (parent && wcPlay.DATA_TYPE_LIBRARY[parent]) {
+      depth++;
+      parent = wcPlay.DATA_TYPE_LIBRARY[parent].parent;
+    }
+    if (depth > resultDepth) {
+      result = name;
+      resultDepth = depth;
+    }
+  }
+  return result;
+};
+
+/**
+ * A global function that finds the declared conversion from one data type to another, including those declared for any data types it inherits from.
+ * @param {string} fromType - The data type being converted from.
+ * @param {string} toType - The data type being converted to.
+ * @returns {Object|null} - The conversion, or null if none exists.
+ */
+wcPlay.findConversion = function(fromType, toType) {
+  while (fromType) {
+    var conversions = wcPlay.CONVERSION_LIBRARY[fromType];
+    if (conversions && conversions[toType]) {
+      return conversions[toType];
+    }
+    fromType = wcPlay.DATA_TYPE_LIBRARY[fromType] && wcPlay.DATA_TYPE_LIBRARY[fromType].parent;
+  }
+  return null;
+};
+
+/**
+ * A global function that retrieves whether values of one data type can be given to another.
+ * @param {string} fromType - The data type of the property output.
+ * @param {string} toType - The data type of the property input.
+ * @returns {wcPlay.TYPE_COMPATIBILITY} - The compatibility.
+ */
+wcPlay.typeCompatibility = function(fromType, toType) {
+  fromType = fromType || wcPlay.DATA_TYPE.ANY;
+  toType = toType || wcPlay.DATA_TYPE.ANY;
+
+  // The 'any' type can not be known until the script runs, so it is always accepted.
+  if (fromType === wcPlay.DATA_TYPE.ANY || toType === wcPlay.DATA_TYPE.ANY || wcPlay.isDataTypeOf(fromType, toType)) {
+    return wcPlay.TYPE_COMPATIBILITY.COMPATIBLE;
+  }
+
+  var conversion = wcPlay.findConversion(fromType, toType);
+  if (conversion) {
+    return conversion.lossy? wcPlay.TYPE_COMPATIBILITY.LOSSY: wcPlay.TYPE_COMPATIBILITY.CONVERTED;
+  }
+  return wcPlay.TYPE_COMPATIBILITY.INCOMPATIBLE;
+};
+
+/**
+ * A global function that converts a value into a data type, using the [declared conversions]{@link wcPlay.registerConversion}.
+ * @param {Object} value - The value to convert.
+ * @param {string} toType - The data type to convert to.
+ * @returns {Object} - The converted value, or the original value if it is already of that type or there is no way to convert it.
+ */
+wcPlay.convertValue = function(value, toType) {
+  var dataType = wcPlay.DATA_TYPE_LIBRARY[toType];
+  if (!dataType || toType === wcPlay.DATA_TYPE.ANY || dataType.test(value)) {
+    return value;
+  }
+
+  var conversion = wcPlay.findConversion(wcPlay.dataTypeOf(value), toType);
+  if (conversion) {
+    return conversion.convert(value);
+  }
+  return value;
+};
+
+/**
+ * A global function that compares two values as a data type, both values are [converted]{@link wcPlay.convertValue} to that type first.<br>
+ * Numbers and booleans are compared numerically, strings alphabetically, and any other type can only be equal or not.
+ * @param {Object} a - The first value.
+ * @param {Object} b - The second value.
+ * @param {string} [dataType] - The data type to compare as, if omitted the [data type]{@link wcPlay.dataTypeOf} of the first value is used.
+ * @returns {number} - Negative if a is less than b, positive if a is greater than b, 0 if they are equal, or NaN if they are not equal and can not be ordered.
+ */
+wcPlay.compareValues = function(a, b, dataType) {
+  dataType = dataType || wcPlay.dataTypeOf(a);
+  a = wcPlay.convertValue(a, dataType);
+  b = wcPlay.convertValue(b, dataType);
+
+  if (wcPlay.isDataTypeOf(dataType, wcPlay.DATA_TYPE.NUMBER) || dataType === wcPlay.DATA_TYPE.BOOLEAN) {
+    a = Number(a);
+    b = Number(b);
+    return a === b? 0: a - b;
+  }
+
+  if (dataType === wcPlay.DATA_TYPE.STRING) {
+    a = String(a);
+    b = String(b);
+    if (a === b) {
+      return 0;
+    }
+    return a < b? -1: 1;
+  }
+
+  return JSON.stringify(a) === JSON.stringify(b)? 0: NaN;
+};
+
+/**
+ * A global function that makes a deep copy of a value, so that arrays and objects can be changed without affecting the original.
+ * @param {Object} value - The value to copy.
+ * @returns {Object} - The copied value, values that are not arrays or objects are returned as they are.
+ */
+wcPlay.copyValue = function(value) {
+  var result = null;
+  if (Array.isArray(value)) {
+    result = [];
+    for (var i = 0; i < value.length; ++i) {
+      result.push(wcPlay.copyValue(value[i]));
+    }
+    return result;
+  }
+
+  if (typeof value === 'object' && value !== null) {
+    result = {};
+    for (var key in value) {
+      if (Object.prototype.hasOwnProperty.call(value, key)) {
+        result[key] = wcPlay.copyValue(value[key]);
+      }
+    }
+    return result;
+  }
+  return value;
+};
+
+/**
+ * A global function that retrieves the color used to draw chains of a data type.
+ * @param {string} type - The data type.
+ * @returns {string} - The color.
+ */
+wcPlay.dataTypeColor = function(type) {
+  var dataType = wcPlay.DATA_TYPE_LIBRARY[type] || wcPlay.DATA_TYPE_LIBRARY[wcPlay.DATA_TYPE.ANY];
+  return dataType.color;
+};
+
+/**
+ * A global function that retrieves the [property type]{@link wcPlay.PROPERTY} used to display a property of a data type, the opposite of {@link wcPlay.defaultDataType}.
+ * @param {string} type - The data type.
+ * @returns {wcPlay.PROPERTY} - The property type.
+ */
+wcPlay.propertyTypeOf = function(type) {
+  if (wcPlay.isDataTypeOf(type, wcPlay.DATA_TYPE.NUMBER)) {
+    return wcPlay.PROPERTY.NUMBER;
+  }
+
+  switch (type) {
+    case wcPlay.DATA_TYPE.STRING:
+      return wcPlay.PROPERTY.STRING;
+    case wcPlay.DATA_TYPE.BOOLEAN:
+      return wcPlay.PROPERTY.TOGGLE;
+    case wcPlay.DATA_TYPE.ARRAY:
+      return wcPlay.PROPERTY.ARRAY;
+    case wcPlay.DATA_TYPE.OBJECT:
+      return wcPlay.PROPERTY.OBJECT;
+    default:
+      return wcPlay.PROPERTY.DYNAMIC;
+  }
+};
+
+/**
+ * A global function that retrieves the value a property of a data type starts with when no other value is given, such as 0 for numbers.
+ * @param {string} type - The data type.
+ * @returns {Object} - The default value.
+ */
+wcPlay.defaultValueOf = function(type) {
+  switch (wcPlay.propertyTypeOf(type)) {
+    case wcPlay.PROPERTY.NUMBER:
+      return 0;
+    case wcPlay.PROPERTY.TOGGLE:
+      return false;
+    case wcPlay.PROPERTY.ARRAY:
+      return [];
+    case wcPlay.PROPERTY.OBJECT:
+      return {};
+    default:
+      return '';
+  }
+};
+
+/**
+ * A global function that parses a comma separated list of "name:type" pairs typed in by the user, such as "player:string, score:number", for nodes that create a property for each.<br>
+ * Pairs without a type are given the [ANY]{@link wcPlay.DATA_TYPE} data type, as are pairs with a data type that has not been registered.
+ * @param {string} list - The list to parse.
+ * @param {string[]} [reservedNames] - Names that can not be used, pairs with these names are skipped.
+ * @returns {wcPlay~TypedName[]} - The parsed pairs, in order and without duplicate names.
+ */
+wcPlay.parseTypedNames = function(list, reservedNames) {
+  var result = [];
+  var names = [];
+  var pairs = String(list || '').split(',');
+  for (var i = 0; i < pairs.length; ++i) {
+    var parts = pairs[i].split(':');
+    var name = parts[0].trim();
+    var declaredType = (parts[1] || '').trim() || wcPlay.DATA_TYPE.ANY;
+    if (!name || names.indexOf(name) > -1 || (reservedNames && reservedNames.indexOf(name) > -1)) {
+      continue;
+    }
+
+    names.push(name);
+    result.push({
+      name: name,
+      type: wcPlay.DATA_TYPE_LIBRARY[declaredType]? declaredType: wcPlay.DATA_TYPE.ANY,
+      declaredType: declaredType
+    });
+  }
+  return result;
+};
+
+// Built in data types.
+wcPlay.registerDataType(wcPlay.DATA_TYPE.ANY, {
+  color: '#33CC33',
+  description: 'Any value.',
+  test: function() {
+    return true;
+  }
+});
+wcPlay.registerDataType(wcPlay.DATA_TYPE.NUMBER, {
+  color: '#3399FF',
+  description: 'A number.',
+  test: function(value) {
+    return typeof value === 'number' && !isNaN(value);
+  }
+});
+wcPlay.registerDataType(wcPlay.DATA_TYPE.INTEGER, {
+  parent: wcPlay.DATA_TYPE.NUMBER,
+  color: '#33CCCC',
+  description: 'A whole number.',
+  test: function(value) {
+    return typeof value === 'number' && Math.floor(value) === value;
+  }
+});
+wcPlay.registerDataType(wcPlay.DATA_TYPE.STRING, {
+  color: '#CC66CC',
+  description: 'A string.',
+  test: function(value) {
+    return typeof value === 'string';
+  }
+});
+wcPlay.registerDataType(wcPlay.DATA_TYPE.BOOLEAN, {
+  color: '#FF9933',
+  description: 'A boolean.',
+  test: function(value) {
+    return typeof value === 'boolean';
+  }
+});
+wcPlay.registerDataType(wcPlay.DATA_TYPE.OBJECT, {
+  color: '#9966FF',
+  description: 'An object.',
+  test: function(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+});
+wcPlay.registerDataType(wcPlay.DATA_TYPE.ARRAY, {
+  color: '#FF66AA',
+  description: 'An array.',
+  test: function(value) {
+    return Array.isArray(value);
+  }
+});
+
+// Built in conversions.
+(function() {
+  var TYPE = wcPlay.DATA_TYPE;
+
+  function __toString(value) {
+    return String(value);
+  }
+  function __toJSON(value) {
+    return JSON.stringify(value);
+  }
+  function __parseNumber(value) {
+    var num = parseFloat(value);
+    return isNaN(num)? 0: num;
+  }
+  function __parseJSON(type, fallback) {
+    return function(value) {
+      try {
+        var result = JSON.parse(value);
+        if (wcPlay.DATA_TYPE_LIBRARY[type].test(result)) {
+          return result;
+        }
+      } catch (err) {
+        // Not valid JSON, use the fallback value instead.
+      }
+      return fallback();
+    };
+  }
+
+  wcPlay.registerConversion(TYPE.NUMBER, TYPE.INTEGER, function(value) {
+    return Math.round(value);
+  }, true);
+  wcPlay.registerConversion(TYPE.NUMBER, TYPE.STRING, __toString);
+  wcPlay.registerConversion(TYPE.NUMBER, TYPE.BOOLEAN, function(value) {
+    return value !== 0;
+  }, true);
+
+  wcPlay.registerConversion(TYPE.STRING, TYPE.NUMBER, __parseNumber, true);
+  wcPlay.registerConversion(TYPE.STRING, TYPE.INTEGER, function(value) {
+    return Math.round(__parseNumber(value));
+  }, true);
+  wcPlay.registerConversion(TYPE.STRING, TYPE.BOOLEAN, function(value) {
+    var str = value.trim().toLowerCase();
+    return str !== '' && str !== 'false' && str !== '0';
+  }, true);
+  wcPlay.registerConversion(TYPE.STRING, TYPE.OBJECT, __parseJSON(TYPE.OBJECT, function() {
+    return {};
+  }), true);
+  wcPlay.registerConversion(TYPE.STRING, TYPE.ARRAY, __parseJSON(TYPE.ARRAY, function() {
+    return [];
+  }), true);
+
+  wcPlay.registerConversion(TYPE.BOOLEAN, TYPE.NUMBER, function(value) {
+    return value? 1: 0;
+  });
+  wcPlay.registerConversion(TYPE.BOOLEAN, TYPE.INTEGER, function(value) {
+    return value? 1: 0;
+  });
+  wcPlay.registerConversion(TYPE.BOOLEAN, TYPE.STRING, __toString);
+
+  wcPlay.registerConversion(TYPE.OBJECT, TYPE.STRING, __toJSON);
+  wcPlay.registerConversion(TYPE.ARRAY, TYPE.STRING, __toJSON);
+})();
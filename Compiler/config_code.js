@@ -63,6 +63,10 @@ concat({
   src: [
     '../Code/class.js',
     '../Code/play.js',
+    '../Code/schema.js',
+    '../Code/types.js',
+    '../Code/expression.js',
+    '../Code/diff.js',
     '../Code/nodes/node.js',
     '../Code/nodes/entry.js',
     '../Code/nodes/process.js',
@@ -84,14 +88,41 @@ concat({
     '../Code/nodes/entry/interval.js',
     '../Code/nodes/entry/remote.js',
     '../Code/nodes/entry/callremote.js',
+    '../Code/nodes/entry/customevent.js',
+    '../Code/nodes/entry/functiondefinition.js',
     '../Code/nodes/process/delay.js',
     '../Code/nodes/process/operation.js',
+    '../Code/nodes/process/expression.js',
     '../Code/nodes/process/strcat.js',
     '../Code/nodes/process/ajax.js',
     '../Code/nodes/process/fetch.js',
+    '../Code/nodes/process/collection.js',
+    '../Code/nodes/process/foreach.js',
+    '../Code/nodes/process/map.js',
+    '../Code/nodes/process/filter.js',
+    '../Code/nodes/process/reduce.js',
+    '../Code/nodes/process/if.js',
+    '../Code/nodes/process/compare.js',
+    '../Code/nodes/process/switch.js',
+    '../Code/nodes/process/logic.js',
+    '../Code/nodes/process/sequence.js',
+    '../Code/nodes/process/gate.js',
+    '../Code/nodes/process/doonce.js',
+    '../Code/nodes/process/flipflop.js',
+    '../Code/nodes/process/waitall.js',
+    '../Code/nodes/process/getlocalvariable.js',
+    '../Code/nodes/process/setlocalvariable.js',
+    '../Code/nodes/process/emithostevent.js',
+    '../Code/nodes/process/functionreference.js',
+    '../Code/nodes/process/callfunction.js',
+    '../Code/nodes/process/return.js',
+    '../Code/nodes/process/assertion.js',
+    '../Code/nodes/process/assert.js',
+    '../Code/nodes/process/assertequal.js',
     '../Code/nodes/process/consolelog.js',
     '../Code/nodes/process/alert.js',
     '../Code/nodes/storage/global.js',
+    '../Code/nodes/storage/localvariable.js',
     '../Code/nodes/storage/string.js',
     '../Code/nodes/storage/number.js',
     '../Code/nodes/storage/toggle.js'
@@ -114,6 +145,14 @@ concat({
   dest: '../Build/wcPlayEditor.css'
 });
 
+// Headless test harness.
+concat({
+  src: [
+    '../Code/tester.js'
+  ],
+  dest: '../Build/wcPlayTester.js'
+});
+
 // Combine the example nodes.
 concat({
   src: [
@@ -124,6 +163,10 @@ concat({
   dest: '../Build/wcPlayExampleNodes.js'
 });
 
+// Publish the script format schema.
+_fs.writeFileSync('../Build/wcPlay.schema.json', JSON.stringify(require('../index.js').wcPlay.SCHEMA, null, 2));
+console.log(' ../Build/wcPlay.schema.json built.');
+
 // Now minify them.
 uglifyJS('../Build/wcPlay.js', '../Build/wcPlay.min.js');
 uglifyJS('../Build/wcPlayNodes.js', '../Build/wcPlayNodes.min.js');
@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * Headless Node.js entry point for wcPlay.
+ * The engine and node sources are written as browser scripts that share globals, so they are
+ * evaluated in the global context in the same order as the build, without needing a window, DOM, or jQuery.
+ *
+ * @example
+ * var wcPlay = require('webcabin-play').wcPlay;
+ * var myScript = new wcPlay({silent: true});
+ * myScript.load(saveData);
+ * myScript.start();
+ * // The engine updates on a timer, destroy it when finished so the process can exit.
+ * myScript.destroy();
+ */
+
+var _fs   = require('fs');
+var _path = require('path');
+var _vm   = require('vm');
+
+// Main script engine and core nodes, followed by the common nodes, in the same order as the build.
+var FILES = [
+  'Code/class.js',
+  'Code/play.js',
+  'Code/schema.js',
+  'Code/types.js',
+  'Code/expression.js',
+  'Code/diff.js',
+  'Code/nodes/node.js',
+  'Code/nodes/entry.js',
+  'Code/nodes/process.js',
+  'Code/nodes/storage.js',
+  'Code/nodes/composite.js',
+  'Code/nodes/composite/compositescript.js',
+  'Code/nodes/composite/compositeentry.js',
+  'Code/nodes/composite/compositeexit.js',
+  'Code/nodes/composite/compositeproperty.js',
+
+  'Code/nodes/entry/start.js',
+  'Code/nodes/entry/update.js',
+  'Code/nodes/entry/interval.js',
+  'Code/nodes/entry/remote.js',
+  'Code/nodes/entry/callremote.js',
+  'Code/nodes/entry/customevent.js',
+  'Code/nodes/entry/functiondefinition.js',
+  'Code/nodes/process/delay.js',
+  'Code/nodes/process/operation.js',
+  'Code/nodes/process/expression.js',
+  'Code/nodes/process/strcat.js',
+  'Code/nodes/process/ajax.js',
+  'Code/nodes/process/fetch.js',
+  'Code/nodes/process/collection.js',
+  'Code/nodes/process/foreach.js',
+  'Code/nodes/process/map.js',
+  'Code/nodes/process/filter.js',
+  'Code/nodes/process/reduce.js',
+  'Code/nodes/process/if.js',
+  'Code/nodes/process/compare.js',
+  'Code/nodes/process/switch.js',
+  'Code/nodes/process/logic.js',
+  'Code/nodes/process/sequence.js',
+  'Code/nodes/process/gate.js',
+  'Code/nodes/process/doonce.js',
+  'Code/nodes/process/flipflop.js',
+  'Code/nodes/process/waitall.js',
+  'Code/nodes/process/getlocalvariable.js',
+  'Code/nodes/process/setlocalvariable.js',
+  'Code/nodes/process/emithostevent.js',
+  'Code/nodes/process/functionreference.js',
+  'Code/nodes/process/callfunction.js',
+  'Code/nodes/process/return.js',
+  'Code/nodes/process/assertion.js',
+  'Code/nodes/process/assert.js',
+  'Code/nodes/process/assertequal.js',
+  'Code/nodes/process/consolelog.js',
+  'Code/nodes/process/alert.js',
+  'Code/nodes/storage/global.js',
+  'Code/nodes/storage/localvariable.js',
+  'Code/nodes/storage/string.js',
+  'Code/nodes/storage/number.js',
+  'Code/nodes/storage/toggle.js',
+
+  // Headless test harness.
+  'Code/tester.js'
+];
+
+// Only evaluate the sources once, even if this module is loaded again through another path.
+if (typeof global.wcPlay !== 'function') {
+  FILES.forEach(function(file) {
+    var filePath = _path.join(__dirname, file);
+    /* eslint-disable no-sync */
+    _vm.runInThisContext(_fs.readFileSync(filePath).toString(), {filename: filePath});
+    /* eslint-enable no-sync */
+  });
+}
+
+/**
+ * Creates a [tester]{@link wcPlayTester} for a script saved to a file, such as a .wcplay file.
+ * @function wcPlayTester.fromFile
+ * @param {string} filePath - The path of the file.
+ * @param {Object} [options] - Custom options for the engine, see {@link wcPlayTester}.
+ * @returns {wcPlayTester} - The tester.
+ * @example
+ * var wcPlayTester = require('webcabin-play').wcPlayTester;
+ * var tester = wcPlayTester.fromFile('scripts/welcome.wcplay');
+ */
+var wcPlayTester = global.wcPlayTester;
+wcPlayTester.fromFile = function(filePath, options) {
+  /* eslint-disable no-sync */
+  return new wcPlayTester(_fs.readFileSync(filePath).toString(), options);
+  /* eslint-enable no-sync */
+};
+
+module.exports = {
+  wcPlay: global.wcPlay,
+  wcPlayNodes: global.wcPlayNodes,
+  wcNode: global.wcNode,
+  wcPlayTester: wcPlayTester
+};
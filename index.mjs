@@ -0,0 +1,11 @@
+/**
+ * Headless Node.js ES module entry point for wcPlay.
+ * @see index.js
+ */
+import wcPlayModule from './index.js';
+
+export const wcPlay = wcPlayModule.wcPlay;
+export const wcPlayNodes = wcPlayModule.wcPlayNodes;
+export const wcNode = wcPlayModule.wcNode;
+export const wcPlayTester = wcPlayModule.wcPlayTester;
+export default wcPlayModule;